@@ -1,25 +1,66 @@
-import React, { useState } from 'react';
+import React from 'react';
 import LoginForm from './components/LoginForm';
 import Dashboard from './components/Dashboard';
+import DataStoreProvider from './store/DataStoreProvider';
+import BlindingProvider from './blinding/BlindingProvider';
+import SessionLock from './components/SessionLock';
+import AuthProvider from './auth/AuthProvider';
+import { useAuth } from './auth/AuthContext';
+import { getUserRole } from './auth/roles';
 
-function App() {
-  const [isAuthenticated, setIsAuthenticated] = useState(false);
+// Signed in, but no study role has been granted to this account yet
+const NoAccess = ({ email, onSignOut }) => (
+  <div className="min-h-screen flex items-center justify-center bg-gray-50 p-4">
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-8 max-w-md text-center">
+      <h1 className="text-xl font-bold text-gray-900 mb-2">No dashboard access</h1>
+      <p className="text-sm text-gray-600 mb-6">
+        {email} does not have a study role yet. Ask the principal investigator to assign one.
+      </p>
+      <button
+        onClick={onSignOut}
+        className="px-4 py-2 bg-blue-900 text-white rounded-lg hover:bg-blue-800 transition-colors text-sm font-medium"
+      >
+        Sign Out
+      </button>
+    </div>
+  </div>
+);
+
+const AppContent = () => {
+  const { user, loading, signOut } = useAuth();
 
-  const handleLogin = () => {
-    setIsAuthenticated(true);
-  };
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="w-8 h-8 border-2 border-blue-900 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
 
-  const handleLogout = () => {
-    setIsAuthenticated(false);
-  };
+  if (user && !getUserRole(user)) {
+    return <NoAccess email={user.email} onSignOut={signOut} />;
+  }
 
+  // Keyed by user so a new sign-in never sees the previous user's cache
+  return user ? (
+    <DataStoreProvider key={user.id}>
+      <BlindingProvider>
+        <SessionLock>
+          <Dashboard onLogout={signOut} />
+        </SessionLock>
+      </BlindingProvider>
+    </DataStoreProvider>
+  ) : (
+    <LoginForm />
+  );
+};
+
+function App() {
   return (
     <div className="App">
-      {isAuthenticated ? (
-        <Dashboard onLogout={handleLogout} />
-      ) : (
-        <LoginForm onLogin={handleLogin} />
-      )}
+      <AuthProvider>
+        <AppContent />
+      </AuthProvider>
     </div>
   );
 }
@@ -0,0 +1,123 @@
+import { OUTCOMES } from '../scoring';
+import { fitLinearModel, predict, mean, formatP, formatStat } from '../stats';
+import { pairPrePost } from './prePost';
+
+// Demographic columns that are identifiers or metadata, never covariates
+const NON_COVARIATE_COLUMNS = ['id', 'participant_id', 'sample_code', 'created_at'];
+
+const columnLabel = (column) => column.replace(/_/g, ' ');
+
+// Demographic columns that vary in the data and can be added to the model
+export const covariateOptions = (demographics = []) => {
+  const columns = [...new Set(demographics.flatMap(Object.keys))]
+    .filter(column => !NON_COVARIATE_COLUMNS.includes(column));
+  return columns
+    .filter(column => new Set(demographics.map(row => row[column]).filter(value => value != null)).size > 1)
+    .map(column => ({ value: column, label: columnLabel(column) }));
+};
+
+// Levels seen in the sample, most common first; the first is the reference level
+const levelsOf = (values) => {
+  const counts = values.reduce((map, value) => map.set(value, (map.get(value) || 0) + 1), new Map());
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+    .map(([level]) => level);
+};
+
+// Dummy variables for categorical covariates: one per level seen in
+// `demographicRows` except the most common, which is the reference
+export const covariateDummies = (demographicRows, covariates) => covariates.flatMap(column => {
+  const [, ...levels] = levelsOf(demographicRows.map(row => row[column]));
+  return levels.map(level => ({ column, level, name: `${columnLabel(column)}: ${level}` }));
+});
+
+export const dummyValues = (dummies, demographics) =>
+  dummies.map(dummy => (demographics[dummy.column] === dummy.level ? 1 : 0));
+
+// Demographics row per participant (demographic_surveys key on participant_id)
+export const demographicsByParticipant = (demographics = []) =>
+  new Map(demographics.map(row => [row.participant_id, row]));
+
+// ANCOVA for one outcome: posttest ~ group + pretest (+ categorical demographic
+// covariates as dummy variables). Complete cases only: a pretest and posttest
+// score, one of the two arms, and every chosen covariate. Adjusted means are each
+// arm's prediction at the sample's mean pretest score and covariate mix.
+// `arms` is [reference, comparison] as { value, label }.
+export const fitAncova = ({ outcome, pairs, demographics = [], arms, covariates = [] }) => {
+  const [reference, comparison] = arms;
+  const demographicsById = demographicsByParticipant(demographics);
+
+  const cases = pairs
+    .filter(pair => pair.group === reference.value || pair.group === comparison.value)
+    .map(pair => ({
+      group: pair.group,
+      pre: pair.scores[outcome.id].pre,
+      post: pair.scores[outcome.id].post,
+      demographics: demographicsById.get(pair.participant_number) || {}
+    }))
+    .filter(row => row.pre !== null && row.post !== null)
+    .filter(row => covariates.every(column => row.demographics[column] != null));
+
+  const dummies = covariateDummies(cases.map(row => row.demographics), covariates);
+
+  const names = [
+    'Intercept',
+    `Group: ${comparison.label} vs ${reference.label}`,
+    `Pretest ${outcome.shortLabel}`,
+    ...dummies.map(dummy => dummy.name)
+  ];
+  const design = cases.map(row => [
+    1,
+    row.group === comparison.value ? 1 : 0,
+    row.pre,
+    ...dummyValues(dummies, row.demographics)
+  ]);
+  const model = fitLinearModel(design, cases.map(row => row.post), names);
+  if (!model) return { outcome, n: cases.length, model: null, adjustedMeans: [], difference: null };
+
+  const columnMeans = names.map((_, j) => mean(design.map(row => row[j])));
+  const casesIn = (arm) => cases.filter(row => row.group === arm.value);
+  const adjustedMeans = arms.map(arm => ({
+    arm,
+    n: casesIn(arm).length,
+    unadjusted: mean(casesIn(arm).map(row => row.post)),
+    ...predict(model, [1, arm === comparison ? 1 : 0, ...columnMeans.slice(2)])
+  }));
+
+  return { outcome, n: cases.length, model, adjustedMeans, difference: model.coefficients[1] };
+};
+
+// One ANCOVA per interval outcome
+export const fitAncovas = ({ pretest = [], posttest = [], participants = [], demographics = [], arms, covariates = [] }) => {
+  const { pairs } = pairPrePost(pretest, posttest, participants);
+  return OUTCOMES
+    .filter(outcome => outcome.scale === 'interval')
+    .map(outcome => fitAncova({ outcome, pairs, demographics, arms, covariates }));
+};
+
+// Spreadsheet rows: every coefficient, then the adjusted means
+export const toAncovaRows = (fits) => fits.flatMap(fit => {
+  if (!fit.model) return [{ Outcome: fit.outcome.label, Term: 'Model could not be fitted', n: fit.n }];
+  return [
+    ...fit.model.coefficients.map(coefficient => ({
+      Outcome: fit.outcome.label,
+      Term: coefficient.name,
+      Estimate: formatStat(coefficient.estimate, 3),
+      SE: formatStat(coefficient.se, 3),
+      t: formatStat(coefficient.t),
+      p: formatP(coefficient.p),
+      'CI Lower': formatStat(coefficient.lower, 3),
+      'CI Upper': formatStat(coefficient.upper, 3),
+      n: fit.n
+    })),
+    ...fit.adjustedMeans.map(adjusted => ({
+      Outcome: fit.outcome.label,
+      Term: `Adjusted mean: ${adjusted.arm.label}`,
+      Estimate: formatStat(adjusted.value, 3),
+      SE: formatStat(adjusted.se, 3),
+      'CI Lower': formatStat(adjusted.lower, 3),
+      'CI Upper': formatStat(adjusted.upper, 3),
+      n: adjusted.n
+    }))
+  ];
+});
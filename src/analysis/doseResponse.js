@@ -0,0 +1,178 @@
+import { OUTCOMES } from '../scoring';
+import {
+  fitLinearModel,
+  meanWithCI,
+  welchTTest,
+  spearmanCorrelation,
+  formatStat,
+  formatP,
+  formatWithCI
+} from '../stats';
+import { studyProtocol } from '../config/studyProtocol';
+
+// Per-participant exposure measures that can go on the x axis
+export const EXPOSURE_METRICS = [
+  { id: 'totalMinutes', label: 'Total minutes', unit: 'minute' },
+  { id: 'sessions', label: 'Sessions', unit: 'session' },
+  { id: 'activeDays', label: 'Active days', unit: 'day' },
+  { id: 'adherence', label: 'Adherence (% of protocol)', unit: 'percentage point' }
+];
+
+// Tiers by adherence percent; each starts at `min` and runs up to the next tier
+export const ADHERENCE_TIERS = [
+  { id: 'low', label: 'Low (< 50%)', min: 0 },
+  { id: 'partial', label: 'Partial (50–79%)', min: 50 },
+  { id: 'adherent', label: 'Adherent (≥ 80%)', min: 80 }
+];
+
+const tierFor = (adherence) => [...ADHERENCE_TIERS].reverse().find(tier => adherence >= tier.min);
+
+const dayOf = (session) => {
+  const date = new Date(session.session_start || session.created_at);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+// { [participant_number]: { totalMinutes, sessions, activeDays, adherence } } from
+// app_usage_sessions. Adherence is sessions as a percentage of the protocol's
+// expected count, capped at 100.
+export const exposureByParticipant = (sessions = [], protocol = studyProtocol) => {
+  const byParticipant = sessions.reduce((map, session) => {
+    if (!session.participant_number) return map;
+    if (!map.has(session.participant_number)) map.set(session.participant_number, []);
+    map.get(session.participant_number).push(session);
+    return map;
+  }, new Map());
+
+  return Object.fromEntries([...byParticipant.entries()].map(([id, rows]) => [id, {
+    totalMinutes: rows.reduce((total, row) => total + (Number(row.duration_minutes) || 0), 0),
+    sessions: rows.length,
+    activeDays: new Set(rows.map(dayOf).filter(Boolean)).size,
+    adherence: Math.min(100, (rows.length / protocol.expectedSessions) * 100)
+  }]));
+};
+
+const NO_EXPOSURE = { totalMinutes: 0, sessions: 0, activeDays: 0, adherence: 0 };
+
+// Paired participants (from pairPrePost) with their exposure and adherence tier.
+// Anyone without a logged session counts as zero use.
+export const joinExposure = (pairs, sessions, protocol = studyProtocol) => {
+  const exposure = exposureByParticipant(sessions, protocol);
+  return pairs.map(pair => {
+    const measures = exposure[pair.participant_number] || NO_EXPOSURE;
+    return { ...pair, exposure: measures, tier: tierFor(measures.adherence) };
+  });
+};
+
+// The arm the dose-response view opens on (a displayed value). Unblinded that is
+// the protocol's app arm; while blinded it is the first arm code, so the default
+// can't reveal which code is the app arm.
+export const defaultDoseResponseGroup = (arms, blinded, appArm = studyProtocol.appArm) => {
+  if (!blinded && arms.some(arm => arm.value === appArm)) return appArm;
+  return arms[0]?.value ?? null;
+};
+
+// Dose-response for each interval outcome's change score:
+//   metrics  per exposure metric: scatter points, the OLS slope of change on
+//            exposure (with CI) and Spearman's rho
+//   tiers    mean change with a CI per adherence tier
+//   adherentVsNot  Welch's t-test, adherent tier minus everyone below it
+export const analyzeDoseResponse = (participants) => OUTCOMES
+  .filter(outcome => outcome.scale === 'interval')
+  .map(outcome => {
+    const withChange = participants.filter(participant => participant.scores[outcome.id].change !== null);
+    const changeOf = (participant) => participant.scores[outcome.id].change;
+    const adherentTier = ADHERENCE_TIERS[ADHERENCE_TIERS.length - 1];
+
+    const metrics = EXPOSURE_METRICS.map(metric => {
+      const points = withChange.map(participant => ({
+        participant_number: participant.participant_number,
+        group: participant.group,
+        x: participant.exposure[metric.id],
+        y: changeOf(participant)
+      }));
+      const model = fitLinearModel(
+        points.map(point => [1, point.x]),
+        points.map(point => point.y),
+        ['Intercept', metric.label]
+      );
+      return {
+        metric,
+        points,
+        intercept: model ? model.coefficients[0].estimate : null,
+        slope: model ? model.coefficients[1] : null,
+        spearman: spearmanCorrelation(points.map(point => point.x), points.map(point => point.y))
+      };
+    });
+
+    return {
+      outcome,
+      n: withChange.length,
+      metrics,
+      tiers: ADHERENCE_TIERS.map(tier => ({
+        tier,
+        change: meanWithCI(withChange.filter(participant => participant.tier.id === tier.id).map(changeOf))
+      })),
+      adherentVsNot: welchTTest(
+        withChange.filter(participant => participant.tier.id === adherentTier.id).map(changeOf),
+        withChange.filter(participant => participant.tier.id !== adherentTier.id).map(changeOf)
+      )
+    };
+  });
+
+// Dose-response per arm, for export: one row per arm, outcome and statistic.
+// Arms are analysed separately so the comparison arm's zero use never stands in
+// for a dose effect. `arms` as displayed ({ value, label }).
+export const toDoseResponseSummaryRows = (participants, arms) => arms.flatMap(arm =>
+  analyzeDoseResponse(participants.filter(participant => participant.group === arm.value))
+    .flatMap(result => {
+      const row = (analysis, n, estimate, p = null) => ({
+        group: arm.label,
+        outcome: result.outcome.label,
+        analysis,
+        n,
+        estimate,
+        p: p === null ? '' : formatP(p)
+      });
+      return [
+        ...result.metrics.flatMap(({ metric, slope, spearman }) => [
+          row(
+            `Slope per ${metric.unit} (${metric.label})`,
+            result.n,
+            slope ? formatWithCI({ value: slope.estimate, lower: slope.lower, upper: slope.upper }, 3) : 'N/A',
+            slope ? slope.p : null
+          ),
+          row(
+            `Spearman's rho (${metric.label})`,
+            result.n,
+            spearman ? formatWithCI(spearman.estimate) : 'N/A',
+            spearman ? spearman.p : null
+          )
+        ]),
+        ...result.tiers.map(({ tier, change }) => row(
+          `Mean change, ${tier.label}`,
+          change.n,
+          formatWithCI({ value: change.mean, lower: change.lower, upper: change.upper })
+        )),
+        row(
+          'Adherent minus the rest',
+          result.adherentVsNot ? result.adherentVsNot.n.reduce((total, n) => total + n, 0) : '',
+          result.adherentVsNot ? formatWithCI(result.adherentVsNot.estimate) : 'N/A',
+          result.adherentVsNot ? result.adherentVsNot.p : null
+        )
+      ];
+    })
+);
+
+// One row per paired participant: exposure, tier and change scores
+export const toDoseResponseRows = (participants) => participants.map(participant => ({
+  participant_number: participant.participant_number,
+  group: participant.group,
+  total_minutes: participant.exposure.totalMinutes,
+  sessions: participant.exposure.sessions,
+  active_days: participant.exposure.activeDays,
+  adherence_percent: Math.round(participant.exposure.adherence),
+  adherence_tier: participant.tier.label,
+  ...Object.fromEntries(OUTCOMES
+    .filter(outcome => outcome.scale === 'interval')
+    .map(outcome => [`${outcome.id}_change`, formatStat(participant.scores[outcome.id].change)]))
+}));
@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { defaultDoseResponseGroup } from './doseResponse';
+import { GROUPS, createArmCodes } from '../blinding/blinding';
+
+// The selector options as BlindingProvider builds them
+const blindedArms = (codes) => Object.values(codes).sort().map(code => ({ value: code, label: code }));
+const unblindedArms = GROUPS.map(group => ({ value: group, label: group }));
+
+describe('defaultDoseResponseGroup', () => {
+  it('opens on the app arm when unblinded', () => {
+    expect(defaultDoseResponseGroup(unblindedArms, false, 'Intervention')).toBe('Intervention');
+    expect(defaultDoseResponseGroup(unblindedArms, false, 'Control')).toBe('Control');
+  });
+
+  it('does not depend on the app arm while blinded', () => {
+    // Keys chosen so the codes go both ways round
+    const keys = ['', 'a', 'b', 'c'];
+    const codeSets = keys.map(createArmCodes);
+    expect(new Set(codeSets.map(codes => codes.Intervention)).size).toBe(2);
+
+    codeSets.forEach(codes => {
+      const arms = blindedArms(codes);
+      GROUPS.forEach(appArm => {
+        expect(defaultDoseResponseGroup(arms, true, appArm)).toBe('Arm A');
+      });
+    });
+  });
+
+  it('is null without any arms', () => {
+    expect(defaultDoseResponseGroup([], true)).toBeNull();
+  });
+});
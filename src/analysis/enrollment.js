@@ -0,0 +1,86 @@
+import { latestByParticipant } from './prePost';
+import { studyProtocol } from '../config/studyProtocol';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Enrollment pace from the roster's created_at: participants per day since the
+// first enrollment. Null until there are two enrollment dates to measure from.
+export const enrollmentRate = (participants = [], now = new Date()) => {
+  const dates = participants
+    .map(participant => new Date(participant.created_at))
+    .filter(date => !Number.isNaN(date.getTime()))
+    .sort((a, b) => a - b);
+  if (dates.length < 2) return null;
+  const days = Math.max((now - dates[0]) / DAY_MS, 1);
+  return { perDay: dates.length / days, since: dates[0], enrolled: dates.length };
+};
+
+// Whether a participant enrolled long enough ago for their posttest to be due
+const isDue = (participant, followUpDays, now) => {
+  const enrolled = new Date(participant.created_at);
+  return !Number.isNaN(enrolled.getTime()) && now - enrolled >= followUpDays * DAY_MS;
+};
+
+// Progress towards `required` analysable participants per arm:
+//   arms             active (randomized), posttest-due and posttest-completed counts per arm
+//   due              participants enrolled at least `followUpDays` ago (default:
+//                    the protocol's app-use period), whose posttest is due
+//   completionRate   share of those due who completed the posttest; participants
+//                    still in follow-up would understate it
+//   targetEnrollment total enrollment needed for `required` completers per arm
+//                    at that completion rate (2 x required until anyone is due;
+//                    null while nobody due has completed, as no enrollment suffices)
+//   projectedDate    when enrollment reaches the target at the current pace
+//                    (today if already there; null without a pace)
+// Rows as displayed, so `Group`/`group_assignment` hold arm codes while blinded.
+export const projectEnrollment = ({
+  participants = [],
+  posttest = [],
+  arms,
+  required,
+  followUpDays = studyProtocol.weeks * 7,
+  now = new Date()
+}) => {
+  const completed = latestByParticipant(posttest);
+  const hasCompleted = (participant) => completed.has(participant.participant_number);
+  const armCounts = arms.map(arm => {
+    const active = participants.filter(participant => participant.Group === arm.value);
+    const due = active.filter(participant => isDue(participant, followUpDays, now));
+    return {
+      arm,
+      active: active.length,
+      due: due.length,
+      completed: active.filter(hasCompleted).length,
+      completedWhenDue: due.filter(hasCompleted).length,
+      required
+    };
+  });
+
+  const total = (key) => armCounts.reduce((sum, arm) => sum + arm[key], 0);
+  const active = total('active');
+  const due = total('due');
+  const completedCount = total('completed');
+  const completionRate = due > 0 ? total('completedWhenDue') / due : null;
+  const targetEnrollment = required === null || completionRate === 0
+    ? null
+    : Math.ceil((required * arms.length) / (completionRate ?? 1));
+  const rate = enrollmentRate(participants, now);
+  const remaining = targetEnrollment === null ? null : Math.max(targetEnrollment - active, 0);
+
+  let projectedDate = null;
+  if (remaining === 0) projectedDate = now;
+  else if (remaining !== null && rate) projectedDate = new Date(now.getTime() + (remaining / rate.perDay) * DAY_MS);
+
+  return {
+    arms: armCounts,
+    active,
+    due,
+    followUpDays,
+    completed: completedCount,
+    completionRate,
+    targetEnrollment,
+    remaining,
+    rate,
+    projectedDate
+  };
+};
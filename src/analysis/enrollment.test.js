@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { enrollmentRate, projectEnrollment } from './enrollment';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-01T00:00:00Z');
+const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS).toISOString();
+const arms = [{ value: 'Arm A', label: 'Arm A' }, { value: 'Arm B', label: 'Arm B' }];
+
+// Ten participants per arm, one enrolled every five days from 95 days ago
+const participants = Array.from({ length: 20 }, (_, i) => ({
+  participant_number: `P${i}`,
+  Group: arms[i % 2].value,
+  created_at: daysAgo(95 - i * 5)
+}));
+
+describe('enrollmentRate', () => {
+  it('is participants per day since the first enrollment', () => {
+    const rate = enrollmentRate(participants, now);
+    expect(rate.enrolled).toBe(20);
+    expect(rate.perDay).toBeCloseTo(20 / 95);
+  });
+
+  it('needs two enrollment dates', () => {
+    expect(enrollmentRate(participants.slice(0, 1), now)).toBeNull();
+    expect(enrollmentRate([{ created_at: 'not a date' }, { created_at: null }], now)).toBeNull();
+  });
+});
+
+describe('projectEnrollment', () => {
+  // Posttests from half of those enrolled 28 or more days ago (P0-P13), and one
+  // early completer still inside the follow-up window
+  const posttest = ['P0', 'P2', 'P4', 'P6', 'P8', 'P10', 'P12', 'P19'].map(participant_number => ({ participant_number }));
+  const project = (options = {}) =>
+    projectEnrollment({ participants, posttest, arms, required: 20, followUpDays: 28, now, ...options });
+
+  it('counts active, due and completed participants per arm', () => {
+    const [armA, armB] = project().arms;
+    expect(armA).toMatchObject({ active: 10, due: 7, completed: 7 });
+    expect(armB).toMatchObject({ active: 10, due: 7, completed: 1 });
+  });
+
+  it('bases the completion rate on participants whose posttest is due', () => {
+    const projection = project();
+    expect(projection.due).toBe(14);
+    expect(projection.completionRate).toBeCloseTo(7 / 14);
+    expect(projection.targetEnrollment).toBe(80);
+    expect(projection.remaining).toBe(60);
+  });
+
+  it('projects the target date at the current pace', () => {
+    const projection = project();
+    expect(projection.projectedDate.getTime()).toBeCloseTo(now.getTime() + (60 / (20 / 95)) * DAY_MS, -3);
+  });
+
+  it('assumes full completion until anyone is due', () => {
+    const projection = project({ followUpDays: 365 });
+    expect(projection.completionRate).toBeNull();
+    expect(projection.targetEnrollment).toBe(40);
+    expect(projection.remaining).toBe(20);
+  });
+
+  it('has no target while nobody due has completed', () => {
+    const projection = project({ posttest: [] });
+    expect(projection.completionRate).toBe(0);
+    expect(projection.targetEnrollment).toBeNull();
+    expect(projection.projectedDate).toBeNull();
+  });
+
+  it('reports a reached target as today', () => {
+    const projection = project({ required: 2 });
+    expect(projection.remaining).toBe(0);
+    expect(projection.projectedDate).toEqual(now);
+  });
+});
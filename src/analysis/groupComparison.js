@@ -0,0 +1,78 @@
+import { OUTCOMES } from '../scoring';
+import {
+  welchTTest,
+  mannWhitneyU,
+  pairedTTest,
+  wilcoxonSignedRank,
+  crossTabulate,
+  chiSquareTest,
+  fisherExactTest,
+  formatP,
+  formatStat,
+  formatDf,
+  formatWithCI
+} from '../stats';
+import { pairPrePost } from './prePost';
+
+// Between-arm and within-arm tests for every outcome:
+//   posttest   arm A vs arm B at posttest (t/U for scores; chi-square/Fisher for levels)
+//   change     arm A vs arm B on paired post - pre change (interval outcomes)
+//   within     pre vs post inside each arm (paired t and/or Wilcoxon)
+// `arms` are the two arms to compare as { value, label }, matching the rows'
+// `group` column (so arm codes while blinded). Tests without enough data are null.
+export const runTrialTests = ({ pretest = [], posttest = [], participants = [], arms }) => {
+  const [armA, armB] = arms;
+  const { pairs } = pairPrePost(pretest, posttest, participants);
+  const posttestFor = (arm) => posttest.filter(row => row.group === arm.value);
+  const pairsFor = (arm) => pairs.filter(pair => pair.group === arm.value);
+  const versus = `${armA.label} vs ${armB.label}`;
+  const results = [];
+
+  OUTCOMES.forEach(outcome => {
+    const add = (comparison, test, result) => results.push({
+      id: `${outcome.id}-${comparison}-${test}`,
+      outcome,
+      comparison,
+      test,
+      result
+    });
+    const postScores = (arm) => posttestFor(arm).map(outcome.score);
+    const changes = (arm) => pairsFor(arm).map(pair => pair.scores[outcome.id].change);
+
+    if (outcome.scale === 'interval') {
+      add(`Posttest: ${versus}`, "Welch's t-test", welchTTest(postScores(armA), postScores(armB)));
+    }
+    add(`Posttest: ${versus}`, 'Mann–Whitney U', mannWhitneyU(postScores(armA), postScores(armB)));
+
+    if (outcome.category) {
+      const rows = [...posttestFor(armA), ...posttestFor(armB)];
+      const { counts } = crossTabulate(rows.map(outcome.category), rows.map(row => row.group));
+      add(`Posttest: ${versus}`, 'Chi-square', chiSquareTest(counts));
+      add(`Posttest: ${versus}`, "Fisher's exact", fisherExactTest(counts));
+    }
+
+    if (outcome.scale === 'interval') {
+      add(`Change: ${versus}`, "Welch's t-test", welchTTest(changes(armA), changes(armB)));
+    }
+
+    [armA, armB].forEach(arm => {
+      if (outcome.scale === 'interval') add(`Pre → Post: ${arm.label}`, 'Paired t-test', pairedTTest(changes(arm)));
+      add(`Pre → Post: ${arm.label}`, 'Wilcoxon signed-rank', wilcoxonSignedRank(changes(arm)));
+    });
+  });
+
+  return results;
+};
+
+// Spreadsheet rows for the results table
+export const toResultRows = (results) => results.map(({ outcome, comparison, test, result }) => ({
+  Outcome: outcome.label,
+  Comparison: comparison,
+  Test: result ? test : `${test} (not enough data)`,
+  n: result ? result.n.join(' / ') : '',
+  Statistic: result?.statistic ? `${result.statistic.label} = ${formatStat(result.statistic.value)}` : '',
+  df: result?.df === null || result?.df === undefined ? '' : formatDf(result.df),
+  p: result ? formatP(result.p) : '',
+  Estimate: result?.estimate ? `${result.estimate.label} ${formatWithCI(result.estimate)}` : '',
+  'Effect size': result ? result.effects.map(effect => `${effect.label} ${formatWithCI(effect)}`).join('; ') : ''
+}));
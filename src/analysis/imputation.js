@@ -0,0 +1,178 @@
+import { OUTCOMES } from '../scoring';
+import { fitLinearModel, predict, createRandom, imputeLinear, poolRubin, formatP, formatStat, formatDf } from '../stats';
+import { latestByParticipant } from './prePost';
+import { covariateDummies, dummyValues, demographicsByParticipant } from './ancova';
+
+export const IMPUTATION_METHODS = [
+  { id: 'pmm', label: 'Predictive mean matching' },
+  { id: 'regression', label: 'Stochastic regression' }
+];
+
+export const IMPUTATION_COUNTS = [5, 20, 50];
+export const DEFAULT_IMPUTATIONS = 20;
+
+// Fixed so the same data always gives the same pooled results (and exports match the screen)
+export const IMPUTATION_SEED = 20250901;
+
+// Posttest group differences estimated from each dataset
+export const IMPUTATION_ANALYSES = [
+  { id: 'unadjusted', label: 'Posttest difference' },
+  { id: 'adjusted', label: 'Posttest difference adjusted for pretest' }
+];
+
+// { estimate, variance, df } of the group coefficient, plus each arm's mean from
+// the unadjusted model; null when the model can't be fitted
+const analyze = (cases, comparison) => {
+  const y = cases.map(row => row.post);
+  const unadjusted = fitLinearModel(cases.map(row => [1, row.group === comparison.value ? 1 : 0]), y, ['Intercept', 'Group']);
+  const adjusted = fitLinearModel(
+    cases.map(row => [1, row.group === comparison.value ? 1 : 0, row.pre]),
+    y,
+    ['Intercept', 'Group', 'Pretest']
+  );
+  const groupTerm = (model) => (model
+    ? { estimate: model.coefficients[1].estimate, variance: model.coefficients[1].se ** 2, df: model.df, model }
+    : null);
+  return {
+    unadjusted: groupTerm(unadjusted),
+    adjusted: groupTerm(adjusted),
+    means: unadjusted
+      ? [[1, 0], [1, 1]].map(c => {
+        const { value, se, lower, upper } = predict(unadjusted, c);
+        return { estimate: value, se, lower, upper };
+      })
+      : null
+  };
+};
+
+const completeCaseResult = (term) => (term
+  ? {
+    estimate: term.estimate,
+    se: term.model.coefficients[1].se,
+    df: term.df,
+    p: term.model.coefficients[1].p,
+    lower: term.model.coefficients[1].lower,
+    upper: term.model.coefficients[1].upper
+  }
+  : null);
+
+// Multiple imputation of missing posttest scores for one outcome. Everyone in
+// the two arms with a pretest score (and every chosen covariate) is analysed;
+// missing posttests are imputed from group, pretest score and the covariates,
+// `imputations` times, and the group difference is pooled with Rubin's rules.
+// The complete-case result uses the same models on observed posttests only.
+export const imputeOutcome = ({
+  outcome,
+  pretest,
+  posttest,
+  demographics,
+  arms,
+  covariates = [],
+  method = 'pmm',
+  imputations = DEFAULT_IMPUTATIONS,
+  seed = IMPUTATION_SEED
+}) => {
+  const [reference, comparison] = arms;
+  const posttestById = latestByParticipant(posttest);
+  const demographicsById = demographicsByParticipant(demographics);
+
+  const candidates = [...latestByParticipant(pretest).values()]
+    .filter(row => row.group === reference.value || row.group === comparison.value)
+    .map(row => {
+      const post = posttestById.get(row.participant_number);
+      return {
+        participant_number: row.participant_number,
+        group: row.group,
+        pre: outcome.score(row),
+        post: post ? outcome.score(post) : null,
+        demographics: demographicsById.get(row.participant_number) || {}
+      };
+    });
+  const cases = candidates
+    .filter(row => row.pre !== null)
+    .filter(row => covariates.every(column => row.demographics[column] != null));
+  const observed = cases.filter(row => row.post !== null);
+  const missing = cases.filter(row => row.post === null);
+
+  const dummies = covariateDummies(cases.map(row => row.demographics), covariates);
+  const designRow = (row) => [1, row.group === comparison.value ? 1 : 0, row.pre, ...dummyValues(dummies, row.demographics)];
+
+  const completeCase = analyze(observed, comparison);
+  const summary = {
+    outcome,
+    n: cases.length,
+    observed: observed.length,
+    missing: missing.length,
+    excluded: candidates.length - cases.length,
+    completeCase: {
+      unadjusted: completeCaseResult(completeCase.unadjusted),
+      adjusted: completeCaseResult(completeCase.adjusted),
+      means: completeCase.means
+    }
+  };
+
+  // Nothing to impute: the pooled result is the complete-case one
+  if (missing.length === 0) return { ...summary, pooled: summary.completeCase, imputed: false };
+
+  const random = createRandom(seed);
+  const completed = [];
+  for (let i = 0; i < imputations; i += 1) {
+    const values = imputeLinear({
+      rows: observed.map(designRow),
+      y: observed.map(row => row.post),
+      missingRows: missing.map(designRow),
+      method,
+      random
+    });
+    if (!values) return { ...summary, pooled: null, imputed: false };
+    completed.push(analyze([...observed, ...missing.map((row, j) => ({ ...row, post: values[j] }))], comparison));
+  }
+
+  const pool = (pick) => {
+    const results = completed.map(pick);
+    return results.every(Boolean) ? poolRubin(results, results[0].df) : null;
+  };
+  return {
+    ...summary,
+    imputed: true,
+    pooled: {
+      unadjusted: pool(result => result.unadjusted),
+      adjusted: pool(result => result.adjusted),
+      means: [0, 1].map(index => pool(result => result.means && {
+        estimate: result.means[index].estimate,
+        variance: result.means[index].se ** 2,
+        df: result.unadjusted.df
+      }))
+    }
+  };
+};
+
+// One result per interval outcome; `arms` is [reference, comparison]
+export const imputeOutcomes = (options) => OUTCOMES
+  .filter(outcome => outcome.scale === 'interval')
+  .map(outcome => imputeOutcome({ ...options, outcome }));
+
+// Spreadsheet rows: complete-case and pooled estimates side by side
+export const toImputationRows = (results, { method, imputations }) => results.flatMap(result => IMPUTATION_ANALYSES.map(analysis => {
+  const completeCase = result.completeCase[analysis.id];
+  const pooled = result.pooled?.[analysis.id];
+  return {
+    Outcome: result.outcome.label,
+    Analysis: analysis.label,
+    'Participants Analysed': result.n,
+    'Posttest Missing': result.missing,
+    'Complete-Case Estimate': formatStat(completeCase?.estimate, 3),
+    'Complete-Case CI Lower': formatStat(completeCase?.lower, 3),
+    'Complete-Case CI Upper': formatStat(completeCase?.upper, 3),
+    'Complete-Case p': formatP(completeCase?.p),
+    'Pooled Estimate': formatStat(pooled?.estimate, 3),
+    'Pooled CI Lower': formatStat(pooled?.lower, 3),
+    'Pooled CI Upper': formatStat(pooled?.upper, 3),
+    'Pooled df': pooled ? formatDf(pooled.df) : 'N/A',
+    'Pooled p': formatP(pooled?.p),
+    FMI: formatStat(pooled?.fmi, 3),
+    Method: result.imputed ? IMPUTATION_METHODS.find(option => option.id === method).label : 'None needed',
+    Imputations: result.imputed ? imputations : 0,
+    Seed: IMPUTATION_SEED
+  };
+}));
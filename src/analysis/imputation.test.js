@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { imputeOutcome } from './imputation';
+
+// A stand-in outcome scored straight from a `value` column
+const outcome = { id: 'value', label: 'Value', score: (row) => row.value ?? null };
+const arms = [{ value: 'Arm A', label: 'Arm A' }, { value: 'Arm B', label: 'Arm B' }];
+
+// Posttest = pretest + 5 in Arm B, plus a small fixed disturbance; every fifth
+// participant has no posttest and P38 has no pretest score
+const ids = Array.from({ length: 40 }, (_, i) => i);
+const id = (i) => `P${String(i).padStart(2, '0')}`;
+const group = (i) => arms[i % 2].value;
+const pre = (i) => 10 + ((i * 7) % 11);
+const post = (i) => pre(i) + (i % 2) * 5 + (((i * 13) % 7) - 3) * 0.3;
+
+const pretest = ids.map(i => ({ participant_number: id(i), group: group(i), value: i === 38 ? null : pre(i) }));
+const posttest = ids
+  .filter(i => i % 5 !== 0)
+  .map(i => ({ participant_number: id(i), group: group(i), value: post(i) }));
+const demographics = ids.map(i => ({ participant_id: id(i), gender: i === 1 ? null : ['female', 'male'][i % 3 === 0 ? 1 : 0] }));
+
+const run = (options = {}) => imputeOutcome({ outcome, pretest, posttest, demographics, arms, imputations: 5, ...options });
+
+describe('imputeOutcome', () => {
+  it('counts observed, missing and excluded participants', () => {
+    const result = run();
+    expect(result.n).toBe(39);
+    expect(result.observed).toBe(31);
+    expect(result.missing).toBe(8);
+    expect(result.excluded).toBe(1);
+    expect(result.imputed).toBe(true);
+  });
+
+  it('recovers the group difference from the imputed datasets', () => {
+    ['pmm', 'regression'].forEach(method => {
+      const { pooled } = run({ method });
+      expect(pooled.adjusted.estimate).toBeCloseTo(5, 0);
+      expect(pooled.adjusted.lower).toBeLessThan(5);
+      expect(pooled.adjusted.upper).toBeGreaterThan(5);
+      expect(pooled.adjusted.fmi).toBeGreaterThanOrEqual(0);
+      expect(pooled.adjusted.fmi).toBeLessThanOrEqual(1);
+      expect(pooled.means).toHaveLength(2);
+    });
+  });
+
+  it('gives the same pooled result for the same seed', () => {
+    expect(run().pooled).toEqual(run().pooled);
+    expect(run({ seed: 1 }).pooled.unadjusted.estimate).not.toBe(run({ seed: 2 }).pooled.unadjusted.estimate);
+  });
+
+  it('falls back to the complete-case result when nothing is missing', () => {
+    const complete = imputeOutcome({
+      outcome,
+      pretest,
+      posttest: ids.map(i => ({ participant_number: id(i), group: group(i), value: post(i) })),
+      demographics,
+      arms
+    });
+    expect(complete.missing).toBe(0);
+    expect(complete.imputed).toBe(false);
+    expect(complete.pooled).toBe(complete.completeCase);
+  });
+
+  it('leaves out participants without a chosen covariate', () => {
+    const result = run({ covariates: ['gender'] });
+    expect(result.excluded).toBe(2);
+    expect(result.n).toBe(38);
+  });
+});
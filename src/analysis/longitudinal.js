@@ -0,0 +1,127 @@
+import { OUTCOMES } from '../scoring';
+import { fitRandomInterceptModel, predictFixed, tQuantile, formatP, formatStat, formatDf } from '../stats';
+import { latestByParticipant } from './prePost';
+
+// Measurement waves in study order. A new wave (e.g. a mid-study survey) is one
+// more entry here and one more `rows` array passed to `toLongFormat`.
+export const WAVES = [
+  { id: 'pretest', label: 'Pretest' },
+  { id: 'posttest', label: 'Posttest' }
+];
+
+// One row per participant per wave with every outcome's score:
+//   { participant_number, group, wave, waveIndex, scores: { [outcome id]: score } }
+// `waves` are [{ id, label, rows }] in study order. Groups come from the roster's
+// `Group`, then the rows' group columns (as displayed, so masked while blinded).
+export const toLongFormat = (waves, participants = []) => {
+  const latest = waves.map(wave => latestByParticipant(wave.rows || []));
+  const roster = new Map(participants.map(participant => [participant.participant_number, participant]));
+  const groupOf = (id) => {
+    if (roster.get(id)?.Group) return roster.get(id).Group;
+    const row = latest.map(rows => rows.get(id)).find(candidate => candidate?.group || candidate?.group_assignment);
+    return row ? row.group || row.group_assignment : 'Unknown';
+  };
+
+  return waves.flatMap((wave, waveIndex) => [...latest[waveIndex].values()].map(row => ({
+    participant_number: row.participant_number,
+    group: groupOf(row.participant_number),
+    wave: wave.id,
+    waveIndex,
+    scores: Object.fromEntries(OUTCOMES.map(outcome => [outcome.id, outcome.score(row)]))
+  })));
+};
+
+// outcome ~ group * wave + (1 | participant), with the first wave and the first
+// arm as reference levels. Uses every available observation, so participants
+// missing a wave still contribute (unlike the paired pre/post tests).
+//   interactions  group x wave terms, one per later wave: the difference between
+//                 arms in change from the first wave
+//   means         model-estimated mean per arm and wave with a CI
+// `arms` is [reference, comparison] as { value, label }.
+export const fitGroupByTime = ({ outcome, long, arms, waves = WAVES, level = 0.95 }) => {
+  const [reference, comparison] = arms;
+  const observations = long.filter(row =>
+    (row.group === reference.value || row.group === comparison.value) && row.scores[outcome.id] !== null
+  );
+  const laterWaves = waves.slice(1);
+  const names = [
+    'Intercept',
+    `Group: ${comparison.label} vs ${reference.label}`,
+    ...laterWaves.map(wave => `Time: ${wave.label} vs ${waves[0].label}`),
+    ...laterWaves.map(wave => `Group × Time: ${wave.label}`)
+  ];
+  const designFor = (isComparison, waveIndex) => [
+    1,
+    isComparison ? 1 : 0,
+    ...laterWaves.map((_, i) => (waveIndex === i + 1 ? 1 : 0)),
+    ...laterWaves.map((_, i) => (isComparison && waveIndex === i + 1 ? 1 : 0))
+  ];
+
+  const model = fitRandomInterceptModel(
+    observations.map(row => designFor(row.group === comparison.value, row.waveIndex)),
+    observations.map(row => row.scores[outcome.id]),
+    observations.map(row => row.participant_number),
+    names,
+    level
+  );
+  const participants = new Set(observations.map(row => row.participant_number)).size;
+  if (!model) return { outcome, n: observations.length, participants, model: null, interactions: [], means: [] };
+
+  const critical = tQuantile(1 - (1 - level) / 2, Math.max(model.dfBetween, 1));
+  const means = arms.flatMap(arm => waves.map((wave, waveIndex) => {
+    const { value, se } = predictFixed(model, designFor(arm === comparison, waveIndex));
+    return {
+      arm,
+      wave,
+      n: observations.filter(row => row.group === arm.value && row.waveIndex === waveIndex).length,
+      value,
+      se,
+      lower: value - critical * se,
+      upper: value + critical * se
+    };
+  }));
+
+  return {
+    outcome,
+    n: observations.length,
+    participants,
+    model,
+    interactions: model.coefficients.slice(2 + laterWaves.length),
+    means
+  };
+};
+
+// One model per interval outcome over the pretest/posttest tables
+export const fitLongitudinalModels = ({ pretest = [], posttest = [], participants = [], arms }) => {
+  const waves = [
+    { ...WAVES[0], rows: pretest },
+    { ...WAVES[1], rows: posttest }
+  ];
+  const long = toLongFormat(waves, participants);
+  return OUTCOMES
+    .filter(outcome => outcome.scale === 'interval')
+    .map(outcome => fitGroupByTime({ outcome, long, arms, waves }));
+};
+
+// Spreadsheet rows: fixed effects and variance components for each model
+export const toMixedModelRows = (fits) => fits.flatMap(fit => {
+  if (!fit.model) return [{ Outcome: fit.outcome.label, Term: 'Model could not be fitted', Observations: fit.n }];
+  return [
+    ...fit.model.coefficients.map(coefficient => ({
+      Outcome: fit.outcome.label,
+      Term: coefficient.name,
+      Estimate: formatStat(coefficient.estimate, 3),
+      SE: formatStat(coefficient.se, 3),
+      df: formatDf(coefficient.df),
+      t: formatStat(coefficient.t),
+      p: formatP(coefficient.p),
+      'CI Lower': formatStat(coefficient.lower, 3),
+      'CI Upper': formatStat(coefficient.upper, 3),
+      Observations: fit.n,
+      Participants: fit.participants
+    })),
+    { Outcome: fit.outcome.label, Term: 'Participant intercept variance', Estimate: formatStat(fit.model.tau2, 3) },
+    { Outcome: fit.outcome.label, Term: 'Residual variance', Estimate: formatStat(fit.model.sigma2, 3) },
+    { Outcome: fit.outcome.label, Term: 'ICC', Estimate: formatStat(fit.model.icc, 3) }
+  ];
+});
@@ -0,0 +1,38 @@
+import { studyProtocol } from '../config/studyProtocol';
+
+// Which participants an analysis includes
+export const POPULATIONS = [
+  { id: 'itt', label: 'Intention-to-treat', shortLabel: 'ITT', description: 'All randomized participants' },
+  { id: 'per-protocol', label: 'Per-protocol', shortLabel: 'PP', description: 'Completed the posttest and met the minimum app use' },
+  { id: 'completers', label: 'Completers', shortLabel: 'Completers', description: 'Completed the posttest' }
+];
+
+export const DEFAULT_POPULATION = 'itt';
+
+// { [population id]: Set of participant_number }. Only the arm given the app
+// (studyProtocol.appArm) has a usage requirement. Pass the stored (unmasked)
+// roster so the usage rule finds that arm while blinded; only randomized
+// participants (a roster row with a Group) are ever included.
+export const populationMembers = ({ participants = [], posttest = [], appUsage = [], minSessions, appArm = studyProtocol.appArm }) => {
+  const sessionCounts = appUsage.reduce((counts, session) => {
+    counts[session.participant_number] = (counts[session.participant_number] || 0) + 1;
+    return counts;
+  }, {});
+  const completed = new Set(posttest.map(row => row.participant_number));
+  const randomized = participants.filter(participant => participant.participant_number && participant.Group);
+  const completers = randomized.filter(participant => completed.has(participant.participant_number));
+
+  return {
+    itt: new Set(randomized.map(participant => participant.participant_number)),
+    completers: new Set(completers.map(participant => participant.participant_number)),
+    'per-protocol': new Set(completers
+      .filter(participant => participant.Group !== appArm || (sessionCounts[participant.participant_number] || 0) >= minSessions)
+      .map(participant => participant.participant_number))
+  };
+};
+
+export const populationFor = (id) => POPULATIONS.find(population => population.id === id);
+
+// "Per-protocol (n = 14)", or just the label when the size is withheld (null)
+export const formatPopulation = (population, size) =>
+  (size === null || size === undefined ? population.label : `${population.label} (n = ${size})`);
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { populationMembers, populationFor, formatPopulation } from './population';
+
+const participants = [
+  { participant_number: 'P01', Group: 'Intervention' },
+  { participant_number: 'P02', Group: 'Intervention' },
+  { participant_number: 'P03', Group: 'Intervention' },
+  { participant_number: 'P04', Group: 'Control' },
+  { participant_number: 'P05', Group: 'Control' },
+  // Not randomized
+  { participant_number: 'P06', Group: null }
+];
+
+const posttest = ['P01', 'P02', 'P04', 'P06'].map(participant_number => ({ participant_number }));
+
+const sessions = (participant_number, count) =>
+  Array.from({ length: count }, (_, i) => ({ participant_number, id: `${participant_number}-${i}` }));
+
+const appUsage = [...sessions('P01', 10), ...sessions('P02', 4), ...sessions('P03', 12)];
+
+const members = (options = {}) =>
+  populationMembers({ participants, posttest, appUsage, minSessions: 10, ...options });
+
+const sorted = (set) => [...set].sort();
+
+describe('populationMembers', () => {
+  it('includes every randomized participant in the ITT population', () => {
+    expect(sorted(members().itt)).toEqual(['P01', 'P02', 'P03', 'P04', 'P05']);
+  });
+
+  it('keeps randomized participants with a posttest as completers', () => {
+    expect(sorted(members().completers)).toEqual(['P01', 'P02', 'P04']);
+  });
+
+  it('applies the minimum app use to the app arm only', () => {
+    // P02 used the app too little; P04 is a control completer with no sessions
+    expect(sorted(members()['per-protocol'])).toEqual(['P01', 'P04']);
+    expect(sorted(members({ minSessions: 4 })['per-protocol'])).toEqual(['P01', 'P02', 'P04']);
+  });
+
+  it('takes the app arm from the protocol unless told otherwise', () => {
+    expect(sorted(members({ appArm: 'Control' })['per-protocol'])).toEqual(['P01', 'P02']);
+  });
+
+  it('handles empty tables', () => {
+    const empty = populationMembers({ minSessions: 10 });
+    expect(empty.itt.size).toBe(0);
+    expect(empty['per-protocol'].size).toBe(0);
+  });
+});
+
+describe('formatPopulation', () => {
+  it('shows the size, or just the label when it is withheld', () => {
+    expect(formatPopulation(populationFor('per-protocol'), 14)).toBe('Per-protocol (n = 14)');
+    expect(formatPopulation(populationFor('per-protocol'), null)).toBe('Per-protocol');
+  });
+});
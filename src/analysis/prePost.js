@@ -0,0 +1,87 @@
+import { OUTCOMES } from '../scoring';
+import { meanWithCI, mean, numeric } from '../stats';
+
+// A participant's most recent response at a timepoint (a resubmission replaces the earlier one)
+export const latestByParticipant = (rows) => rows.reduce((map, row) => {
+  const id = row.participant_number;
+  if (!id) return map;
+  const existing = map.get(id);
+  if (!existing || new Date(row.created_at || 0) > new Date(existing.created_at || 0)) map.set(id, row);
+  return map;
+}, new Map());
+
+// Join pretest and posttest responses on participant_number.
+//   pairs    participants with both: per-outcome { pre, post, change } (change = post - pre)
+//   missing  anyone on the roster or in either table without both timepoints
+// Groups come from the roster's `Group`, then the responses' group columns, so
+// pass rows as displayed (masked while blinded).
+export const pairPrePost = (pretestRows = [], posttestRows = [], participants = []) => {
+  const pretest = latestByParticipant(pretestRows);
+  const posttest = latestByParticipant(posttestRows);
+  const roster = new Map(participants.map(participant => [participant.participant_number, participant]));
+
+  const groupOf = (id) =>
+    roster.get(id)?.Group || pretest.get(id)?.group || posttest.get(id)?.group_assignment || 'Unknown';
+
+  const ids = [...new Set([...roster.keys(), ...pretest.keys(), ...posttest.keys()])]
+    .filter(Boolean)
+    .sort();
+
+  const pairs = [];
+  const missing = [];
+  ids.forEach(id => {
+    const pre = pretest.get(id);
+    const post = posttest.get(id);
+    if (!pre || !post) {
+      missing.push({ participant_number: id, group: groupOf(id), hasPretest: Boolean(pre), hasPosttest: Boolean(post) });
+      return;
+    }
+    const scores = Object.fromEntries(OUTCOMES.map(outcome => {
+      const before = outcome.score(pre);
+      const after = outcome.score(post);
+      return [outcome.id, {
+        pre: before,
+        post: after,
+        change: before === null || after === null ? null : after - before
+      }];
+    }));
+    pairs.push({ participant_number: id, group: groupOf(id), pretest: pre, posttest: post, scores });
+  });
+
+  return { pairs, missing };
+};
+
+// Paired mean change with a 95% CI per outcome, for each group and overall.
+// Only participants with both scores for an outcome count towards it.
+export const summarizeChange = (pairs, groups) => {
+  const rowsFor = (group) => (group === null ? pairs : pairs.filter(pair => pair.group === group));
+
+  return OUTCOMES.map(outcome => ({
+    outcome,
+    groups: [...groups, null].map(group => {
+      const complete = rowsFor(group).filter(pair => pair.scores[outcome.id].change !== null);
+      return {
+        group,
+        preMean: mean(numeric(complete.map(pair => pair.scores[outcome.id].pre))),
+        postMean: mean(numeric(complete.map(pair => pair.scores[outcome.id].post))),
+        change: meanWithCI(complete.map(pair => pair.scores[outcome.id].change))
+      };
+    })
+  }));
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+// One flat row per paired participant, for tables and exports
+export const toChangeRows = (pairs) => pairs.map(pair => ({
+  participant_number: pair.participant_number,
+  group: pair.group,
+  ...Object.fromEntries(OUTCOMES.flatMap(outcome => {
+    const { pre, post, change } = pair.scores[outcome.id];
+    return [
+      [`${outcome.id}_pre`, round(pre)],
+      [`${outcome.id}_post`, round(post)],
+      [`${outcome.id}_change`, round(change)]
+    ];
+  }))
+}));
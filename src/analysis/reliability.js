@@ -0,0 +1,68 @@
+import { WHO5, PSS4, BRIEF_COPE, keyedItemValue } from '../scoring';
+import { reliabilityAnalysis, formatStat } from '../stats';
+
+// Conventional floor for acceptable internal consistency in the papers
+export const DEFAULT_ALPHA_THRESHOLD = 0.7;
+
+const itemsByKey = new Map(BRIEF_COPE.items.map(item => [item.key, item]));
+
+// Every scale we report consistency for: the two totals and each COPE subscale
+export const RELIABILITY_SCALES = [
+  { id: WHO5.id, label: WHO5.label, instrument: WHO5, items: WHO5.items },
+  { id: PSS4.id, label: PSS4.label, instrument: PSS4, items: PSS4.items },
+  ...BRIEF_COPE.subscales.map(subscale => ({
+    id: `cope-${subscale.id}`,
+    label: `COPE: ${subscale.label}`,
+    instrument: BRIEF_COPE,
+    items: subscale.items.map(key => itemsByKey.get(key))
+  }))
+];
+
+// Listwise: only responses with every item of the scale answered and in range
+const completeCases = (scale, rows) => rows
+  .map(row => scale.items.map(item => keyedItemValue(scale.instrument, item, row)))
+  .filter(values => values.every(value => value !== null));
+
+// { scale, n, incomplete, alpha, omega, items[{ item, mean, sd, correctedItemTotal, alphaIfDeleted, loading }] }
+// with alpha/omega null when there are too few complete responses
+export const analyzeReliability = (rows = []) => RELIABILITY_SCALES.map(scale => {
+  const cases = completeCases(scale, rows);
+  const incomplete = rows.length - cases.length;
+  if (cases.length < 2) {
+    return {
+      scale,
+      n: cases.length,
+      incomplete,
+      alpha: null,
+      omega: null,
+      items: scale.items.map(item => ({ item, mean: null, sd: null, correctedItemTotal: null, alphaIfDeleted: null, loading: null }))
+    };
+  }
+  const result = reliabilityAnalysis(cases);
+  return {
+    scale,
+    n: result.n,
+    incomplete,
+    alpha: result.alpha,
+    omega: result.omega,
+    items: result.items.map((stats, j) => ({ item: scale.items[j], ...stats }))
+  };
+});
+
+export const isBelowThreshold = (result, threshold) => result.alpha !== null && result.alpha < threshold;
+
+// Spreadsheet rows, one per item, for each timepoint's results
+export const toReliabilityRows = (resultsByTimepoint, threshold = DEFAULT_ALPHA_THRESHOLD) =>
+  resultsByTimepoint.flatMap(({ timepoint, results }) => results.flatMap(result => result.items.map(item => ({
+    Timepoint: timepoint,
+    Scale: result.scale.label,
+    n: result.n,
+    Alpha: formatStat(result.alpha, 3),
+    Omega: formatStat(result.omega, 3),
+    'Below Threshold': isBelowThreshold(result, threshold) ? 'Yes' : '',
+    Item: item.item.label,
+    Mean: formatStat(item.mean),
+    SD: formatStat(item.sd),
+    'Corrected Item-Total r': formatStat(item.correctedItemTotal, 3),
+    'Alpha if Deleted': formatStat(item.alphaIfDeleted, 3)
+  }))));
@@ -0,0 +1,21 @@
+// Who viewed or exported what, written to the `audit_log` table
+// (schema and access policies in supabase/migrations).
+export const AUDIT_TABLE = 'audit_log';
+
+// Audit writes never block or break the action being audited; failures are logged
+export const recordAuditEvent = async (source, user, action, { filters = null, rowCount = null, ...details } = {}) => {
+  try {
+    await source.insert(AUDIT_TABLE, {
+      user_id: user?.id ?? null,
+      user_email: user?.email ?? null,
+      action,
+      filters,
+      row_count: rowCount,
+      details
+      // The database overwrites user_id, user_email and created_at from the
+      // session, so clients can't impersonate or backdate events
+    });
+  } catch (err) {
+    console.error(`Could not record audit event "${action}":`, err);
+  }
+};
@@ -0,0 +1,15 @@
+import { useCallback } from 'react';
+import { useAuth } from '../auth/AuthContext';
+import { useDataStore } from '../store/DataStoreContext';
+import { recordAuditEvent } from './auditLog';
+
+// Returns `log(action, { filters, rowCount, ...details })` bound to the signed-in
+// user and the current data source
+export const useAuditLog = () => {
+  const { user } = useAuth();
+  const { source } = useDataStore();
+  return useCallback(
+    (action, details) => recordAuditEvent(source, user, action, details),
+    [source, user]
+  );
+};
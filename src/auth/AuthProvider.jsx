@@ -0,0 +1,151 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { supabase } from '../supabaseClient';
+import { clearSnapshots } from '../store/snapshotStore';
+import { AuthContext } from './AuthContext';
+import { clearActivity } from './activity';
+
+// Without Supabase credentials (fixture/memory data in `npm run dev`) there is no
+// one to authenticate against, so development builds get a local stand-in session
+// (role from VITE_LOCAL_ROLE). Production builds never do.
+const LOCAL_SESSION = !supabase && import.meta.env.DEV
+  ? {
+      user: {
+        id: 'local',
+        email: 'local@localhost',
+        app_metadata: { role: import.meta.env.VITE_LOCAL_ROLE || 'pi' },
+        user_metadata: { full_name: 'Local Developer' }
+      }
+    }
+  : null;
+
+const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(LOCAL_SESSION);
+  const [loading, setLoading] = useState(Boolean(supabase));
+
+  // Supabase persists the session in localStorage, refreshes the access token
+  // before it expires and picks up magic-link tokens from the URL on load
+  useEffect(() => {
+    if (!supabase) return undefined;
+
+    let active = true;
+    supabase.auth.getSession().then(({ data }) => {
+      if (!active) return;
+      setSession(data.session);
+      setLoading(false);
+    });
+
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((event, nextSession) => {
+      // Also covers sessions that end on their own (a revoked or expired refresh
+      // token, signing out in another tab), which must not leave participant
+      // snapshots behind on a shared machine either
+      if (event === 'SIGNED_OUT') {
+        clearActivity();
+        clearSnapshots();
+      }
+      setSession(nextSession);
+      setLoading(false);
+    });
+
+    return () => {
+      active = false;
+      subscription.unsubscribe();
+    };
+  }, []);
+
+  const signInWithPassword = useCallback(async (email, password) => {
+    if (!supabase) throw new Error('Sign-in is unavailable: Supabase is not configured');
+    const { error } = await supabase.auth.signInWithPassword({ email, password });
+    if (error) throw error;
+  }, []);
+
+  // Confirm the signed-in user's password again, e.g. to leave the lock screen.
+  // The local development session has no password to check.
+  const reauthenticate = useCallback(async (password) => {
+    if (!supabase) return;
+    const { error } = await supabase.auth.signInWithPassword({
+      email: session?.user?.email,
+      password
+    });
+    if (error) throw error;
+  }, [session]);
+
+  // Password-less alternative for users who sign in by magic link: email a
+  // one-time code (the email template must include {{ .Token }}) and check it
+  // with verifyReauthenticationCode
+  const sendReauthenticationCode = useCallback(async () => {
+    if (!supabase) return;
+    const { error } = await supabase.auth.signInWithOtp({
+      email: session?.user?.email,
+      options: { shouldCreateUser: false }
+    });
+    if (error) throw error;
+  }, [session]);
+
+  const verifyReauthenticationCode = useCallback(async (code) => {
+    if (!supabase) return;
+    const { error } = await supabase.auth.verifyOtp({
+      email: session?.user?.email,
+      token: code,
+      type: 'email'
+    });
+    if (error) throw error;
+  }, [session]);
+
+  // Only existing staff accounts get a link; unknown addresses are not signed up
+  const signInWithMagicLink = useCallback(async (email) => {
+    if (!supabase) throw new Error('Sign-in is unavailable: Supabase is not configured');
+    const { error } = await supabase.auth.signInWithOtp({
+      email,
+      options: {
+        shouldCreateUser: false,
+        emailRedirectTo: window.location.origin
+      }
+    });
+    if (error) throw error;
+  }, []);
+
+  // Offline snapshots hold participant data, so they go with the session
+  const signOut = useCallback(async () => {
+    clearActivity();
+    await clearSnapshots();
+    if (!supabase) {
+      setSession(null);
+      return;
+    }
+    const { error } = await supabase.auth.signOut();
+    if (error) {
+      console.error('Error signing out:', error);
+      // Drop the local session even if the server call failed
+      await supabase.auth.signOut({ scope: 'local' });
+    }
+  }, []);
+
+  const value = useMemo(() => ({
+    session,
+    user: session?.user ?? null,
+    loading,
+    signInWithPassword,
+    signInWithMagicLink,
+    reauthenticate,
+    sendReauthenticationCode,
+    verifyReauthenticationCode,
+    signOut
+  }), [
+    session,
+    loading,
+    signInWithPassword,
+    signInWithMagicLink,
+    reauthenticate,
+    sendReauthenticationCode,
+    verifyReauthenticationCode,
+    signOut
+  ]);
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export default AuthProvider;
@@ -0,0 +1,30 @@
+// Time of the user's last interaction, shared by every open tab through
+// localStorage so working in one tab keeps the others unlocked, and a reload
+// can't be used to skip the lock screen.
+const LAST_ACTIVITY_KEY = 'research-dashboard-last-activity';
+
+export const readLastActivity = () => {
+  try {
+    const value = Number(localStorage.getItem(LAST_ACTIVITY_KEY));
+    return value > 0 ? value : null;
+  } catch {
+    return null;
+  }
+};
+
+export const recordActivity = (time = Date.now()) => {
+  try {
+    localStorage.setItem(LAST_ACTIVITY_KEY, String(time));
+  } catch {
+    // Storage unavailable (private mode); the in-memory timer still works
+  }
+  return time;
+};
+
+export const clearActivity = () => {
+  try {
+    localStorage.removeItem(LAST_ACTIVITY_KEY);
+  } catch {
+    // Nothing stored
+  }
+};
@@ -0,0 +1,73 @@
+// Study staff roles. The role comes from the user's `app_metadata.role` claim,
+// which only the service role can set (unlike `user_metadata`, which users can
+// edit themselves). These rules decide what the dashboard shows; the database's
+// row-level security policies remain what actually protects the data.
+
+export const COMMENT_COLUMNS = [
+  'additional_comments',
+  'app_helpful_features',
+  'app_technical_issues',
+  'app_suggestions'
+];
+
+const IDENTIFYING_COLUMNS = ['sample_code', 'income_level'];
+
+const ALL_TABS = ['overview', 'analytics', 'app-usage', 'pretest', 'posttest', 'pre-post', 'demographics'];
+
+export const ROLES = {
+  pi: {
+    label: 'Principal Investigator',
+    // Only PIs may browse the audit trail (also enforced by its RLS policy)
+    tabs: [...ALL_TABS, 'audit'],
+    hiddenColumns: [],
+    canExport: true,
+    canUnblind: true
+  },
+  analyst: {
+    label: 'Analyst',
+    tabs: ALL_TABS,
+    hiddenColumns: [...IDENTIFYING_COLUMNS, ...COMMENT_COLUMNS],
+    canExport: true,
+    canUnblind: false
+  },
+  research_assistant: {
+    label: 'Research Assistant',
+    tabs: ['overview', 'app-usage', 'pretest', 'posttest', 'demographics'],
+    hiddenColumns: ['income_level'],
+    canExport: false,
+    canUnblind: false
+  },
+  monitor: {
+    label: 'Read-only Monitor',
+    tabs: ['overview', 'analytics'],
+    hiddenColumns: [...IDENTIFYING_COLUMNS, ...COMMENT_COLUMNS],
+    canExport: false,
+    canUnblind: false
+  }
+};
+
+// Role key for a Supabase user, or null when they have no (known) role
+export const getUserRole = (user) => {
+  const role = user?.app_metadata?.role;
+  return ROLES[role] ? role : null;
+};
+
+const NO_ACCESS = { label: 'No role assigned', tabs: [], hiddenColumns: [], canExport: false, canUnblind: false };
+
+export const getPermissions = (role) => {
+  const definition = ROLES[role] || NO_ACCESS;
+  const hidden = new Set(definition.hiddenColumns);
+
+  return {
+    role,
+    ...definition,
+    canViewTab: (tab) => definition.tabs.includes(tab),
+    canViewColumn: (column) => !hidden.has(column),
+    // Copy of `rows` without the columns this role may not see
+    omitHidden: (rows) => (hidden.size === 0
+      ? rows
+      : rows.map(row => Object.fromEntries(
+        Object.entries(row).filter(([column]) => !hidden.has(column))
+      )))
+  };
+};
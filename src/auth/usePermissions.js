@@ -0,0 +1,9 @@
+import { useMemo } from 'react';
+import { useAuth } from './AuthContext';
+import { getPermissions, getUserRole } from './roles';
+
+// What the signed-in user's role may see and do
+export const usePermissions = () => {
+  const { user } = useAuth();
+  return useMemo(() => getPermissions(getUserRole(user)), [user]);
+};
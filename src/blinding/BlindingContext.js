@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+
+export const BlindingContext = createContext(null);
+
+export const useBlinding = () => {
+  const blinding = useContext(BlindingContext);
+  if (!blinding) {
+    throw new Error('useBlinding must be used within a BlindingProvider');
+  }
+  return blinding;
+};
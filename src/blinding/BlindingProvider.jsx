@@ -0,0 +1,50 @@
+import React, { useCallback, useMemo, useState } from 'react';
+import { usePermissions } from '../auth/usePermissions';
+import { useAuditLog } from '../audit/useAuditLog';
+import { BlindingContext } from './BlindingContext';
+import { GROUPS, createArmCodes, maskRows, unmaskGroup } from './blinding';
+
+const ARM_CODES = createArmCodes(import.meta.env.VITE_BLINDING_KEY);
+
+// Every session starts blinded; only roles allowed to unblind can reveal the
+// allocation, and each switch is written to the audit log.
+const BlindingProvider = ({ children }) => {
+  const permissions = usePermissions();
+  const log = useAuditLog();
+  const [blinded, setBlindedState] = useState(true);
+
+  const setBlinded = useCallback((next) => {
+    if (next === blinded) return;
+    if (!next && !permissions.canUnblind) {
+      log('blinding.unblind_denied', { role: permissions.role });
+      return;
+    }
+    setBlindedState(next);
+    log(next ? 'blinding.reblind' : 'blinding.unblind', { role: permissions.role });
+  }, [blinded, permissions, log]);
+
+  const value = useMemo(() => {
+    // Filter/select options in display order; `value` is what appears in the rows
+    const arms = blinded
+      ? Object.values(ARM_CODES).sort().map(code => ({ value: code, label: code }))
+      : GROUPS.map(group => ({ value: group, label: group }));
+
+    return {
+      blinded,
+      canUnblind: permissions.canUnblind,
+      setBlinded,
+      arms,
+      maskRows: (rows) => (blinded ? maskRows(rows, ARM_CODES) : rows),
+      // Turn a displayed group back into the stored value, for server-side filters
+      unmaskGroup: (label) => (blinded ? unmaskGroup(label, ARM_CODES) : label)
+    };
+  }, [blinded, permissions.canUnblind, setBlinded]);
+
+  return (
+    <BlindingContext.Provider value={value}>
+      {children}
+    </BlindingContext.Provider>
+  );
+};
+
+export default BlindingProvider;
@@ -0,0 +1,35 @@
+// Allocation concealment for outcome assessors: while blinded, the real group
+// names are swapped for neutral arm codes everywhere the dashboard shows them.
+// Masking happens in the browser, so it hides labels from assessors on screen
+// and in exports; it is not a substitute for withholding the column server-side.
+
+export const GROUPS = ['Intervention', 'Control'];
+
+// Columns that carry a participant's allocation, across all tables
+export const GROUP_COLUMNS = ['Group', 'group_assignment', 'group'];
+
+const hashString = (text) =>
+  [...text].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+
+// Which arm code each group gets. Derived from a per-study key so the mapping
+// is the same in every session and export, without always making A = Intervention.
+export const createArmCodes = (key = '') => {
+  const codes = ['Arm A', 'Arm B'];
+  if (hashString(key) % 2 === 1) codes.reverse();
+  return Object.fromEntries(GROUPS.map((group, i) => [group, codes[i]]));
+};
+
+export const maskGroup = (value, codes) => codes[value] ?? value;
+
+export const unmaskGroup = (label, codes) =>
+  Object.keys(codes).find(group => codes[group] === label) ?? label;
+
+// Copy of `rows` with every allocation column replaced by its arm code
+export const maskRows = (rows, codes) =>
+  rows.map(row => {
+    const masked = { ...row };
+    GROUP_COLUMNS.forEach(column => {
+      if (column in masked) masked[column] = maskGroup(masked[column], codes);
+    });
+    return masked;
+  });
@@ -0,0 +1,105 @@
+import React from 'react';
+import { formatP, formatStat, formatWithCI } from '../stats';
+import CovariatePicker from './CovariatePicker';
+
+// ANCOVA results (posttest ~ group + pretest + chosen covariates) for each
+// interval outcome, with the covariate picker. `fits` come from fitAncovas.
+const AdjustedComparison = ({ fits, covariateOptions, covariates, onCovariatesChange }) => (
+  <div className="space-y-6">
+    <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Baseline-Adjusted Comparison (ANCOVA)</h3>
+      <p className="text-xs text-gray-500 mb-4">
+        Posttest score by group, adjusted for the participant's pretest score and any demographic covariates
+        selected below. Participants missing a timepoint or a selected covariate are left out.
+      </p>
+      <p className="text-sm font-medium text-gray-700 mb-2">Demographic covariates</p>
+      <CovariatePicker options={covariateOptions} selected={covariates} onChange={onCovariatesChange} />
+    </div>
+
+    {fits.map(fit => (
+      <div key={fit.outcome.id} className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+        <div className="flex flex-col sm:flex-row sm:items-baseline sm:justify-between mb-4">
+          <h4 className="text-md font-bold text-gray-900">{fit.outcome.label}</h4>
+          {fit.model && (
+            <p className="text-xs text-gray-500">
+              n = {fit.n} · R² = {formatStat(fit.model.rSquared)} · adjusted R² = {formatStat(fit.model.adjustedRSquared)} · residual SE = {formatStat(fit.model.residualSE)}
+            </p>
+          )}
+        </div>
+
+        {!fit.model ? (
+          <p className="text-sm text-gray-500">
+            Not enough complete cases to fit this model (n = {fit.n}). Try fewer covariates.
+          </p>
+        ) : (
+          <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+            <div>
+              <h5 className="text-sm font-semibold text-gray-700 mb-2">Adjusted Means</h5>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200 text-xs text-gray-500 uppercase tracking-wider">
+                    <th className="py-2 pr-3 text-left font-medium">Group</th>
+                    <th className="py-2 px-3 text-right font-medium">n</th>
+                    <th className="py-2 px-3 text-right font-medium">Raw</th>
+                    <th className="py-2 pl-3 text-right font-medium">Adjusted [95% CI]</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {fit.adjustedMeans.map(adjusted => (
+                    <tr key={adjusted.arm.value}>
+                      <td className="py-2 pr-3 text-gray-900">{adjusted.arm.label}</td>
+                      <td className="py-2 px-3 text-right text-gray-700">{adjusted.n}</td>
+                      <td className="py-2 px-3 text-right text-gray-700">{formatStat(adjusted.unadjusted)}</td>
+                      <td className="py-2 pl-3 text-right font-bold text-blue-900 whitespace-nowrap">{formatWithCI(adjusted)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-500 mt-3">
+                Adjusted difference: <span className="font-semibold text-gray-900">{formatWithCI({
+                  value: fit.difference.estimate,
+                  lower: fit.difference.lower,
+                  upper: fit.difference.upper
+                })}</span>, p = {formatP(fit.difference.p)}
+              </p>
+            </div>
+
+            <div className="xl:col-span-2 overflow-x-auto">
+              <h5 className="text-sm font-semibold text-gray-700 mb-2">Coefficients</h5>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200 text-xs text-gray-500 uppercase tracking-wider">
+                    <th className="py-2 pr-3 text-left font-medium">Term</th>
+                    <th className="py-2 px-3 text-right font-medium">Estimate</th>
+                    <th className="py-2 px-3 text-right font-medium">SE</th>
+                    <th className="py-2 px-3 text-right font-medium">t</th>
+                    <th className="py-2 px-3 text-right font-medium">p</th>
+                    <th className="py-2 pl-3 text-right font-medium">95% CI</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {fit.model.coefficients.map((coefficient, index) => (
+                    <tr key={coefficient.name} className={index === 1 ? 'bg-blue-50' : ''}>
+                      <td className="py-2 pr-3 text-gray-900 capitalize">{coefficient.name}</td>
+                      <td className="py-2 px-3 text-right text-gray-700">{formatStat(coefficient.estimate, 3)}</td>
+                      <td className="py-2 px-3 text-right text-gray-700">{formatStat(coefficient.se, 3)}</td>
+                      <td className="py-2 px-3 text-right text-gray-700">{formatStat(coefficient.t)}</td>
+                      <td className={`py-2 px-3 text-right ${coefficient.p < 0.05 ? 'font-bold text-blue-900' : 'text-gray-700'}`}>
+                        {formatP(coefficient.p)}
+                      </td>
+                      <td className="py-2 pl-3 text-right text-gray-600 whitespace-nowrap">
+                        [{formatStat(coefficient.lower, 3)}, {formatStat(coefficient.upper, 3)}]
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    ))}
+  </div>
+);
+
+export default AdjustedComparison;
@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useCallback } from 'react';
 import { 
   TrendingUp, 
   TrendingDown, 
@@ -15,7 +15,12 @@ import {
   Calendar,
   Zap,
   Target,
-  Layers
+  Layers,
+  Sigma,
+  SlidersHorizontal,
+  Gauge,
+  ChartScatter,
+  Puzzle
 } from 'lucide-react';
 import { Bar, Line, Doughnut, Scatter } from 'react-chartjs-2';
 import {
@@ -32,6 +37,23 @@ import {
 } from 'chart.js';
 import useAdvancedAnalytics from '../hooks/useAdvancedAnalytics';
 import StatisticalCharts from './StatisticalCharts';
+import CopeSubscales from './CopeSubscales';
+import TrialStatistics from './TrialStatistics';
+import AdjustedComparison from './AdjustedComparison';
+import ReliabilityPanel from './ReliabilityPanel';
+import EngagementOutcome from './EngagementOutcome';
+import MissingDataImputation from './MissingDataImputation';
+import { usePermissions } from '../auth/usePermissions';
+import { useAuditLog } from '../audit/useAuditLog';
+import { useBlinding } from '../blinding/BlindingContext';
+import { runTrialTests, toResultRows } from '../analysis/groupComparison';
+import { covariateOptions, fitAncovas, toAncovaRows } from '../analysis/ancova';
+import { analyzeReliability, toReliabilityRows, DEFAULT_ALPHA_THRESHOLD } from '../analysis/reliability';
+import { fitLongitudinalModels, toMixedModelRows } from '../analysis/longitudinal';
+import { joinExposure, toDoseResponseRows, toDoseResponseSummaryRows } from '../analysis/doseResponse';
+import { imputeOutcomes, toImputationRows, DEFAULT_IMPUTATIONS } from '../analysis/imputation';
+import { pairPrePost } from '../analysis/prePost';
+import { formatPopulation } from '../analysis/population';
 import * as XLSX from 'xlsx';
 
 ChartJS.register(
@@ -46,12 +68,20 @@ ChartJS.register(
   ArcElement
 );
 
-const AnalyticsDashboard = ({ appUsageData, pretestData, demographicsData }) => {
+const AnalyticsDashboard = ({ appUsageData, pretestData, posttestData, demographicsData, population = null }) => {
+  const permissions = usePermissions();
+  const log = useAuditLog();
+  const { arms } = useBlinding();
   const [activeView, setActiveView] = useState('overview');
   const [dateRange, setDateRange] = useState('all');
   const [demographicFilter, setDemographicFilter] = useState('all');
   const [participantFilter, setParticipantFilter] = useState('all');
   const [showFilters, setShowFilters] = useState(false);
+  const [covariates, setCovariates] = useState([]);
+  const [alphaThreshold, setAlphaThreshold] = useState(DEFAULT_ALPHA_THRESHOLD);
+  const [imputationMethod, setImputationMethod] = useState('pmm');
+  const [imputationCount, setImputationCount] = useState(DEFAULT_IMPUTATIONS);
+  const [imputationCovariates, setImputationCovariates] = useState([]);
   
   // Enhanced filtering state
   const [filters, setFilters] = useState({
@@ -107,6 +137,7 @@ const AnalyticsDashboard = ({ appUsageData, pretestData, demographicsData }) =>
   const filteredData = useMemo(() => {
     let filteredAppUsage = appUsageData || [];
     let filteredPretest = pretestData || [];
+    let filteredPosttest = posttestData || [];
     let filteredDemographics = demographicsData || [];
     
     // Date filtering
@@ -138,6 +169,9 @@ const AnalyticsDashboard = ({ appUsageData, pretestData, demographicsData }) =>
         filteredPretest = filteredPretest.filter(item => 
           item.created_at && new Date(item.created_at) >= cutoffDate
         );
+        filteredPosttest = filteredPosttest.filter(item => 
+          item.created_at && new Date(item.created_at) >= cutoffDate
+        );
         filteredDemographics = filteredDemographics.filter(item => 
           item.created_at && new Date(item.created_at) >= cutoffDate
         );
@@ -169,6 +203,9 @@ const AnalyticsDashboard = ({ appUsageData, pretestData, demographicsData }) =>
       filteredPretest = filteredPretest.filter(item => 
         item.participant_number === participantFilter
       );
+      filteredPosttest = filteredPosttest.filter(item => 
+        item.participant_number === participantFilter
+      );
       filteredDemographics = filteredDemographics.filter(item => 
         item.participant_number === participantFilter
       );
@@ -192,6 +229,11 @@ const AnalyticsDashboard = ({ appUsageData, pretestData, demographicsData }) =>
           const itemDate = new Date(item.created_at);
           return (!startDate || itemDate >= startDate) && (!endDate || itemDate <= endDate);
         });
+        filteredPosttest = filteredPosttest.filter(item => {
+          if (!item.created_at) return false;
+          const itemDate = new Date(item.created_at);
+          return (!startDate || itemDate >= startDate) && (!endDate || itemDate <= endDate);
+        });
       }
     }
 
@@ -270,11 +312,70 @@ const AnalyticsDashboard = ({ appUsageData, pretestData, demographicsData }) =>
     return {
       appUsage: filteredAppUsage,
       pretest: filteredPretest,
+      posttest: filteredPosttest,
       demographics: filteredDemographics
     };
-  }, [appUsageData, pretestData, demographicsData, dateRange, demographicFilter, participantFilter, filters]);
+  }, [appUsageData, pretestData, posttestData, demographicsData, dateRange, demographicFilter, participantFilter, filters]);
   
-  const analytics = useAdvancedAnalytics(filteredData.appUsage, filteredData.pretest, filteredData.demographics, dateRange);
+  const analytics = useAdvancedAnalytics(filteredData.appUsage, filteredData.pretest, filteredData.demographics, dateRange, population);
+
+  // Intervention vs control tests on the filtered responses (arm codes while blinded)
+  const trialResults = useMemo(
+    () => runTrialTests({ pretest: filteredData.pretest, posttest: filteredData.posttest, arms }),
+    [filteredData.pretest, filteredData.posttest, arms]
+  );
+
+  // Paired participants joined to their app use, for dose-response
+  const engagement = useMemo(
+    () => joinExposure(pairPrePost(filteredData.pretest, filteredData.posttest).pairs, filteredData.appUsage),
+    [filteredData.pretest, filteredData.posttest, filteredData.appUsage]
+  );
+
+  // outcome ~ group * time + (1 | participant) over every wave; the first arm is the
+  // reference. Fitted only while its tab is open; the export fits on demand.
+  const fitMixedModels = useCallback(
+    () => fitLongitudinalModels({ pretest: filteredData.pretest, posttest: filteredData.posttest, arms }),
+    [filteredData.pretest, filteredData.posttest, arms]
+  );
+  const statisticalOpen = activeView === 'statistical';
+  const longitudinalFits = useMemo(
+    () => (statisticalOpen ? fitMixedModels() : null),
+    [statisticalOpen, fitMixedModels]
+  );
+
+  // posttest ~ group + pretest (+ chosen demographics); the first arm is the reference
+  const availableCovariates = useMemo(() => covariateOptions(filteredData.demographics), [filteredData.demographics]);
+  const ancovaFits = useMemo(
+    () => fitAncovas({
+      pretest: filteredData.pretest,
+      posttest: filteredData.posttest,
+      demographics: filteredData.demographics,
+      arms,
+      covariates: covariates.filter(column => availableCovariates.some(option => option.value === column))
+    }),
+    [filteredData.pretest, filteredData.posttest, filteredData.demographics, arms, covariates, availableCovariates]
+  );
+
+  // Missing posttests imputed from group, pretest and chosen demographics, pooled by
+  // Rubin's rules. Dozens of imputations per outcome, so only while its tab is open;
+  // the export runs them on demand.
+  const runImputation = useCallback(
+    () => imputeOutcomes({
+      pretest: filteredData.pretest,
+      posttest: filteredData.posttest,
+      demographics: filteredData.demographics,
+      arms,
+      covariates: imputationCovariates.filter(column => availableCovariates.some(option => option.value === column)),
+      method: imputationMethod,
+      imputations: imputationCount
+    }),
+    [filteredData.pretest, filteredData.posttest, filteredData.demographics, arms, imputationCovariates, availableCovariates, imputationMethod, imputationCount]
+  );
+  const imputationOpen = activeView === 'imputation';
+  const imputationResults = useMemo(
+    () => (imputationOpen ? runImputation() : null),
+    [imputationOpen, runImputation]
+  );
 
   // Get filter options from data
   const filterOptions = useMemo(() => {
@@ -417,9 +518,10 @@ const AnalyticsDashboard = ({ appUsageData, pretestData, demographicsData }) =>
     }]
   };
 
-  // Demographic distribution (exclude participant_id and sample_code)
+  // Demographic distribution (exclude participant_id, sample_code and anything the role hides)
   const demographicCharts = Object.entries(analytics.demographicDistribution)
     .filter(([field]) => field !== 'participant_id' && field !== 'sample_code')
+    .filter(([field]) => permissions.canViewColumn(field))
     .map(([field, distribution]) => ({
       field,
       chart: {
@@ -436,10 +538,16 @@ const AnalyticsDashboard = ({ appUsageData, pretestData, demographicsData }) =>
     }));
 
   const exportAnalytics = () => {
+    if (!permissions.canExport) return;
     const workbook = XLSX.utils.book_new();
     
     // Summary sheet
     const summaryData = [
+      ...(population ? [
+        { Metric: 'Analysis Population', Value: population.label },
+        { Metric: 'Population Size', Value: population.n },
+        ...(population.id === 'per-protocol' ? [{ Metric: 'Per-Protocol Minimum Sessions', Value: population.minSessions }] : [])
+      ] : []),
       { Metric: 'Total Sessions', Value: analytics.summary.totalSessions },
       { Metric: 'Total Participants', Value: analytics.summary.totalParticipants },
       { Metric: 'Average Session Duration (min)', Value: analytics.sessionAnalytics.mean.toFixed(2) },
@@ -473,6 +581,37 @@ const AnalyticsDashboard = ({ appUsageData, pretestData, demographicsData }) =>
     const sessionStatsSheet = XLSX.utils.json_to_sheet(sessionStatsData);
     XLSX.utils.book_append_sheet(workbook, sessionStatsSheet, 'Session Statistics');
     
+    // Trial outcome tests
+    const trialSheet = XLSX.utils.json_to_sheet(toResultRows(trialResults));
+    XLSX.utils.book_append_sheet(workbook, trialSheet, 'Trial Statistics');
+
+    // Baseline-adjusted comparison
+    const ancovaSheet = XLSX.utils.json_to_sheet(toAncovaRows(ancovaFits));
+    XLSX.utils.book_append_sheet(workbook, ancovaSheet, 'ANCOVA');
+
+    // Repeated-measures (group x time) models
+    const mixedModelSheet = XLSX.utils.json_to_sheet(toMixedModelRows(longitudinalFits ?? fitMixedModels()));
+    XLSX.utils.book_append_sheet(workbook, mixedModelSheet, 'Mixed Models');
+
+    // Complete-case vs multiply imputed group differences
+    const imputationSheet = XLSX.utils.json_to_sheet(
+      toImputationRows(imputationResults ?? runImputation(), { method: imputationMethod, imputations: imputationCount })
+    );
+    XLSX.utils.book_append_sheet(workbook, imputationSheet, 'Multiple Imputation');
+
+    // Dose-response per arm, then exposure and change per paired participant
+    const doseResponseSheet = XLSX.utils.json_to_sheet(toDoseResponseSummaryRows(engagement, arms));
+    XLSX.utils.book_append_sheet(workbook, doseResponseSheet, 'Dose-Response by Group');
+    const engagementSheet = XLSX.utils.json_to_sheet(toDoseResponseRows(engagement));
+    XLSX.utils.book_append_sheet(workbook, engagementSheet, 'Engagement vs Outcome');
+
+    // Internal consistency, all groups
+    const reliabilitySheet = XLSX.utils.json_to_sheet(toReliabilityRows([
+      { timepoint: 'Pretest', results: analyzeReliability(filteredData.pretest) },
+      { timepoint: 'Posttest', results: analyzeReliability(filteredData.posttest) }
+    ], alphaThreshold));
+    XLSX.utils.book_append_sheet(workbook, reliabilitySheet, 'Reliability');
+    
     // Daily trends
     if (analytics.dailySessions && analytics.dailySessions.length > 0) {
       const dailyTrendsSheet = XLSX.utils.json_to_sheet(
@@ -486,6 +625,11 @@ const AnalyticsDashboard = ({ appUsageData, pretestData, demographicsData }) =>
     
     const filename = `research_analytics_${new Date().toISOString().split('T')[0]}.xlsx`;
     XLSX.writeFile(workbook, filename);
+
+    log('export.analytics', {
+      filters: { dateRange, demographic: demographicFilter, participant: participantFilter, covariates, population: population?.id, ...filters },
+      rowCount: filteredData.appUsage.length
+    });
   };
 
   const InsightCard = ({ insight }) => {
@@ -561,6 +705,12 @@ const AnalyticsDashboard = ({ appUsageData, pretestData, demographicsData }) =>
         <div>
           <h2 className="text-2xl font-bold text-gray-900">Advanced Analytics</h2>
           <p className="text-gray-600">Comprehensive statistical analysis and insights</p>
+          {population && (
+            <p className="text-sm text-gray-500 mt-1" title={population.description}>
+              Analysis population: <span className="font-semibold text-blue-900">{formatPopulation(population, population.n)}</span>
+              {' · '}{filteredData.pretest.length} pretest / {filteredData.posttest.length} posttest responses in view
+            </p>
+          )}
         </div>
         
         <div className="flex items-center space-x-3">
@@ -591,13 +741,15 @@ const AnalyticsDashboard = ({ appUsageData, pretestData, demographicsData }) =>
             <option value="today">Today</option>
           </select>
           
-          <button
-            onClick={exportAnalytics}
-            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm"
-          >
-            <Download className="w-4 h-4 mr-2" />
-            Export Analytics
-          </button>
+          {permissions.canExport && (
+            <button
+              onClick={exportAnalytics}
+              className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm"
+            >
+              <Download className="w-4 h-4 mr-2" />
+              Export Analytics
+            </button>
+          )}
         </div>
       </div>
 
@@ -838,6 +990,12 @@ const AnalyticsDashboard = ({ appUsageData, pretestData, demographicsData }) =>
             { id: 'overview', label: 'Overview', icon: BarChart3 },
             { id: 'sessions', label: 'Session Analysis', icon: Activity },
             { id: 'statistical', label: 'Statistical Charts', icon: Target },
+            { id: 'coping', label: 'Coping Styles', icon: Layers },
+            { id: 'trial', label: 'Trial Statistics', icon: Sigma },
+            { id: 'adjusted', label: 'Adjusted Comparison', icon: SlidersHorizontal },
+            { id: 'reliability', label: 'Psychometrics', icon: Gauge },
+            { id: 'engagement', label: 'Engagement vs Outcome', icon: ChartScatter },
+            { id: 'imputation', label: 'Missing Data', icon: Puzzle },
             { id: 'demographics', label: 'Demographics', icon: Users },
             { id: 'insights', label: 'Insights', icon: Zap }
           ].map(tab => (
@@ -990,10 +1148,68 @@ const AnalyticsDashboard = ({ appUsageData, pretestData, demographicsData }) =>
             appUsageData={filteredData.appUsage}
             pretestData={filteredData.pretest}
             demographicsData={filteredData.demographics}
+            longitudinalFits={longitudinalFits}
+          />
+        </div>
+      )}
+
+      {/* Coping Styles Tab */}
+      {activeView === 'coping' && (
+        <div className="space-y-6">
+          <CopeSubscales
+            pretestData={filteredData.pretest}
+            posttestData={filteredData.posttest}
           />
         </div>
       )}
 
+      {/* Trial Statistics Tab */}
+      {activeView === 'trial' && (
+        <div className="space-y-6">
+          <TrialStatistics results={trialResults} />
+        </div>
+      )}
+
+      {/* Adjusted Comparison Tab */}
+      {activeView === 'adjusted' && (
+        <AdjustedComparison
+          fits={ancovaFits}
+          covariateOptions={availableCovariates}
+          covariates={covariates}
+          onCovariatesChange={setCovariates}
+        />
+      )}
+
+      {/* Psychometrics Tab */}
+      {activeView === 'reliability' && (
+        <ReliabilityPanel
+          pretestData={filteredData.pretest}
+          posttestData={filteredData.posttest}
+          threshold={alphaThreshold}
+          onThresholdChange={setAlphaThreshold}
+        />
+      )}
+
+      {/* Engagement vs Outcome Tab */}
+      {activeView === 'engagement' && (
+        <EngagementOutcome participants={engagement} />
+      )}
+
+      {/* Missing Data Tab */}
+      {activeView === 'imputation' && (
+        <MissingDataImputation
+          results={imputationResults}
+          arms={arms}
+          method={imputationMethod}
+          onMethodChange={setImputationMethod}
+          imputations={imputationCount}
+          onImputationsChange={setImputationCount}
+          covariateOptions={availableCovariates}
+          covariates={imputationCovariates}
+          onCovariatesChange={setImputationCovariates}
+        />
+      )}
+
       {/* Demographics Tab */}
       {activeView === 'demographics' && (
         <div className="space-y-6">
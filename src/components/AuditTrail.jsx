@@ -0,0 +1,31 @@
+import React from 'react';
+import { ShieldCheck } from 'lucide-react';
+import EnhancedDataTable from './EnhancedDataTable';
+import { AUDIT_TABLE } from '../audit/auditLog';
+
+// Browse and export the audit log. Only roles with the 'audit' tab reach this,
+// and the table's RLS policy limits reads to the same roles.
+const AuditTrail = () => (
+  <div className="space-y-6">
+    <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+      <div className="flex items-center">
+        <ShieldCheck className="w-5 h-5 text-blue-600 mr-2" />
+        <div>
+          <h3 className="text-sm font-medium text-blue-900">Data Access Audit Trail</h3>
+          <p className="text-sm text-blue-700 mt-1">
+            Every tab opened and every export, with the filters in effect and the number of rows involved.
+          </p>
+        </div>
+      </div>
+    </div>
+
+    <EnhancedDataTable
+      tableName={AUDIT_TABLE}
+      searchColumns={['user_email', 'action']}
+      title="Audit Trail"
+      type="audit"
+    />
+  </div>
+);
+
+export default AuditTrail;
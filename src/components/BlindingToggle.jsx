@@ -0,0 +1,55 @@
+import React from 'react';
+import { Eye, EyeOff, Lock } from 'lucide-react';
+import { useBlinding } from '../blinding/BlindingContext';
+
+// Header control for blinded analysis. `onChange` runs after a successful switch
+// so the caller can reset anything keyed to group labels (e.g. the group filter).
+const BlindingToggle = ({ onChange }) => {
+  const { blinded, canUnblind, setBlinded } = useBlinding();
+
+  if (!canUnblind) {
+    return (
+      <span
+        className="flex items-center px-3 py-1.5 text-xs font-medium rounded-full bg-gray-100 text-gray-700 whitespace-nowrap"
+        title="Group allocation is concealed for your role"
+      >
+        <Lock className="w-3 h-3 mr-1.5" />
+        Blinded
+      </span>
+    );
+  }
+
+  const toggle = () => {
+    if (blinded && !window.confirm('Reveal Intervention/Control allocation? This will be recorded in the audit log.')) {
+      return;
+    }
+    setBlinded(!blinded);
+    onChange?.(!blinded);
+  };
+
+  return (
+    <button
+      onClick={toggle}
+      title={blinded ? 'Reveal group allocation' : 'Hide group allocation'}
+      className={`flex items-center px-3 py-1.5 text-xs font-medium rounded-full transition-colors whitespace-nowrap ${
+        blinded
+          ? 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+          : 'bg-red-100 text-red-800 hover:bg-red-200'
+      }`}
+    >
+      {blinded ? (
+        <>
+          <EyeOff className="w-3 h-3 mr-1.5" />
+          Blinded
+        </>
+      ) : (
+        <>
+          <Eye className="w-3 h-3 mr-1.5" />
+          Unblinded
+        </>
+      )}
+    </button>
+  );
+};
+
+export default BlindingToggle;
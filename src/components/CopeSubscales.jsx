@@ -0,0 +1,107 @@
+import React from 'react';
+import { useBlinding } from '../blinding/BlindingContext';
+import { BRIEF_COPE, summarizeGroups, formatScore, formatCounts } from '../scoring';
+
+const TIMEPOINTS = [
+  { id: 'pre', label: 'Pre' },
+  { id: 'post', label: 'Post' }
+];
+
+// Amber marks means where the missing-item rule prorated or excluded some responses,
+// or some responses were out of range
+const isAffected = (summary) => summary.prorated > 0 || summary.excluded > 0 || summary.outOfRange > 0;
+
+// Brief COPE subscale and category means per group, pre and post. Rows need a
+// `group` column (as shown, so arm codes while blinded); arms with no responses
+// at either timepoint are left out.
+const CopeSubscales = ({ pretestData = [], posttestData = [] }) => {
+  const { arms } = useBlinding();
+  const rowsByTimepoint = { pre: pretestData, post: posttestData };
+
+  const columns = arms
+    .filter(arm => [...pretestData, ...posttestData].some(row => row.group === arm.value))
+    .flatMap(arm => TIMEPOINTS.map(timepoint => {
+      const rows = rowsByTimepoint[timepoint.id].filter(row => row.group === arm.value);
+      return {
+        key: `${arm.value}-${timepoint.id}`,
+        timepoint,
+        n: rows.length,
+        subscales: summarizeGroups(BRIEF_COPE, rows),
+        categories: summarizeGroups(BRIEF_COPE, rows, 'categories')
+      };
+    }));
+  const shownArms = arms.filter(arm => columns.some(column => column.key.startsWith(`${arm.value}-`)));
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+      <h4 className="text-md font-bold text-gray-900 mb-1">Brief COPE Subscales</h4>
+      <p className="text-xs text-gray-500 mb-4">
+        Mean item response ({BRIEF_COPE.range.min}–{BRIEF_COPE.range.max}); higher means the strategy is used more.
+        Hover a mean for its response count; amber means some responses were prorated, excluded
+        or out of range.
+      </p>
+
+      {columns.length === 0 ? (
+        <p className="text-sm text-gray-500">No Brief COPE responses yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200">
+                <th className="py-2 pr-4 text-left font-medium text-gray-500" rowSpan={2}>Subscale</th>
+                {shownArms.map(arm => (
+                  <th key={arm.value} colSpan={TIMEPOINTS.length} className="py-2 px-3 text-center font-semibold text-gray-900">
+                    {arm.label}
+                  </th>
+                ))}
+              </tr>
+              <tr className="border-b border-gray-200">
+                {columns.map(column => (
+                  <th key={column.key} className="py-1 px-3 text-center text-xs font-medium text-gray-500">
+                    {column.timepoint.label} <span className="text-gray-400">n={column.n}</span>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {BRIEF_COPE.categories.map(category => (
+                <React.Fragment key={category.id}>
+                  <tr className="bg-gray-50 border-t border-gray-200">
+                    <td className="py-2 pr-4 font-semibold text-gray-900">{category.label}</td>
+                    {columns.map(column => (
+                      <td
+                        key={column.key}
+                        title={formatCounts(column.categories[category.id])}
+                        className={`py-2 px-3 text-center font-semibold ${isAffected(column.categories[category.id]) ? 'text-amber-700' : 'text-blue-900'}`}
+                      >
+                        {formatScore(column.categories[category.id].mean, 2)}
+                      </td>
+                    ))}
+                  </tr>
+                  {BRIEF_COPE.subscales
+                    .filter(subscale => category.subscales.includes(subscale.id))
+                    .map(subscale => (
+                      <tr key={subscale.id}>
+                        <td className="py-1.5 pr-4 pl-4 text-gray-600">{subscale.label}</td>
+                        {columns.map(column => (
+                          <td
+                            key={column.key}
+                            title={formatCounts(column.subscales[subscale.id])}
+                            className={`py-1.5 px-3 text-center ${isAffected(column.subscales[subscale.id]) ? 'text-amber-700' : 'text-gray-900'}`}
+                          >
+                            {formatScore(column.subscales[subscale.id].mean, 2)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CopeSubscales;
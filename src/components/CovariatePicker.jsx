@@ -0,0 +1,39 @@
+import React from 'react';
+
+// Toggle chips for choosing demographic covariates (options from covariateOptions)
+const CovariatePicker = ({ options, selected, onChange }) => {
+  const toggle = (column) => {
+    onChange(selected.includes(column)
+      ? selected.filter(value => value !== column)
+      : [...selected, column]);
+  };
+
+  if (options.length === 0) {
+    return <p className="text-sm text-gray-500">No demographic columns are available to adjust for.</p>;
+  }
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {options.map(option => (
+        <label
+          key={option.value}
+          className={`flex items-center px-3 py-1.5 text-sm rounded-full border cursor-pointer capitalize transition-colors ${
+            selected.includes(option.value)
+              ? 'bg-blue-600 border-blue-600 text-white'
+              : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+          }`}
+        >
+          <input
+            type="checkbox"
+            className="sr-only"
+            checked={selected.includes(option.value)}
+            onChange={() => toggle(option.value)}
+          />
+          {option.label}
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default CovariatePicker;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { 
   BarChart3, 
   Users, 
@@ -12,19 +12,40 @@ import {
   Target,
   Download,
   ChevronLeft,
-  ChevronRight
+  ChevronRight,
+  ShieldCheck,
+  GitCompare
 } from 'lucide-react';
 import * as XLSX from 'xlsx';
 import DataTable from './DataTable';
 import EnhancedDataTable from './EnhancedDataTable';
 import DataCharts from './DataCharts';
 import AnalyticsDashboard from './AnalyticsDashboard';
+import LiveStatus from './LiveStatus';
+import EnvironmentBadge from './EnvironmentBadge';
+import BlindingToggle from './BlindingToggle';
+import AuditTrail from './AuditTrail';
+import CopeSubscales from './CopeSubscales';
+import ScoreCounts from './ScoreCounts';
+import PrePostComparison from './PrePostComparison';
+import PowerPanel from './PowerPanel';
+import { pairPrePost } from '../analysis/prePost';
+import { POPULATIONS, DEFAULT_POPULATION, populationMembers, populationFor, formatPopulation } from '../analysis/population';
+import { studyProtocol } from '../config/studyProtocol';
 import { useAppUsageSessions, usePretestResponses, useDemographicSurveys, useActiveParticipants, usePosttestResponses } from '../hooks/useSupabaseData';
+import { useDataStore } from '../store/DataStoreContext';
+import { useAuth } from '../auth/AuthContext';
+import { usePermissions } from '../auth/usePermissions';
+import { useBlinding } from '../blinding/BlindingContext';
+import { useAuditLog } from '../audit/useAuditLog';
+import { WHO5, PSS4, BRIEF_COPE, summarizeItem, summarizeScores, formatScore, formatCounts, withDerivedScores } from '../scoring';
 
 const Dashboard = ({ onLogout }) => {
   const [activeTab, setActiveTab] = useState('overview');
   const [sidebarOpen, setSidebarOpen] = useState(false);
-  const [groupFilter, setGroupFilter] = useState('all'); // 'all', 'Intervention', 'Control'
+  const [groupFilter, setGroupFilter] = useState('all'); // 'all' or one of `arms`
+  const [population, setPopulation] = useState(DEFAULT_POPULATION); // one of POPULATIONS
+  const [minSessions, setMinSessions] = useState(studyProtocol.perProtocolMinSessions);
   
   // Pagination states for comments
   const [commentsPage, setCommentsPage] = useState({
@@ -35,17 +56,50 @@ const Dashboard = ({ onLogout }) => {
   });
   const commentsPerPage = 5;
 
-  // Fetch data from Supabase
+  const { user } = useAuth();
+  const permissions = usePermissions();
+  const { blinded, arms, maskRows } = useBlinding();
+  const log = useAuditLog();
+  const displayName = user?.user_metadata?.full_name || user?.email || 'Signed in';
+
+  // Fetch data from Supabase (shared through the data store)
+  const { invalidate } = useDataStore();
   const appUsage = useAppUsageSessions();
   const pretestData = usePretestResponses();
   const posttestData = usePosttestResponses();
   const demographicsData = useDemographicSurveys();
   const participants = useActiveParticipants(); // Only active participants (id_used = true)
 
-  // Filter data based on selected group
-  const getFilteredData = () => {
+  // Allocation columns as they may be shown (arm codes while blinded). The derived
+  // datasets below are memoized so the analyses downstream only rerun when the
+  // data or a filter actually changes, not on every render.
+  const participantRows = useMemo(() => maskRows(participants.data), [maskRows, participants.data]);
+  const posttestRows = useMemo(() => maskRows(posttestData.data), [maskRows, posttestData.data]);
+
+  // Analysis populations from the stored rows (the usage rule needs the real groups)
+  const members = useMemo(() => populationMembers({
+    participants: participants.data,
+    posttest: posttestData.data,
+    appUsage: appUsage.data,
+    minSessions
+  }), [participants.data, posttestData.data, appUsage.data, minSessions]);
+
+  // Filter data based on selected group and analysis population
+  const filteredData = useMemo(() => {
+    // Keep only the selected population's participants in every dataset
+    const restrictToPopulation = (data) => {
+      const included = members[population];
+      return {
+        participants: data.participants.filter(p => included.has(p.participant_number)),
+        appUsage: data.appUsage.filter(s => included.has(s.participant_number)),
+        pretestData: data.pretestData.filter(p => included.has(p.participant_number)),
+        posttestData: data.posttestData.filter(p => included.has(p.participant_number)),
+        demographicsData: data.demographicsData.filter(d => included.has(d.participant_id))
+      };
+    };
+
     // Create a map of participant numbers to groups
-    const participantGroupMap = participants.data.reduce((map, p) => {
+    const participantGroupMap = participantRows.reduce((map, p) => {
       map[p.participant_number] = p.Group;
       return map;
     }, {});
@@ -57,35 +111,106 @@ const Dashboard = ({ onLogout }) => {
     }));
 
     // Posttest data already has group_assignment field
-    const enrichedPosttestData = posttestData.data.map(p => ({
+    const enrichedPosttestData = posttestRows.map(p => ({
       ...p,
       group: p.group_assignment || 'Unknown'
     }));
 
     if (groupFilter === 'all') {
-      return {
-        participants: participants.data,
+      return restrictToPopulation({
+        participants: participantRows,
         appUsage: appUsage.data,
         pretestData: enrichedPretestData,
         posttestData: enrichedPosttestData,
         demographicsData: demographicsData.data
-      };
+      });
     }
 
-    const participantNumbers = participants.data
+    const participantNumbers = participantRows
       .filter(p => p.Group === groupFilter)
       .map(p => p.participant_number);
 
-    return {
-      participants: participants.data.filter(p => p.Group === groupFilter),
+    return restrictToPopulation({
+      participants: participantRows.filter(p => p.Group === groupFilter),
       appUsage: appUsage.data.filter(s => participantNumbers.includes(s.participant_number)),
       pretestData: enrichedPretestData.filter(p => participantNumbers.includes(p.participant_number)),
       posttestData: enrichedPosttestData.filter(p => p.group_assignment === groupFilter),
       demographicsData: demographicsData.data.filter(d => participantNumbers.includes(d.participant_id))
-    };
+    });
+  }, [participantRows, posttestRows, pretestData.data, appUsage.data, demographicsData.data, members, population, groupFilter]);
+
+  // Demographics as the Advanced Analytics tab may see them
+  const analyticsDemographics = useMemo(
+    () => permissions.omitHidden(filteredData.demographicsData),
+    [permissions, filteredData.demographicsData]
+  );
+
+  // Size of each population within the selected group, shown beside the selector.
+  // While blinded a single arm's per-protocol size is withheld: the usage rule only
+  // shrinks the app arm, so comparing arms would reveal which code it is.
+  const groupParticipants = groupFilter === 'all'
+    ? participantRows
+    : participantRows.filter(p => p.Group === groupFilter);
+  const withholdSize = (id) => blinded && groupFilter !== 'all' && id === 'per-protocol';
+  const populationSizes = Object.fromEntries(POPULATIONS.map(option => [
+    option.id,
+    withholdSize(option.id) ? null : groupParticipants.filter(p => members[option.id].has(p.participant_number)).length
+  ]));
+  const populationSize = populationSizes[population];
+  const analysisPopulation = useMemo(
+    () => ({ ...populationFor(population), n: populationSize, minSessions }),
+    [population, populationSize, minSessions]
+  );
+
+  // Most recent refresh across the datasets on screen
+  const datasets = [appUsage, pretestData, posttestData, demographicsData, participants];
+  const lastUpdated = Math.max(0, ...datasets.map(d => d.updatedAt || 0)) || null;
+
+  // When serving snapshots, the oldest one is what the dashboard is "as of"
+  const offlineDatasets = datasets.filter(d => d.offline);
+  const offlineAsOf = offlineDatasets.length > 0
+    ? Math.min(...offlineDatasets.map(d => d.updatedAt))
+    : null;
+
+  // Server-side tables can't see the participants join, so narrow them by participant number
+  const groupParticipantNumbers = groupFilter === 'all' && population === DEFAULT_POPULATION
+    ? null
+    : filteredData.participants.map(p => p.participant_number);
+
+  // Instrument scores for the participants on screen (see src/scoring)
+  const pretestScores = summarizeScores(filteredData.pretestData);
+  const posttestScores = summarizeScores(filteredData.posttestData);
+
+  // Pretest/posttest joined per participant for the Pre vs Post tab
+  const prePost = pairPrePost(filteredData.pretestData, filteredData.posttestData, filteredData.participants);
+
+  // Filters recorded with every audit event from this view
+  const auditFilters = { group: groupFilter, population, minSessions, blinded };
+
+  // Participant-level rows each tab puts on screen
+  const tabRowCounts = {
+    overview: filteredData.participants.length,
+    analytics: filteredData.appUsage.length + filteredData.pretestData.length + filteredData.demographicsData.length,
+    'app-usage': filteredData.appUsage.length,
+    pretest: filteredData.pretestData.length,
+    posttest: filteredData.posttestData.length,
+    'pre-post': prePost.pairs.length + prePost.missing.length,
+    demographics: filteredData.demographicsData.length
   };
 
-  const filteredData = getFilteredData();
+  const openTab = (tab) => {
+    setActiveTab(tab);
+    setSidebarOpen(false);
+    log('tab.open', { tab, filters: auditFilters, rowCount: tabRowCounts[tab] ?? null });
+  };
+
+  // The overview opens on sign-in without a click, so record that once here
+  const loggedInitialTab = useRef(false);
+  useEffect(() => {
+    if (loggedInitialTab.current) return;
+    loggedInitialTab.current = true;
+    log('tab.open', { tab: 'overview', filters: { group: groupFilter, population, minSessions, blinded } });
+  }, [log, groupFilter, population, minSessions, blinded]);
 
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
@@ -100,106 +225,137 @@ const Dashboard = ({ onLogout }) => {
   };
 
   const exportAllDataToExcel = () => {
+    if (!permissions.canExport) return;
+
     // Create a new workbook
     const workbook = XLSX.utils.book_new();
+    const sheetRowCounts = {};
     
+    // Every sheet and summary covers what is on screen: the selected group within
+    // the selected analysis population
+    const { appUsage: exportedSessions, pretestData: exportedPretest, posttestData: exportedPosttest,
+      demographicsData: exportedDemographics, participants: exportedParticipants } = filteredData;
+
     // Add App Usage Sessions sheet
-    if (appUsage.data && appUsage.data.length > 0) {
-      const appUsageSheet = XLSX.utils.json_to_sheet(appUsage.data);
+    if (exportedSessions.length > 0) {
+      const appUsageSheet = XLSX.utils.json_to_sheet(permissions.omitHidden(exportedSessions));
       XLSX.utils.book_append_sheet(workbook, appUsageSheet, 'App Usage Sessions');
+      sheetRowCounts['App Usage Sessions'] = exportedSessions.length;
     }
     
     // Add Pretest Responses sheet
-    if (pretestData.data && pretestData.data.length > 0) {
-      const pretestSheet = XLSX.utils.json_to_sheet(pretestData.data);
+    if (exportedPretest.length > 0) {
+      const pretestSheet = XLSX.utils.json_to_sheet(permissions.omitHidden(exportedPretest.map(withDerivedScores)));
       XLSX.utils.book_append_sheet(workbook, pretestSheet, 'Pretest Responses');
+      sheetRowCounts['Pretest Responses'] = exportedPretest.length;
     }
     
     // Add Posttest Responses sheet
-    if (posttestData.data && posttestData.data.length > 0) {
-      const posttestSheet = XLSX.utils.json_to_sheet(posttestData.data);
+    if (exportedPosttest.length > 0) {
+      const posttestSheet = XLSX.utils.json_to_sheet(permissions.omitHidden(exportedPosttest.map(withDerivedScores)));
       XLSX.utils.book_append_sheet(workbook, posttestSheet, 'Posttest Responses');
+      sheetRowCounts['Posttest Responses'] = exportedPosttest.length;
     }
     
     // Add Demographics sheet
-    if (demographicsData.data && demographicsData.data.length > 0) {
-      const demographicsSheet = XLSX.utils.json_to_sheet(demographicsData.data);
+    if (exportedDemographics.length > 0) {
+      const demographicsSheet = XLSX.utils.json_to_sheet(permissions.omitHidden(exportedDemographics));
       XLSX.utils.book_append_sheet(workbook, demographicsSheet, 'Demographics');
+      sheetRowCounts['Demographics'] = exportedDemographics.length;
     }
     
     // Add comprehensive summary sheet
-    const interventionCount = participants.data?.filter(p => p.Group === 'Intervention').length || 0;
-    const controlCount = participants.data?.filter(p => p.Group === 'Control').length || 0;
-    
-    // Calculate WHO-5 scores
-    const pretestWHO5 = pretestData.data?.length > 0 ? 
-      ((pretestData.data.reduce((sum, p) => 
-        sum + (p.who5_cheerful + p.who5_calm + p.who5_active + p.who5_rested + p.who5_interested), 0
-      ) / pretestData.data.length / 5) * 25).toFixed(1) : 'N/A';
-    
-    const posttestWHO5 = posttestData.data?.length > 0 ? 
-      ((posttestData.data.reduce((sum, p) => 
-        sum + (p.who5_cheerful + p.who5_calm + p.who5_active + p.who5_rested + p.who5_interested), 0
-      ) / posttestData.data.length / 5) * 25).toFixed(1) : 'N/A';
-    
-    // Calculate PSS-4 scores
-    const pretestPSS4 = pretestData.data?.length > 0 ? 
-      (pretestData.data.reduce((sum, p) => 
-        sum + (p.pss4_unable_control + (5-p.pss4_confident_handle) + (5-p.pss4_going_your_way) + p.pss4_difficulties_piling), 0
-      ) / pretestData.data.length).toFixed(1) : 'N/A';
-    
-    const posttestPSS4 = posttestData.data?.length > 0 ? 
-      (posttestData.data.reduce((sum, p) => 
-        sum + (p.pss4_unable_control + (5-p.pss4_confident_handle) + (5-p.pss4_going_your_way) + p.pss4_difficulties_piling), 0
-      ) / posttestData.data.length).toFixed(1) : 'N/A';
+    const armCounts = arms.map(arm => ({
+      Category: '',
+      Metric: `${arm.label} Group`,
+      Value: exportedParticipants.filter(p => p.Group === arm.value).length
+    }));
     
     const summaryData = [
       { Category: 'EXPORT INFORMATION', Metric: '', Value: '' },
       { Category: '', Metric: 'Export Date', Value: new Date().toLocaleString() },
       { Category: '', Metric: 'Export Filter', Value: groupFilter === 'all' ? 'All Participants' : `${groupFilter} Group Only` },
+      { Category: '', Metric: 'Analysis Population', Value: analysisPopulation.label },
+      { Category: '', Metric: 'Population Size', Value: analysisPopulation.n ?? 'Withheld while blinded' },
+      ...(population === 'per-protocol' ? [{ Category: '', Metric: 'Per-Protocol Minimum Sessions', Value: minSessions }] : []),
+      { Category: '', Metric: 'Group Labels', Value: blinded ? 'Blinded (arm codes)' : 'Unblinded' },
+      { Category: '', Metric: '', Value: '' },
+
+      { Category: 'ANALYSIS POPULATIONS', Metric: '', Value: '' },
+      ...POPULATIONS.map(option => ({ Category: '', Metric: option.label, Value: populationSizes[option.id] ?? 'Withheld while blinded' })),
       { Category: '', Metric: '', Value: '' },
       
       { Category: 'PARTICIPANT OVERVIEW', Metric: '', Value: '' },
-      { Category: '', Metric: 'Active Participants', Value: participants.data?.length || 0 },
-      { Category: '', Metric: 'Intervention Group', Value: interventionCount },
-      { Category: '', Metric: 'Control Group', Value: controlCount },
-      { Category: '', Metric: 'Demographics Completed', Value: participants.data?.filter(p => p.demographic_survey_completed).length || 0 },
+      { Category: '', Metric: 'Active Participants', Value: exportedParticipants.length },
+      ...armCounts,
+      { Category: '', Metric: 'Demographics Completed', Value: exportedParticipants.filter(p => p.demographic_survey_completed).length },
       { Category: '', Metric: '', Value: '' },
       
       { Category: 'APP USAGE STATISTICS', Metric: '', Value: '' },
-      { Category: '', Metric: 'Total App Sessions', Value: appUsage.data?.length || 0 },
-      { Category: '', Metric: 'Average Session Duration (min)', Value: appUsage.data?.length > 0 ? 
-          Math.round(appUsage.data.reduce((sum, session) => sum + (session.duration_minutes || 0), 0) / appUsage.data.length) : 0 },
-      { Category: '', Metric: 'Total Session Time (hours)', Value: appUsage.data?.length > 0 ? 
-          (appUsage.data.reduce((sum, session) => sum + (session.duration_minutes || 0), 0) / 60).toFixed(1) : 0 },
+      { Category: '', Metric: 'Total App Sessions', Value: exportedSessions.length },
+      { Category: '', Metric: 'Average Session Duration (min)', Value: exportedSessions.length > 0 ? 
+          Math.round(exportedSessions.reduce((sum, session) => sum + (session.duration_minutes || 0), 0) / exportedSessions.length) : 0 },
+      { Category: '', Metric: 'Total Session Time (hours)', Value: exportedSessions.length > 0 ? 
+          (exportedSessions.reduce((sum, session) => sum + (session.duration_minutes || 0), 0) / 60).toFixed(1) : 0 },
       { Category: '', Metric: '', Value: '' },
       
       { Category: 'PRETEST ASSESSMENT', Metric: '', Value: '' },
-      { Category: '', Metric: 'Total Pretest Responses', Value: pretestData.data?.length || 0 },
-      { Category: '', Metric: 'Registered Nurses', Value: pretestData.data?.filter(p => p.is_registered_nurse).length || 0 },
-      { Category: '', Metric: 'Consented Participants', Value: pretestData.data?.filter(p => p.provides_consent).length || 0 },
-      { Category: '', Metric: 'WHO-5 Average Score (%)', Value: pretestWHO5 },
-      { Category: '', Metric: 'PSS-4 Average Score', Value: pretestPSS4 },
+      { Category: '', Metric: 'Total Pretest Responses', Value: exportedPretest.length },
+      { Category: '', Metric: 'Registered Nurses', Value: exportedPretest.filter(p => p.is_registered_nurse).length },
+      { Category: '', Metric: 'Consented Participants', Value: exportedPretest.filter(p => p.provides_consent).length },
+      { Category: '', Metric: 'WHO-5 Average Score (%)', Value: formatScore(pretestScores.who5.mean) },
+      { Category: '', Metric: 'WHO-5 Responses Scored', Value: formatCounts(pretestScores.who5) },
+      { Category: '', Metric: 'PSS-4 Average Score', Value: formatScore(pretestScores.pss4.mean) },
+      { Category: '', Metric: 'PSS-4 Responses Scored', Value: formatCounts(pretestScores.pss4) },
+      ...BRIEF_COPE.categories.map(category => ({
+        Category: '',
+        Metric: `Brief COPE ${category.label} (mean item)`,
+        Value: `${formatScore(pretestScores.cope[category.id].mean, 2)} (${formatCounts(pretestScores.cope[category.id])})`
+      })),
       { Category: '', Metric: '', Value: '' },
       
       { Category: 'POSTTEST ASSESSMENT', Metric: '', Value: '' },
-      { Category: '', Metric: 'Total Posttest Responses', Value: posttestData.data?.length || 0 },
-      { Category: '', Metric: 'Posttest Completion Rate (%)', Value: participants.data?.length > 0 ? 
-          Math.round((posttestData.data?.length / participants.data.length) * 100) : 0 },
-      { Category: '', Metric: 'WHO-5 Average Score (%)', Value: posttestWHO5 },
-      { Category: '', Metric: 'PSS-4 Average Score', Value: posttestPSS4 },
-      { Category: '', Metric: 'Responses with Feedback', Value: posttestData.data?.filter(p => 
+      { Category: '', Metric: 'Total Posttest Responses', Value: exportedPosttest.length },
+      { Category: '', Metric: 'Posttest Completion Rate (%)', Value: exportedParticipants.length > 0 ? 
+          Math.round((exportedPosttest.length / exportedParticipants.length) * 100) : 0 },
+      { Category: '', Metric: 'WHO-5 Average Score (%)', Value: formatScore(posttestScores.who5.mean) },
+      { Category: '', Metric: 'WHO-5 Responses Scored', Value: formatCounts(posttestScores.who5) },
+      { Category: '', Metric: 'PSS-4 Average Score', Value: formatScore(posttestScores.pss4.mean) },
+      { Category: '', Metric: 'PSS-4 Responses Scored', Value: formatCounts(posttestScores.pss4) },
+      ...BRIEF_COPE.categories.map(category => ({
+        Category: '',
+        Metric: `Brief COPE ${category.label} (mean item)`,
+        Value: `${formatScore(posttestScores.cope[category.id].mean, 2)} (${formatCounts(posttestScores.cope[category.id])})`
+      })),
+      { Category: '', Metric: 'Responses with Feedback', Value: exportedPosttest.filter(p => 
           p.additional_comments && p.additional_comments.trim() !== '' && 
           p.additional_comments.toLowerCase() !== 'nil' && p.additional_comments.toLowerCase() !== 'nothing'
-        ).length || 0 },
+        ).length },
       { Category: '', Metric: '', Value: '' },
       
       { Category: 'DEMOGRAPHICS SUMMARY', Metric: '', Value: '' },
-      { Category: '', Metric: 'Total Demographics Surveys', Value: demographicsData.data?.length || 0 },
-      { Category: '', Metric: 'Completion Rate (%)', Value: participants.data?.length > 0 ? 
-          Math.round((demographicsData.data?.length / participants.data.length) * 100) : 0 }
+      { Category: '', Metric: 'Total Demographics Surveys', Value: exportedDemographics.length },
+      { Category: '', Metric: 'Completion Rate (%)', Value: exportedParticipants.length > 0 ? 
+          Math.round((exportedDemographics.length / exportedParticipants.length) * 100) : 0 }
     ];
     
+    // Which analysis populations each exported participant belongs to
+    const sessionCounts = exportedSessions.reduce((counts, session) => {
+      counts[session.participant_number] = (counts[session.participant_number] || 0) + 1;
+      return counts;
+    }, {});
+    const populationRows = exportedParticipants
+      .map(p => ({
+        participant_number: p.participant_number,
+        Group: p.Group,
+        sessions: sessionCounts[p.participant_number] || 0,
+        ...Object.fromEntries(POPULATIONS.map(option => [option.label, members[option.id].has(p.participant_number) ? 'Yes' : 'No']))
+      }));
+    if (populationRows.length > 0) {
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(populationRows), 'Analysis Populations');
+      sheetRowCounts['Analysis Populations'] = populationRows.length;
+    }
+
     const summarySheet = XLSX.utils.json_to_sheet(summaryData);
     
     // Set column widths for better readability
@@ -216,6 +372,12 @@ const Dashboard = ({ onLogout }) => {
     
     // Save the file
     XLSX.writeFile(workbook, filename);
+
+    log('export.all', {
+      filters: auditFilters,
+      rowCount: Object.values(sheetRowCounts).reduce((sum, count) => sum + count, 0),
+      sheets: sheetRowCounts
+    });
   };
 
   // Column definitions for each table
@@ -264,8 +426,10 @@ const Dashboard = ({ onLogout }) => {
     { id: 'app-usage', label: 'App Usage Sessions', icon: Activity, color: 'text-green-600' },
     { id: 'pretest', label: 'Pretest Responses', icon: FileText, color: 'text-purple-600' },
     { id: 'posttest', label: 'Posttest Responses', icon: FileText, color: 'text-blue-600' },
+    { id: 'pre-post', label: 'Pre vs Post', icon: GitCompare, color: 'text-teal-600' },
     { id: 'demographics', label: 'Demographics', icon: Users, color: 'text-orange-600' },
-  ];
+    { id: 'audit', label: 'Audit Trail', icon: ShieldCheck, color: 'text-gray-600' },
+  ].filter(item => permissions.canViewTab(item.id));
 
   return (
     <div className="flex h-screen bg-gray-50">
@@ -294,10 +458,7 @@ const Dashboard = ({ onLogout }) => {
             return (
               <button
                 key={item.id}
-                onClick={() => {
-                  setActiveTab(item.id);
-                  setSidebarOpen(false);
-                }}
+                onClick={() => openTab(item.id)}
                 className={`w-full flex items-center px-4 py-3 text-sm font-medium rounded-xl transition-all group ${
                   activeTab === item.id
                     ? 'bg-blue-900 text-white shadow-sm'
@@ -318,11 +479,11 @@ const Dashboard = ({ onLogout }) => {
         <div className="p-4 border-t border-gray-200 bg-gray-50">
           <div className="flex items-center space-x-3 mb-3 p-3 bg-white rounded-lg shadow-sm">
             <div className="w-10 h-10 bg-blue-900 rounded-full flex items-center justify-center">
-              <span className="text-white font-semibold text-sm">A</span>
+              <span className="text-white font-semibold text-sm">{displayName.charAt(0).toUpperCase()}</span>
             </div>
             <div className="flex-1 min-w-0">
-              <p className="text-sm font-medium text-gray-900 truncate">Admin User</p>
-              <p className="text-xs text-gray-500">Administrator</p>
+              <p className="text-sm font-medium text-gray-900 truncate">{displayName}</p>
+              <p className="text-xs text-gray-500 truncate">{permissions.label}</p>
             </div>
           </div>
           <button
@@ -355,23 +516,59 @@ const Dashboard = ({ onLogout }) => {
                 {activeTab === 'app-usage' && 'Application usage session data'}
                 {activeTab === 'pretest' && 'Pre-test response analysis'}
                 {activeTab === 'posttest' && 'Post-test response analysis'}
+                {activeTab === 'pre-post' && 'Paired change from pretest to posttest'}
                 {activeTab === 'demographics' && 'Participant demographic information'}
+                {activeTab === 'audit' && 'Who viewed or exported participant data'}
               </p>
             </div>
           </div>
           
-          {/* Group Filter */}
-          <div className="flex items-center space-x-3">
-            <label className="text-sm font-medium text-gray-700">Group:</label>
-            <select
-              value={groupFilter}
-              onChange={(e) => setGroupFilter(e.target.value)}
-              className="px-4 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-900 focus:border-transparent bg-white"
-            >
-              <option value="all">All Participants</option>
-              <option value="Intervention">Intervention Group</option>
-              <option value="Control">Control Group</option>
-            </select>
+          <div className="flex items-center space-x-6">
+            <EnvironmentBadge />
+            <LiveStatus updatedAt={lastUpdated} offlineAsOf={offlineAsOf} />
+            <BlindingToggle onChange={() => setGroupFilter('all')} />
+
+            {/* Group Filter */}
+            <div className="flex items-center space-x-3">
+              <label className="text-sm font-medium text-gray-700">Group:</label>
+              <select
+                value={groupFilter}
+                onChange={(e) => setGroupFilter(e.target.value)}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-900 focus:border-transparent bg-white"
+              >
+                <option value="all">All Participants</option>
+                {arms.map(arm => (
+                  <option key={arm.value} value={arm.value}>{arm.label} Group</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Analysis Population */}
+            <div className="flex items-center space-x-3">
+              <label className="text-sm font-medium text-gray-700">Population:</label>
+              <select
+                value={population}
+                onChange={(e) => setPopulation(e.target.value)}
+                title={populationFor(population).description}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-900 focus:border-transparent bg-white"
+              >
+                {POPULATIONS.map(option => (
+                  <option key={option.id} value={option.id}>{formatPopulation(option, populationSizes[option.id])}</option>
+                ))}
+              </select>
+              {population === 'per-protocol' && (
+                <label className="flex items-center text-sm text-gray-600" title="Fewest app sessions a participant in the app arm needs">
+                  <input
+                    type="number"
+                    min="1"
+                    value={minSessions}
+                    onChange={(e) => setMinSessions(Math.max(1, Number(e.target.value) || 1))}
+                    className="w-16 px-2 py-2 mr-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-900 focus:border-transparent"
+                  />
+                  sessions min.
+                </label>
+              )}
+            </div>
           </div>
         </header>
 
@@ -468,18 +665,14 @@ const Dashboard = ({ onLogout }) => {
                   <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
                     <h3 className="text-lg font-semibold text-gray-900 mb-4">Group Distribution</h3>
                     <div className="space-y-3">
-                      <div className="flex items-center justify-between">
-                        <span className="text-sm text-gray-600">Intervention Group</span>
-                        <span className="text-lg font-bold text-blue-900">
-                          {participants.loading ? '...' : participants.data.filter(p => p.Group === 'Intervention').length}
-                        </span>
-                      </div>
-                      <div className="flex items-center justify-between">
-                        <span className="text-sm text-gray-600">Control Group</span>
-                        <span className="text-lg font-bold text-blue-900">
-                          {participants.loading ? '...' : participants.data.filter(p => p.Group === 'Control').length}
-                        </span>
-                      </div>
+                      {arms.map(arm => (
+                        <div key={arm.value} className="flex items-center justify-between">
+                          <span className="text-sm text-gray-600">{arm.label} Group</span>
+                          <span className="text-lg font-bold text-blue-900">
+                            {participants.loading ? '...' : participantRows.filter(p => p.Group === arm.value).length}
+                          </span>
+                        </div>
+                      ))}
                       <div className="flex items-center justify-between pt-2 border-t">
                         <span className="text-sm font-medium text-gray-700">Total Active</span>
                         <span className="text-lg font-bold text-gray-900">
@@ -497,9 +690,7 @@ const Dashboard = ({ onLogout }) => {
                         <span className="text-sm text-gray-600">Average Score</span>
                         <span className="text-lg font-bold text-blue-900">
                           {pretestData.loading || filteredData.pretestData.length === 0 ? '...' : 
-                            ((filteredData.pretestData.reduce((sum, p) => 
-                              sum + (p.who5_cheerful + p.who5_calm + p.who5_active + p.who5_rested + p.who5_interested), 0
-                            ) / filteredData.pretestData.length / 5) * 25).toFixed(1)
+                            formatScore(pretestScores.who5.mean)
                           }%
                         </span>
                       </div>
@@ -510,6 +701,7 @@ const Dashboard = ({ onLogout }) => {
                         </span>
                       </div>
                       <div className="pt-2 border-t">
+                        <ScoreCounts summary={pretestScores.who5} className="mb-1" />
                         <p className="text-xs text-gray-500">Scale: 0-100% (higher is better)</p>
                       </div>
                     </div>
@@ -523,9 +715,7 @@ const Dashboard = ({ onLogout }) => {
                         <span className="text-sm text-gray-600">Average Score</span>
                         <span className="text-lg font-bold text-blue-900">
                           {pretestData.loading || filteredData.pretestData.length === 0 ? '...' : 
-                            (filteredData.pretestData.reduce((sum, p) => 
-                              sum + (p.pss4_unable_control + (5-p.pss4_confident_handle) + (5-p.pss4_going_your_way) + p.pss4_difficulties_piling), 0
-                            ) / filteredData.pretestData.length).toFixed(1)
+                            formatScore(pretestScores.pss4.mean)
                           }
                         </span>
                       </div>
@@ -535,6 +725,9 @@ const Dashboard = ({ onLogout }) => {
                           {filteredData.pretestData.length}
                         </span>
                       </div>
+                      <div className="pt-2 border-t">
+                        <ScoreCounts summary={pretestScores.pss4} />
+                      </div>
                       <div className="pt-2 border-t">
                         <p className="text-xs text-gray-500">Scale: 0-16 (higher = more stress)</p>
                       </div>
@@ -625,12 +818,11 @@ const Dashboard = ({ onLogout }) => {
                       <p className="text-sm text-gray-600 mb-1">WHO-5 Post Score</p>
                       <p className="text-3xl font-bold text-blue-900">
                         {posttestData.loading || filteredData.posttestData.length === 0 ? '...' : 
-                          ((filteredData.posttestData.reduce((sum, p) => 
-                            sum + (p.who5_cheerful + p.who5_calm + p.who5_active + p.who5_rested + p.who5_interested), 0
-                          ) / filteredData.posttestData.length / 5) * 25).toFixed(1)
+                          formatScore(posttestScores.who5.mean)
                         }%
                       </p>
                       <p className="text-xs text-gray-500 mt-1">Well-being index</p>
+                      <ScoreCounts summary={posttestScores.who5} />
                     </div>
 
                     {/* PSS-4 Post Score */}
@@ -638,44 +830,32 @@ const Dashboard = ({ onLogout }) => {
                       <p className="text-sm text-gray-600 mb-1">PSS-4 Post Score</p>
                       <p className="text-3xl font-bold text-blue-900">
                         {posttestData.loading || filteredData.posttestData.length === 0 ? '...' : 
-                          (filteredData.posttestData.reduce((sum, p) => 
-                            sum + (p.pss4_unable_control + (5-p.pss4_confident_handle) + (5-p.pss4_going_your_way) + p.pss4_difficulties_piling), 0
-                          ) / filteredData.posttestData.length).toFixed(1)
+                          formatScore(posttestScores.pss4.mean)
                         }
                       </p>
                       <p className="text-xs text-gray-500 mt-1">Stress level</p>
+                      <ScoreCounts summary={posttestScores.pss4} />
                     </div>
 
-                    {/* Brief COPE Average */}
+                    {/* Brief COPE coping styles */}
                     <div className="bg-gray-50 p-4 rounded-lg">
-                      <p className="text-sm text-gray-600 mb-1">Avg COPE Score</p>
-                      <p className="text-3xl font-bold text-blue-900">
-                        {posttestData.loading || filteredData.posttestData.length === 0 ? '...' : 
-                          (() => {
-                            const total = filteredData.posttestData.reduce((sum, p) => {
-                              const copeSum = (
-                                (p.cope_concentrating || p.cope_concentrating_efforts || 0) + 
-                                (p.cope_taking_action || 0) + 
-                                (p.cope_strategy || 0) + 
-                                (p.cope_thinking_steps || 0) + 
-                                (p.cope_different_light || 0) + 
-                                (p.cope_looking_good || 0) + 
-                                (p.cope_accepting_reality || 0) + 
-                                (p.cope_learning_live || 0) + 
-                                (p.cope_emotional_support || 0) + 
-                                (p.cope_comfort_understanding || 0) + 
-                                (p.cope_work_activities || 0) + 
-                                (p.cope_movies_tv_reading || 0) + 
-                                (p.cope_criticizing_myself || 0) + 
-                                (p.cope_blaming_myself || 0)
-                              );
-                              return sum + copeSum;
-                            }, 0);
-                            return (total / filteredData.posttestData.length / 14).toFixed(1);
-                          })()
-                        }
-                      </p>
-                      <p className="text-xs text-gray-500 mt-1">Coping strategies</p>
+                      <p className="text-sm text-gray-600 mb-2">Coping Styles</p>
+                      <div className="space-y-1">
+                        {BRIEF_COPE.categories.map(category => (
+                          <div key={category.id} className="flex items-center justify-between">
+                            <span className="text-xs text-gray-600">{category.label}</span>
+                            <span
+                              className="text-sm font-bold text-blue-900"
+                              title={formatCounts(posttestScores.cope[category.id])}
+                            >
+                              {posttestData.loading || filteredData.posttestData.length === 0 ? '...' : 
+                                formatScore(posttestScores.cope[category.id].mean, 2)
+                              }
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">Brief COPE mean item ({BRIEF_COPE.range.min}–{BRIEF_COPE.range.max})</p>
                     </div>
                   </div>
                 </div>
@@ -705,18 +885,14 @@ const Dashboard = ({ onLogout }) => {
                   <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
                     <h3 className="text-lg font-semibold text-gray-900 mb-4">Posttest by Group</h3>
                     <div className="space-y-3">
-                      <div className="flex items-center justify-between">
-                        <span className="text-sm text-gray-600">Intervention</span>
-                        <span className="text-lg font-bold text-blue-900">
-                          {posttestData.loading ? '...' : filteredData.posttestData.filter(p => p.group_assignment === 'Intervention').length}
-                        </span>
-                      </div>
-                      <div className="flex items-center justify-between">
-                        <span className="text-sm text-gray-600">Control</span>
-                        <span className="text-lg font-bold text-blue-900">
-                          {posttestData.loading ? '...' : filteredData.posttestData.filter(p => p.group_assignment === 'Control').length}
-                        </span>
-                      </div>
+                      {arms.map(arm => (
+                        <div key={arm.value} className="flex items-center justify-between">
+                          <span className="text-sm text-gray-600">{arm.label}</span>
+                          <span className="text-lg font-bold text-blue-900">
+                            {posttestData.loading ? '...' : filteredData.posttestData.filter(p => p.group_assignment === arm.value).length}
+                          </span>
+                        </div>
+                      ))}
                       <div className="flex items-center justify-between pt-2 border-t">
                         <span className="text-sm font-medium text-gray-700">Completion Rate</span>
                         <span className="text-lg font-bold text-gray-900">
@@ -762,6 +938,11 @@ const Dashboard = ({ onLogout }) => {
                   </div>
                 </div>
 
+                {/* Sample size and projected enrollment, over the whole active roster */}
+                {!participants.loading && (
+                  <PowerPanel participants={participantRows} posttest={posttestRows} arms={arms} />
+                )}
+
                 {/* Quick Actions */}
                 <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
                   <div className="flex items-center justify-between mb-4">
@@ -777,13 +958,7 @@ const Dashboard = ({ onLogout }) => {
                       </div>
                     </button>
                     <button 
-                      onClick={() => {
-                        appUsage.refetch();
-                        pretestData.refetch();
-                        posttestData.refetch();
-                        demographicsData.refetch();
-                        participants.refetch();
-                      }}
+                      onClick={() => invalidate()}
                       className="flex items-center justify-center p-4 bg-gray-50 hover:bg-gray-100 rounded-lg transition-colors group"
                     >
                       <div className="text-center">
@@ -793,17 +968,19 @@ const Dashboard = ({ onLogout }) => {
                         <p className="text-sm font-medium text-gray-900">Refresh All</p>
                       </div>
                     </button>
-                    <button 
-                      onClick={exportAllDataToExcel}
-                      className="flex items-center justify-center p-4 bg-gray-50 hover:bg-gray-100 rounded-lg transition-colors group"
-                    >
-                      <div className="text-center">
-                        <div className="w-8 h-8 bg-blue-900 rounded-lg flex items-center justify-center mx-auto mb-2 group-hover:scale-110 transition-transform">
-                          <FileText className="w-4 h-4 text-white" />
+                    {permissions.canExport && (
+                      <button 
+                        onClick={exportAllDataToExcel}
+                        className="flex items-center justify-center p-4 bg-gray-50 hover:bg-gray-100 rounded-lg transition-colors group"
+                      >
+                        <div className="text-center">
+                          <div className="w-8 h-8 bg-blue-900 rounded-lg flex items-center justify-center mx-auto mb-2 group-hover:scale-110 transition-transform">
+                            <FileText className="w-4 h-4 text-white" />
+                          </div>
+                          <p className="text-sm font-medium text-gray-900">Export Excel</p>
                         </div>
-                        <p className="text-sm font-medium text-gray-900">Export Excel</p>
-                      </div>
-                    </button>
+                      </button>
+                    )}
                     <button className="flex items-center justify-center p-4 bg-gray-50 hover:bg-gray-100 rounded-lg transition-colors group">
                       <div className="text-center">
                         <div className="w-8 h-8 bg-blue-900 rounded-lg flex items-center justify-center mx-auto mb-2 group-hover:scale-110 transition-transform">
@@ -922,15 +1099,17 @@ const Dashboard = ({ onLogout }) => {
               <AnalyticsDashboard
                 appUsageData={filteredData.appUsage}
                 pretestData={filteredData.pretestData}
-                demographicsData={filteredData.demographicsData}
+                posttestData={filteredData.posttestData}
+                demographicsData={analyticsDemographics}
+                population={analysisPopulation}
               />
             )}
 
             {activeTab === 'app-usage' && (
               <EnhancedDataTable
-                data={filteredData.appUsage}
-                loading={appUsage.loading}
-                error={appUsage.error}
+                tableName="app_usage_sessions"
+                searchColumns={['participant_number', 'app_version']}
+                queryFilters={{ participant_number: groupParticipantNumbers }}
                 title="App Usage Sessions"
                 type="app-usage"
               />
@@ -943,6 +1122,7 @@ const Dashboard = ({ onLogout }) => {
                 error={pretestData.error}
                 title="Pretest Responses"
                 type="pretest"
+                deriveRow={withDerivedScores}
               />
             )}
 
@@ -954,6 +1134,7 @@ const Dashboard = ({ onLogout }) => {
                   error={posttestData.error}
                   title="Posttest Responses"
                   type="posttest"
+                  deriveRow={withDerivedScores}
                 />
 
                 {/* Posttest Statistics & Analytics */}
@@ -974,27 +1155,22 @@ const Dashboard = ({ onLogout }) => {
                             <div className="flex justify-between items-center">
                               <span className="text-xs text-gray-600">Average</span>
                               <span className="text-lg font-bold text-blue-900">
-                                {((filteredData.posttestData.reduce((sum, p) => 
-                                  sum + (p.who5_cheerful + p.who5_calm + p.who5_active + p.who5_rested + p.who5_interested), 0
-                                ) / filteredData.posttestData.length / 5) * 25).toFixed(1)}%
+                                {formatScore(posttestScores.who5.mean)}%
                               </span>
                             </div>
                             <div className="flex justify-between items-center">
                               <span className="text-xs text-gray-600">Highest</span>
                               <span className="text-sm font-bold text-gray-700">
-                                {Math.max(...filteredData.posttestData.map(p => 
-                                  ((p.who5_cheerful + p.who5_calm + p.who5_active + p.who5_rested + p.who5_interested) / 5) * 25
-                                )).toFixed(1)}%
+                                {formatScore(posttestScores.who5.max)}%
                               </span>
                             </div>
                             <div className="flex justify-between items-center">
                               <span className="text-xs text-gray-600">Lowest</span>
                               <span className="text-sm font-bold text-gray-700">
-                                {Math.min(...filteredData.posttestData.map(p => 
-                                  ((p.who5_cheerful + p.who5_calm + p.who5_active + p.who5_rested + p.who5_interested) / 5) * 25
-                                )).toFixed(1)}%
+                                {formatScore(posttestScores.who5.min)}%
                               </span>
                             </div>
+                            <ScoreCounts summary={posttestScores.who5} />
                           </div>
                         </div>
 
@@ -1005,27 +1181,22 @@ const Dashboard = ({ onLogout }) => {
                             <div className="flex justify-between items-center">
                               <span className="text-xs text-gray-600">Average</span>
                               <span className="text-lg font-bold text-blue-900">
-                                {(filteredData.posttestData.reduce((sum, p) => 
-                                  sum + (p.pss4_unable_control + (5-p.pss4_confident_handle) + (5-p.pss4_going_your_way) + p.pss4_difficulties_piling), 0
-                                ) / filteredData.posttestData.length).toFixed(1)}
+                                {formatScore(posttestScores.pss4.mean)}
                               </span>
                             </div>
                             <div className="flex justify-between items-center">
                               <span className="text-xs text-gray-600">Highest</span>
                               <span className="text-sm font-bold text-gray-700">
-                                {Math.max(...filteredData.posttestData.map(p => 
-                                  p.pss4_unable_control + (5-p.pss4_confident_handle) + (5-p.pss4_going_your_way) + p.pss4_difficulties_piling
-                                )).toFixed(1)}
+                                {formatScore(posttestScores.pss4.max)}
                               </span>
                             </div>
                             <div className="flex justify-between items-center">
                               <span className="text-xs text-gray-600">Lowest</span>
                               <span className="text-sm font-bold text-gray-700">
-                                {Math.min(...filteredData.posttestData.map(p => 
-                                  p.pss4_unable_control + (5-p.pss4_confident_handle) + (5-p.pss4_going_your_way) + p.pss4_difficulties_piling
-                                )).toFixed(1)}
+                                {formatScore(posttestScores.pss4.min)}
                               </span>
                             </div>
+                            <ScoreCounts summary={posttestScores.pss4} />
                           </div>
                         </div>
 
@@ -1052,18 +1223,14 @@ const Dashboard = ({ onLogout }) => {
                         <div className="border border-gray-200 rounded-lg p-4">
                           <h4 className="text-sm font-semibold text-gray-700 mb-3">Group Breakdown</h4>
                           <div className="space-y-2">
-                            <div className="flex justify-between items-center">
-                              <span className="text-xs text-gray-600">Intervention</span>
-                              <span className="text-lg font-bold text-blue-900">
-                                {filteredData.posttestData.filter(p => p.group_assignment === 'Intervention').length}
-                              </span>
-                            </div>
-                            <div className="flex justify-between items-center">
-                              <span className="text-xs text-gray-600">Control</span>
-                              <span className="text-lg font-bold text-blue-900">
-                                {filteredData.posttestData.filter(p => p.group_assignment === 'Control').length}
-                              </span>
-                            </div>
+                            {arms.map(arm => (
+                              <div key={arm.value} className="flex justify-between items-center">
+                                <span className="text-xs text-gray-600">{arm.label}</span>
+                                <span className="text-lg font-bold text-blue-900">
+                                  {filteredData.posttestData.filter(p => p.group_assignment === arm.value).length}
+                                </span>
+                              </div>
+                            ))}
                             <div className="flex justify-between items-center pt-2 border-t">
                               <span className="text-xs text-gray-600">Total</span>
                               <span className="text-sm font-bold text-gray-700">
@@ -1081,20 +1248,17 @@ const Dashboard = ({ onLogout }) => {
                       <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
                         <h4 className="text-md font-bold text-gray-900 mb-4">WHO-5 Component Scores</h4>
                         <div className="space-y-3">
-                          {[
-                            { key: 'who5_cheerful', label: 'Cheerful & Good Spirits' },
-                            { key: 'who5_calm', label: 'Calm & Relaxed' },
-                            { key: 'who5_active', label: 'Active & Vigorous' },
-                            { key: 'who5_rested', label: 'Fresh & Rested' },
-                            { key: 'who5_interested', label: 'Interested in Things' }
-                          ].map(({ key, label }) => {
-                            const avg = (filteredData.posttestData.reduce((sum, p) => sum + (p[key] || 0), 0) / filteredData.posttestData.length).toFixed(2);
-                            const percentage = (avg / 5) * 100;
+                          {WHO5.items.map(item => {
+                            const { mean, outOfRange } = summarizeItem(WHO5, item, filteredData.posttestData);
+                            const percentage = ((mean ?? 0) / WHO5.range.max) * 100;
                             return (
-                              <div key={key}>
+                              <div key={item.key}>
                                 <div className="flex justify-between mb-1">
-                                  <span className="text-sm text-gray-700">{label}</span>
-                                  <span className="text-sm font-bold text-blue-900">{avg}/5</span>
+                                  <span className="text-sm text-gray-700">
+                                    {item.label}
+                                    {outOfRange > 0 && <span className="text-xs text-amber-700"> · {outOfRange} out of range</span>}
+                                  </span>
+                                  <span className="text-sm font-bold text-blue-900">{formatScore(mean, 2)}/{WHO5.range.max}</span>
                                 </div>
                                 <div className="w-full bg-gray-200 rounded-full h-2">
                                   <div 
@@ -1112,22 +1276,18 @@ const Dashboard = ({ onLogout }) => {
                       <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
                         <h4 className="text-md font-bold text-gray-900 mb-4">PSS-4 Stress Components</h4>
                         <div className="space-y-3">
-                          {[
-                            { key: 'pss4_unable_control', label: 'Unable to Control', reversed: false },
-                            { key: 'pss4_confident_handle', label: 'Confident Handling', reversed: true },
-                            { key: 'pss4_going_your_way', label: 'Things Going Your Way', reversed: true },
-                            { key: 'pss4_difficulties_piling', label: 'Difficulties Piling Up', reversed: false }
-                          ].map(({ key, label, reversed }) => {
-                            const avg = (filteredData.posttestData.reduce((sum, p) => {
-                              const val = p[key] || 0;
-                              return sum + (reversed ? (5 - val) : val);
-                            }, 0) / filteredData.posttestData.length).toFixed(2);
-                            const percentage = (avg / 5) * 100;
+                          {PSS4.items.map(item => {
+                            // Reverse-keyed items are shown as scored, so higher always means more stress
+                            const { mean, outOfRange } = summarizeItem(PSS4, item, filteredData.posttestData);
+                            const percentage = ((mean ?? 0) / PSS4.range.max) * 100;
                             return (
-                              <div key={key}>
+                              <div key={item.key}>
                                 <div className="flex justify-between mb-1">
-                                  <span className="text-sm text-gray-700">{label}</span>
-                                  <span className="text-sm font-bold text-blue-900">{avg}/5</span>
+                                  <span className="text-sm text-gray-700">
+                                    {item.label}
+                                    {outOfRange > 0 && <span className="text-xs text-amber-700"> · {outOfRange} out of range</span>}
+                                  </span>
+                                  <span className="text-sm font-bold text-blue-900">{formatScore(mean, 2)}/{PSS4.range.max}</span>
                                 </div>
                                 <div className="w-full bg-gray-200 rounded-full h-2">
                                   <div 
@@ -1142,35 +1302,27 @@ const Dashboard = ({ onLogout }) => {
                       </div>
                     </div>
 
+                    {/* COPE subscales by group, pre and post */}
+                    <CopeSubscales
+                      pretestData={filteredData.pretestData}
+                      posttestData={filteredData.posttestData}
+                    />
+
                     {/* COPE Strategies Analysis */}
                     <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
                       <h4 className="text-md font-bold text-gray-900 mb-4">Brief COPE Coping Strategies</h4>
                       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                        {[
-                          { key: 'cope_concentrating', altKey: 'cope_concentrating_efforts', label: 'Concentrating Efforts' },
-                          { key: 'cope_taking_action', label: 'Taking Action' },
-                          { key: 'cope_strategy', label: 'Strategy Planning' },
-                          { key: 'cope_thinking_steps', label: 'Thinking About Steps' },
-                          { key: 'cope_different_light', label: 'Different Perspective' },
-                          { key: 'cope_looking_good', label: 'Looking for Positives' },
-                          { key: 'cope_accepting_reality', label: 'Accepting Reality' },
-                          { key: 'cope_learning_live', label: 'Learning to Live With It' },
-                          { key: 'cope_emotional_support', label: 'Seeking Emotional Support' },
-                          { key: 'cope_comfort_understanding', label: 'Comfort & Understanding' },
-                          { key: 'cope_work_activities', label: 'Work/Activities' },
-                          { key: 'cope_movies_tv_reading', label: 'Entertainment/Reading' },
-                          { key: 'cope_criticizing_myself', label: 'Self-Criticism' },
-                          { key: 'cope_blaming_myself', label: 'Self-Blame' }
-                        ].map(({ key, altKey, label }) => {
-                          const avg = (filteredData.posttestData.reduce((sum, p) => 
-                            sum + (p[key] || p[altKey] || 0), 0
-                          ) / filteredData.posttestData.length).toFixed(2);
-                          const percentage = (avg / 4) * 100;
+                        {BRIEF_COPE.items.map(item => {
+                          const { mean, outOfRange } = summarizeItem(BRIEF_COPE, item, filteredData.posttestData);
+                          const percentage = ((mean ?? 0) / BRIEF_COPE.range.max) * 100;
                           return (
-                            <div key={key} className="border border-gray-100 rounded-lg p-3">
+                            <div key={item.key} className="border border-gray-100 rounded-lg p-3">
                               <div className="flex justify-between mb-2">
-                                <span className="text-xs text-gray-600">{label}</span>
-                                <span className="text-sm font-bold text-blue-900">{avg}</span>
+                                <span className="text-xs text-gray-600">
+                                  {item.label}
+                                  {outOfRange > 0 && <span className="text-amber-700"> · {outOfRange} out of range</span>}
+                                </span>
+                                <span className="text-sm font-bold text-blue-900">{formatScore(mean, 2)}</span>
                               </div>
                               <div className="w-full bg-gray-200 rounded-full h-1.5">
                                 <div 
@@ -1235,339 +1387,354 @@ const Dashboard = ({ onLogout }) => {
                     </div>
 
                     {/* Detailed Feedback & Comments Section */}
-                    <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
-                      <div className="flex items-center justify-between mb-4">
-                        <h4 className="text-md font-bold text-gray-900 flex items-center">
-                          <FileText className="w-5 h-5 text-blue-900 mr-2" />
-                          Participant Feedback & Comments
-                        </h4>
-                        <button
-                          onClick={() => {
-                            // Prepare comments data for export
-                            const commentsData = filteredData.posttestData.map(p => ({
-                              'Group': p.group_assignment || 'Unknown',
-                              'Submitted Date': p.submitted_at ? new Date(p.submitted_at).toLocaleDateString() : 'N/A',
-                              'Additional Comments': p.additional_comments || '',
-                              'Helpful Features': p.app_helpful_features || '',
-                              'Technical Issues': p.app_technical_issues || '',
-                              'Suggestions': p.app_suggestions || ''
-                            }));
-
-                            // Create workbook and worksheet
-                            const workbook = XLSX.utils.book_new();
-                            const worksheet = XLSX.utils.json_to_sheet(commentsData);
-                            
-                            // Set column widths
-                            worksheet['!cols'] = [
-                              { wch: 15 },  // Group
-                              { wch: 15 },  // Submitted Date
-                              { wch: 50 },  // Additional Comments
-                              { wch: 50 },  // Helpful Features
-                              { wch: 50 },  // Technical Issues
-                              { wch: 50 }   // Suggestions
-                            ];
-                            
-                            XLSX.utils.book_append_sheet(workbook, worksheet, 'Posttest Comments');
-                            
-                            // Generate filename with current date
-                            const filename = `Posttest_Comments_${new Date().toISOString().split('T')[0]}.xlsx`;
-                            XLSX.writeFile(workbook, filename);
-                          }}
-                          className="flex items-center px-4 py-2 bg-blue-900 text-white rounded-lg hover:bg-blue-800 transition-colors text-sm font-medium"
-                        >
-                          <Download className="w-4 h-4 mr-2" />
-                          Export Comments
-                        </button>
-                      </div>
-                      
-                      <div className="space-y-6">
-                        {/* Additional Comments */}
-                        <div>
-                          <h5 className="text-sm font-semibold text-gray-700 mb-3 pb-2 border-b border-gray-200">
-                            Additional Comments
-                          </h5>
-                          <div className="space-y-3">
-                            {(() => {
-                              const filtered = filteredData.posttestData.filter(p => 
-                                p.additional_comments && 
-                                p.additional_comments.trim() !== '' && 
-                                p.additional_comments.toLowerCase() !== 'nil' &&
-                                p.additional_comments.toLowerCase() !== 'nothing'
-                              );
-                              const totalPages = Math.ceil(filtered.length / commentsPerPage);
-                              const startIdx = (commentsPage.additional - 1) * commentsPerPage;
-                              const paginatedData = filtered.slice(startIdx, startIdx + commentsPerPage);
-                              
-                              return filtered.length > 0 ? (
-                                <>
-                                  {paginatedData.map((p, idx) => (
-                                    <div key={idx} className="bg-gray-50 p-4 rounded-lg border border-gray-200">
-                                      <div className="flex items-start justify-between mb-2">
-                                        <span className="text-xs font-semibold text-blue-900">
-                                          {p.group_assignment || 'Unknown'} Group
-                                        </span>
-                                        <span className="text-xs text-gray-500">
-                                          {p.submitted_at ? new Date(p.submitted_at).toLocaleDateString() : 'N/A'}
-                                        </span>
+                    {permissions.canViewColumn('additional_comments') && (
+                      <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+                        <div className="flex items-center justify-between mb-4">
+                          <h4 className="text-md font-bold text-gray-900 flex items-center">
+                            <FileText className="w-5 h-5 text-blue-900 mr-2" />
+                            Participant Feedback & Comments
+                          </h4>
+                          {permissions.canExport && (
+                            <button
+                              onClick={() => {
+                                // Prepare comments data for export
+                                const commentsData = filteredData.posttestData.map(p => ({
+                                  'Group': p.group_assignment || 'Unknown',
+                                  'Submitted Date': p.submitted_at ? new Date(p.submitted_at).toLocaleDateString() : 'N/A',
+                                  'Additional Comments': p.additional_comments || '',
+                                  'Helpful Features': p.app_helpful_features || '',
+                                  'Technical Issues': p.app_technical_issues || '',
+                                  'Suggestions': p.app_suggestions || ''
+                                }));
+
+                                // Create workbook and worksheet
+                                const workbook = XLSX.utils.book_new();
+                                const worksheet = XLSX.utils.json_to_sheet(commentsData);
+                                
+                                // Set column widths
+                                worksheet['!cols'] = [
+                                  { wch: 15 },  // Group
+                                  { wch: 15 },  // Submitted Date
+                                  { wch: 50 },  // Additional Comments
+                                  { wch: 50 },  // Helpful Features
+                                  { wch: 50 },  // Technical Issues
+                                  { wch: 50 }   // Suggestions
+                                ];
+                                
+                                XLSX.utils.book_append_sheet(workbook, worksheet, 'Posttest Comments');
+                                
+                                // Generate filename with current date
+                                const filename = `Posttest_Comments_${new Date().toISOString().split('T')[0]}.xlsx`;
+                                XLSX.writeFile(workbook, filename);
+
+                                log('export.comments', { filters: auditFilters, rowCount: commentsData.length });
+                              }}
+                              className="flex items-center px-4 py-2 bg-blue-900 text-white rounded-lg hover:bg-blue-800 transition-colors text-sm font-medium"
+                            >
+                              <Download className="w-4 h-4 mr-2" />
+                              Export Comments
+                            </button>
+                          )}
+                        </div>
+                        
+                        <div className="space-y-6">
+                          {/* Additional Comments */}
+                          <div>
+                            <h5 className="text-sm font-semibold text-gray-700 mb-3 pb-2 border-b border-gray-200">
+                              Additional Comments
+                            </h5>
+                            <div className="space-y-3">
+                              {(() => {
+                                const filtered = filteredData.posttestData.filter(p => 
+                                  p.additional_comments && 
+                                  p.additional_comments.trim() !== '' && 
+                                  p.additional_comments.toLowerCase() !== 'nil' &&
+                                  p.additional_comments.toLowerCase() !== 'nothing'
+                                );
+                                const totalPages = Math.ceil(filtered.length / commentsPerPage);
+                                const startIdx = (commentsPage.additional - 1) * commentsPerPage;
+                                const paginatedData = filtered.slice(startIdx, startIdx + commentsPerPage);
+                                
+                                return filtered.length > 0 ? (
+                                  <>
+                                    {paginatedData.map((p, idx) => (
+                                      <div key={idx} className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+                                        <div className="flex items-start justify-between mb-2">
+                                          <span className="text-xs font-semibold text-blue-900">
+                                            {p.group_assignment || 'Unknown'} Group
+                                          </span>
+                                          <span className="text-xs text-gray-500">
+                                            {p.submitted_at ? new Date(p.submitted_at).toLocaleDateString() : 'N/A'}
+                                          </span>
+                                        </div>
+                                        <p className="text-sm text-gray-700 leading-relaxed">
+                                          {p.additional_comments}
+                                        </p>
                                       </div>
-                                      <p className="text-sm text-gray-700 leading-relaxed">
-                                        {p.additional_comments}
-                                      </p>
-                                    </div>
-                                  ))}
-                                  {totalPages > 1 && (
-                                    <div className="flex items-center justify-between pt-3 border-t border-gray-200">
-                                      <p className="text-sm text-gray-600">
-                                        Showing {startIdx + 1}-{Math.min(startIdx + commentsPerPage, filtered.length)} of {filtered.length}
-                                      </p>
-                                      <div className="flex items-center space-x-2">
-                                        <button
-                                          onClick={() => setCommentsPage(prev => ({ ...prev, additional: prev.additional - 1 }))}
-                                          disabled={commentsPage.additional === 1}
-                                          className="p-1 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
-                                        >
-                                          <ChevronLeft className="w-5 h-5 text-gray-600" />
-                                        </button>
-                                        <span className="text-sm text-gray-600">
-                                          Page {commentsPage.additional} of {totalPages}
-                                        </span>
-                                        <button
-                                          onClick={() => setCommentsPage(prev => ({ ...prev, additional: prev.additional + 1 }))}
-                                          disabled={commentsPage.additional === totalPages}
-                                          className="p-1 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
-                                        >
-                                          <ChevronRight className="w-5 h-5 text-gray-600" />
-                                        </button>
+                                    ))}
+                                    {totalPages > 1 && (
+                                      <div className="flex items-center justify-between pt-3 border-t border-gray-200">
+                                        <p className="text-sm text-gray-600">
+                                          Showing {startIdx + 1}-{Math.min(startIdx + commentsPerPage, filtered.length)} of {filtered.length}
+                                        </p>
+                                        <div className="flex items-center space-x-2">
+                                          <button
+                                            onClick={() => setCommentsPage(prev => ({ ...prev, additional: prev.additional - 1 }))}
+                                            disabled={commentsPage.additional === 1}
+                                            className="p-1 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                                          >
+                                            <ChevronLeft className="w-5 h-5 text-gray-600" />
+                                          </button>
+                                          <span className="text-sm text-gray-600">
+                                            Page {commentsPage.additional} of {totalPages}
+                                          </span>
+                                          <button
+                                            onClick={() => setCommentsPage(prev => ({ ...prev, additional: prev.additional + 1 }))}
+                                            disabled={commentsPage.additional === totalPages}
+                                            className="p-1 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                                          >
+                                            <ChevronRight className="w-5 h-5 text-gray-600" />
+                                          </button>
+                                        </div>
                                       </div>
-                                    </div>
-                                  )}
-                                </>
-                              ) : (
-                                <p className="text-sm text-gray-500 italic">No additional comments provided</p>
-                              );
-                            })()}
+                                    )}
+                                  </>
+                                ) : (
+                                  <p className="text-sm text-gray-500 italic">No additional comments provided</p>
+                                );
+                              })()}
+                            </div>
                           </div>
-                        </div>
 
-                        {/* Helpful Features */}
-                        <div>
-                          <h5 className="text-sm font-semibold text-gray-700 mb-3 pb-2 border-b border-gray-200">
-                            Helpful Features Mentioned
-                          </h5>
-                          <div className="space-y-3">
-                            {(() => {
-                              const filtered = filteredData.posttestData.filter(p => 
-                                p.app_helpful_features && 
-                                p.app_helpful_features.trim() !== '' &&
-                                p.app_helpful_features.toLowerCase() !== 'nil' &&
-                                p.app_helpful_features.toLowerCase() !== 'nothing'
-                              );
-                              const totalPages = Math.ceil(filtered.length / commentsPerPage);
-                              const startIdx = (commentsPage.helpful - 1) * commentsPerPage;
-                              const paginatedData = filtered.slice(startIdx, startIdx + commentsPerPage);
-                              
-                              return filtered.length > 0 ? (
-                                <>
-                                  {paginatedData.map((p, idx) => (
-                                    <div key={idx} className="bg-gray-50 p-4 rounded-lg border border-gray-200">
-                                      <div className="flex items-start justify-between mb-2">
-                                        <span className="text-xs font-semibold text-blue-900">
-                                          {p.group_assignment || 'Unknown'} Group
-                                        </span>
-                                        <span className="text-xs text-gray-500">
-                                          {p.submitted_at ? new Date(p.submitted_at).toLocaleDateString() : 'N/A'}
-                                        </span>
+                          {/* Helpful Features */}
+                          <div>
+                            <h5 className="text-sm font-semibold text-gray-700 mb-3 pb-2 border-b border-gray-200">
+                              Helpful Features Mentioned
+                            </h5>
+                            <div className="space-y-3">
+                              {(() => {
+                                const filtered = filteredData.posttestData.filter(p => 
+                                  p.app_helpful_features && 
+                                  p.app_helpful_features.trim() !== '' &&
+                                  p.app_helpful_features.toLowerCase() !== 'nil' &&
+                                  p.app_helpful_features.toLowerCase() !== 'nothing'
+                                );
+                                const totalPages = Math.ceil(filtered.length / commentsPerPage);
+                                const startIdx = (commentsPage.helpful - 1) * commentsPerPage;
+                                const paginatedData = filtered.slice(startIdx, startIdx + commentsPerPage);
+                                
+                                return filtered.length > 0 ? (
+                                  <>
+                                    {paginatedData.map((p, idx) => (
+                                      <div key={idx} className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+                                        <div className="flex items-start justify-between mb-2">
+                                          <span className="text-xs font-semibold text-blue-900">
+                                            {p.group_assignment || 'Unknown'} Group
+                                          </span>
+                                          <span className="text-xs text-gray-500">
+                                            {p.submitted_at ? new Date(p.submitted_at).toLocaleDateString() : 'N/A'}
+                                          </span>
+                                        </div>
+                                        <p className="text-sm text-gray-700 leading-relaxed">
+                                          {p.app_helpful_features}
+                                        </p>
                                       </div>
-                                      <p className="text-sm text-gray-700 leading-relaxed">
-                                        {p.app_helpful_features}
-                                      </p>
-                                    </div>
-                                  ))}
-                                  {totalPages > 1 && (
-                                    <div className="flex items-center justify-between pt-3 border-t border-gray-200">
-                                      <p className="text-sm text-gray-600">
-                                        Showing {startIdx + 1}-{Math.min(startIdx + commentsPerPage, filtered.length)} of {filtered.length}
-                                      </p>
-                                      <div className="flex items-center space-x-2">
-                                        <button
-                                          onClick={() => setCommentsPage(prev => ({ ...prev, helpful: prev.helpful - 1 }))}
-                                          disabled={commentsPage.helpful === 1}
-                                          className="p-1 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
-                                        >
-                                          <ChevronLeft className="w-5 h-5 text-gray-600" />
-                                        </button>
-                                        <span className="text-sm text-gray-600">
-                                          Page {commentsPage.helpful} of {totalPages}
-                                        </span>
-                                        <button
-                                          onClick={() => setCommentsPage(prev => ({ ...prev, helpful: prev.helpful + 1 }))}
-                                          disabled={commentsPage.helpful === totalPages}
-                                          className="p-1 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
-                                        >
-                                          <ChevronRight className="w-5 h-5 text-gray-600" />
-                                        </button>
+                                    ))}
+                                    {totalPages > 1 && (
+                                      <div className="flex items-center justify-between pt-3 border-t border-gray-200">
+                                        <p className="text-sm text-gray-600">
+                                          Showing {startIdx + 1}-{Math.min(startIdx + commentsPerPage, filtered.length)} of {filtered.length}
+                                        </p>
+                                        <div className="flex items-center space-x-2">
+                                          <button
+                                            onClick={() => setCommentsPage(prev => ({ ...prev, helpful: prev.helpful - 1 }))}
+                                            disabled={commentsPage.helpful === 1}
+                                            className="p-1 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                                          >
+                                            <ChevronLeft className="w-5 h-5 text-gray-600" />
+                                          </button>
+                                          <span className="text-sm text-gray-600">
+                                            Page {commentsPage.helpful} of {totalPages}
+                                          </span>
+                                          <button
+                                            onClick={() => setCommentsPage(prev => ({ ...prev, helpful: prev.helpful + 1 }))}
+                                            disabled={commentsPage.helpful === totalPages}
+                                            className="p-1 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                                          >
+                                            <ChevronRight className="w-5 h-5 text-gray-600" />
+                                          </button>
+                                        </div>
                                       </div>
-                                    </div>
-                                  )}
-                                </>
-                              ) : (
-                                <p className="text-sm text-gray-500 italic">No helpful features mentioned</p>
-                              );
-                            })()}
+                                    )}
+                                  </>
+                                ) : (
+                                  <p className="text-sm text-gray-500 italic">No helpful features mentioned</p>
+                                );
+                              })()}
+                            </div>
                           </div>
-                        </div>
 
-                        {/* Technical Issues */}
-                        <div>
-                          <h5 className="text-sm font-semibold text-gray-700 mb-3 pb-2 border-b border-gray-200">
-                            Technical Issues Reported
-                          </h5>
-                          <div className="space-y-3">
-                            {(() => {
-                              const filtered = filteredData.posttestData.filter(p => 
-                                p.app_technical_issues && 
-                                p.app_technical_issues.trim() !== '' &&
-                                p.app_technical_issues.toLowerCase() !== 'nil' &&
-                                p.app_technical_issues.toLowerCase() !== 'nothing'
-                              );
-                              const totalPages = Math.ceil(filtered.length / commentsPerPage);
-                              const startIdx = (commentsPage.technical - 1) * commentsPerPage;
-                              const paginatedData = filtered.slice(startIdx, startIdx + commentsPerPage);
-                              
-                              return filtered.length > 0 ? (
-                                <>
-                                  {paginatedData.map((p, idx) => (
-                                    <div key={idx} className="bg-gray-50 p-4 rounded-lg border border-gray-200">
-                                      <div className="flex items-start justify-between mb-2">
-                                        <span className="text-xs font-semibold text-blue-900">
-                                          {p.group_assignment || 'Unknown'} Group
-                                        </span>
-                                        <span className="text-xs text-gray-500">
-                                          {p.submitted_at ? new Date(p.submitted_at).toLocaleDateString() : 'N/A'}
-                                        </span>
+                          {/* Technical Issues */}
+                          <div>
+                            <h5 className="text-sm font-semibold text-gray-700 mb-3 pb-2 border-b border-gray-200">
+                              Technical Issues Reported
+                            </h5>
+                            <div className="space-y-3">
+                              {(() => {
+                                const filtered = filteredData.posttestData.filter(p => 
+                                  p.app_technical_issues && 
+                                  p.app_technical_issues.trim() !== '' &&
+                                  p.app_technical_issues.toLowerCase() !== 'nil' &&
+                                  p.app_technical_issues.toLowerCase() !== 'nothing'
+                                );
+                                const totalPages = Math.ceil(filtered.length / commentsPerPage);
+                                const startIdx = (commentsPage.technical - 1) * commentsPerPage;
+                                const paginatedData = filtered.slice(startIdx, startIdx + commentsPerPage);
+                                
+                                return filtered.length > 0 ? (
+                                  <>
+                                    {paginatedData.map((p, idx) => (
+                                      <div key={idx} className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+                                        <div className="flex items-start justify-between mb-2">
+                                          <span className="text-xs font-semibold text-blue-900">
+                                            {p.group_assignment || 'Unknown'} Group
+                                          </span>
+                                          <span className="text-xs text-gray-500">
+                                            {p.submitted_at ? new Date(p.submitted_at).toLocaleDateString() : 'N/A'}
+                                          </span>
+                                        </div>
+                                        <p className="text-sm text-gray-700 leading-relaxed">
+                                          {p.app_technical_issues}
+                                        </p>
                                       </div>
-                                      <p className="text-sm text-gray-700 leading-relaxed">
-                                        {p.app_technical_issues}
-                                      </p>
-                                    </div>
-                                  ))}
-                                  {totalPages > 1 && (
-                                    <div className="flex items-center justify-between pt-3 border-t border-gray-200">
-                                      <p className="text-sm text-gray-600">
-                                        Showing {startIdx + 1}-{Math.min(startIdx + commentsPerPage, filtered.length)} of {filtered.length}
-                                      </p>
-                                      <div className="flex items-center space-x-2">
-                                        <button
-                                          onClick={() => setCommentsPage(prev => ({ ...prev, technical: prev.technical - 1 }))}
-                                          disabled={commentsPage.technical === 1}
-                                          className="p-1 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
-                                        >
-                                          <ChevronLeft className="w-5 h-5 text-gray-600" />
-                                        </button>
-                                        <span className="text-sm text-gray-600">
-                                          Page {commentsPage.technical} of {totalPages}
-                                        </span>
-                                        <button
-                                          onClick={() => setCommentsPage(prev => ({ ...prev, technical: prev.technical + 1 }))}
-                                          disabled={commentsPage.technical === totalPages}
-                                          className="p-1 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
-                                        >
-                                          <ChevronRight className="w-5 h-5 text-gray-600" />
-                                        </button>
+                                    ))}
+                                    {totalPages > 1 && (
+                                      <div className="flex items-center justify-between pt-3 border-t border-gray-200">
+                                        <p className="text-sm text-gray-600">
+                                          Showing {startIdx + 1}-{Math.min(startIdx + commentsPerPage, filtered.length)} of {filtered.length}
+                                        </p>
+                                        <div className="flex items-center space-x-2">
+                                          <button
+                                            onClick={() => setCommentsPage(prev => ({ ...prev, technical: prev.technical - 1 }))}
+                                            disabled={commentsPage.technical === 1}
+                                            className="p-1 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                                          >
+                                            <ChevronLeft className="w-5 h-5 text-gray-600" />
+                                          </button>
+                                          <span className="text-sm text-gray-600">
+                                            Page {commentsPage.technical} of {totalPages}
+                                          </span>
+                                          <button
+                                            onClick={() => setCommentsPage(prev => ({ ...prev, technical: prev.technical + 1 }))}
+                                            disabled={commentsPage.technical === totalPages}
+                                            className="p-1 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                                          >
+                                            <ChevronRight className="w-5 h-5 text-gray-600" />
+                                          </button>
+                                        </div>
                                       </div>
-                                    </div>
-                                  )}
-                                </>
-                              ) : (
-                                <p className="text-sm text-gray-500 italic">No technical issues reported</p>
-                              );
-                            })()}
+                                    )}
+                                  </>
+                                ) : (
+                                  <p className="text-sm text-gray-500 italic">No technical issues reported</p>
+                                );
+                              })()}
+                            </div>
                           </div>
-                        </div>
 
-                        {/* App Suggestions */}
-                        <div>
-                          <h5 className="text-sm font-semibold text-gray-700 mb-3 pb-2 border-b border-gray-200">
-                            App Improvement Suggestions
-                          </h5>
-                          <div className="space-y-3">
-                            {(() => {
-                              const filtered = filteredData.posttestData.filter(p => 
-                                p.app_suggestions && 
-                                p.app_suggestions.trim() !== '' &&
-                                p.app_suggestions.toLowerCase() !== 'nil' &&
-                                p.app_suggestions.toLowerCase() !== 'nothing'
-                              );
-                              const totalPages = Math.ceil(filtered.length / commentsPerPage);
-                              const startIdx = (commentsPage.suggestions - 1) * commentsPerPage;
-                              const paginatedData = filtered.slice(startIdx, startIdx + commentsPerPage);
-                              
-                              return filtered.length > 0 ? (
-                                <>
-                                  {paginatedData.map((p, idx) => (
-                                    <div key={idx} className="bg-gray-50 p-4 rounded-lg border border-gray-200">
-                                      <div className="flex items-start justify-between mb-2">
-                                        <span className="text-xs font-semibold text-blue-900">
-                                          {p.group_assignment || 'Unknown'} Group
-                                        </span>
-                                        <span className="text-xs text-gray-500">
-                                          {p.submitted_at ? new Date(p.submitted_at).toLocaleDateString() : 'N/A'}
-                                        </span>
+                          {/* App Suggestions */}
+                          <div>
+                            <h5 className="text-sm font-semibold text-gray-700 mb-3 pb-2 border-b border-gray-200">
+                              App Improvement Suggestions
+                            </h5>
+                            <div className="space-y-3">
+                              {(() => {
+                                const filtered = filteredData.posttestData.filter(p => 
+                                  p.app_suggestions && 
+                                  p.app_suggestions.trim() !== '' &&
+                                  p.app_suggestions.toLowerCase() !== 'nil' &&
+                                  p.app_suggestions.toLowerCase() !== 'nothing'
+                                );
+                                const totalPages = Math.ceil(filtered.length / commentsPerPage);
+                                const startIdx = (commentsPage.suggestions - 1) * commentsPerPage;
+                                const paginatedData = filtered.slice(startIdx, startIdx + commentsPerPage);
+                                
+                                return filtered.length > 0 ? (
+                                  <>
+                                    {paginatedData.map((p, idx) => (
+                                      <div key={idx} className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+                                        <div className="flex items-start justify-between mb-2">
+                                          <span className="text-xs font-semibold text-blue-900">
+                                            {p.group_assignment || 'Unknown'} Group
+                                          </span>
+                                          <span className="text-xs text-gray-500">
+                                            {p.submitted_at ? new Date(p.submitted_at).toLocaleDateString() : 'N/A'}
+                                          </span>
+                                        </div>
+                                        <p className="text-sm text-gray-700 leading-relaxed">
+                                          {p.app_suggestions}
+                                        </p>
                                       </div>
-                                      <p className="text-sm text-gray-700 leading-relaxed">
-                                        {p.app_suggestions}
-                                      </p>
-                                    </div>
-                                  ))}
-                                  {totalPages > 1 && (
-                                    <div className="flex items-center justify-between pt-3 border-t border-gray-200">
-                                      <p className="text-sm text-gray-600">
-                                        Showing {startIdx + 1}-{Math.min(startIdx + commentsPerPage, filtered.length)} of {filtered.length}
-                                      </p>
-                                      <div className="flex items-center space-x-2">
-                                        <button
-                                          onClick={() => setCommentsPage(prev => ({ ...prev, suggestions: prev.suggestions - 1 }))}
-                                          disabled={commentsPage.suggestions === 1}
-                                          className="p-1 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
-                                        >
-                                          <ChevronLeft className="w-5 h-5 text-gray-600" />
-                                        </button>
-                                        <span className="text-sm text-gray-600">
-                                          Page {commentsPage.suggestions} of {totalPages}
-                                        </span>
-                                        <button
-                                          onClick={() => setCommentsPage(prev => ({ ...prev, suggestions: prev.suggestions + 1 }))}
-                                          disabled={commentsPage.suggestions === totalPages}
-                                          className="p-1 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
-                                        >
-                                          <ChevronRight className="w-5 h-5 text-gray-600" />
-                                        </button>
+                                    ))}
+                                    {totalPages > 1 && (
+                                      <div className="flex items-center justify-between pt-3 border-t border-gray-200">
+                                        <p className="text-sm text-gray-600">
+                                          Showing {startIdx + 1}-{Math.min(startIdx + commentsPerPage, filtered.length)} of {filtered.length}
+                                        </p>
+                                        <div className="flex items-center space-x-2">
+                                          <button
+                                            onClick={() => setCommentsPage(prev => ({ ...prev, suggestions: prev.suggestions - 1 }))}
+                                            disabled={commentsPage.suggestions === 1}
+                                            className="p-1 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                                          >
+                                            <ChevronLeft className="w-5 h-5 text-gray-600" />
+                                          </button>
+                                          <span className="text-sm text-gray-600">
+                                            Page {commentsPage.suggestions} of {totalPages}
+                                          </span>
+                                          <button
+                                            onClick={() => setCommentsPage(prev => ({ ...prev, suggestions: prev.suggestions + 1 }))}
+                                            disabled={commentsPage.suggestions === totalPages}
+                                            className="p-1 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                                          >
+                                            <ChevronRight className="w-5 h-5 text-gray-600" />
+                                          </button>
+                                        </div>
                                       </div>
-                                    </div>
-                                  )}
-                                </>
-                              ) : (
-                                <p className="text-sm text-gray-500 italic">No suggestions provided</p>
-                              );
-                            })()}
+                                    )}
+                                  </>
+                                ) : (
+                                  <p className="text-sm text-gray-500 italic">No suggestions provided</p>
+                                );
+                              })()}
+                            </div>
                           </div>
                         </div>
                       </div>
-                    </div>
+                    )}
                   </>
                 )}
               </div>
             )}
 
+            {activeTab === 'pre-post' && (
+              <PrePostComparison
+                prePost={prePost}
+                loading={pretestData.loading || posttestData.loading}
+              />
+            )}
+
             {activeTab === 'demographics' && (
               <EnhancedDataTable
-                data={filteredData.demographicsData}
-                loading={demographicsData.loading}
-                error={demographicsData.error}
+                tableName="demographic_surveys"
+                searchColumns={['participant_id', 'gender', 'designation', 'working_unit', 'work_shift']}
+                queryFilters={{ participant_id: groupParticipantNumbers }}
                 title="Demographic Surveys"
                 type="demographics"
               />
             )}
+
+            {activeTab === 'audit' && <AuditTrail />}
           </div>
         </main>
       </div>
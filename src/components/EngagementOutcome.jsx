@@ -0,0 +1,179 @@
+import React, { useMemo, useState } from 'react';
+import { Scatter } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { useBlinding } from '../blinding/BlindingContext';
+import { EXPOSURE_METRICS, analyzeDoseResponse, defaultDoseResponseGroup } from '../analysis/doseResponse';
+import { formatP, formatStat, formatWithCI } from '../stats';
+import { studyProtocol } from '../config/studyProtocol';
+
+ChartJS.register(LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+const ARM_COLORS = ['59, 130, 246', '245, 158, 11', '16, 185, 129'];
+
+// App use against pre -> post change, per paired participant. `participants` come
+// from joinExposure (so they carry `exposure`, `tier` and change scores). One arm
+// at a time: pooling would let the comparison arm's zero use stand in for a dose
+// effect. Opens on the protocol's app arm only when unblinded.
+const EngagementOutcome = ({ participants = [] }) => {
+  const { arms, blinded } = useBlinding();
+  const [selectedGroup, setGroup] = useState(null);
+  const [metricId, setMetricId] = useState(EXPOSURE_METRICS[0].id);
+  // A group picked before blinding was switched no longer exists in the rows
+  const group = arms.some(arm => arm.value === selectedGroup) ? selectedGroup : defaultDoseResponseGroup(arms, blinded);
+
+  const results = useMemo(
+    () => analyzeDoseResponse(participants.filter(participant => participant.group === group)),
+    [participants, group]
+  );
+
+  const scatterData = (metric) => {
+    const shownArms = arms.filter(arm => metric.points.some(point => point.group === arm.value));
+    const xs = metric.points.map(point => point.x);
+    const line = metric.slope && xs.length > 0
+      ? [Math.min(...xs), Math.max(...xs)].map(x => ({ x, y: metric.intercept + metric.slope.estimate * x }))
+      : [];
+    return {
+      datasets: [
+        ...shownArms.map(arm => ({
+          label: arm.label,
+          data: metric.points.filter(point => point.group === arm.value),
+          // Colour by the arm's place in the selector so it doesn't change with the selection
+          backgroundColor: `rgba(${ARM_COLORS[arms.indexOf(arm) % ARM_COLORS.length]}, 0.6)`,
+          borderColor: `rgba(${ARM_COLORS[arms.indexOf(arm) % ARM_COLORS.length]}, 1)`,
+          pointRadius: 5
+        })),
+        {
+          label: 'Linear fit',
+          data: line,
+          showLine: true,
+          pointRadius: 0,
+          borderColor: 'rgba(239, 68, 68, 1)',
+          borderWidth: 2,
+          borderDash: [5, 5]
+        }
+      ]
+    };
+  };
+
+  const scatterOptions = (metric, outcome) => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { position: 'top', labels: { boxWidth: 12, font: { size: 11 } } },
+      tooltip: {
+        callbacks: {
+          label: (context) => (context.raw.participant_number
+            ? `${context.raw.participant_number}: ${formatStat(context.raw.x)} → ${formatStat(context.raw.y)}`
+            : 'Linear fit')
+        }
+      }
+    },
+    scales: {
+      x: { title: { display: true, text: metric.metric.label }, grid: { color: 'rgba(0, 0, 0, 0.05)' } },
+      y: { title: { display: true, text: `${outcome.shortLabel} change` }, grid: { color: 'rgba(0, 0, 0, 0.05)' } }
+    }
+  });
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Engagement vs Outcome</h3>
+        <p className="text-xs text-gray-500 mb-4">
+          Participants with a pretest and posttest in one group, joined to their app sessions (no sessions counts as
+          zero use). Groups are analysed separately; unblinded, the view opens on the group given the app.
+          Adherence is sessions against the protocol's {studyProtocol.expectedSessions} ({studyProtocol.sessionsPerWeek} a
+          week for {studyProtocol.weeks} weeks), capped at 100%. Change is posttest minus pretest, so for PSS-4 a
+          negative change means less stress.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Group</label>
+            <select
+              value={group}
+              onChange={(e) => setGroup(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {arms.map(arm => (
+                <option key={arm.value} value={arm.value}>{arm.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Exposure</label>
+            <select
+              value={metricId}
+              onChange={(e) => setMetricId(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {EXPOSURE_METRICS.map(metric => (
+                <option key={metric.id} value={metric.id}>{metric.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {results.map(result => {
+        const metric = result.metrics.find(candidate => candidate.metric.id === metricId);
+        return (
+          <div key={result.outcome.id} className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+            <h4 className="text-md font-bold text-gray-900 mb-4">{result.outcome.label}: change by {metric.metric.label.toLowerCase()}</h4>
+            {result.n === 0 ? (
+              <p className="text-sm text-gray-500">No participants with both timepoints for this outcome yet.</p>
+            ) : (
+              <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+                <div className="xl:col-span-2 h-80">
+                  <Scatter data={scatterData(metric)} options={scatterOptions(metric, result.outcome)} />
+                </div>
+                <div className="space-y-4 text-sm">
+                  <div>
+                    <p className="text-xs text-gray-500 uppercase tracking-wider">Slope per {metric.metric.unit}</p>
+                    <p className="font-bold text-blue-900">
+                      {metric.slope ? formatWithCI({ value: metric.slope.estimate, lower: metric.slope.lower, upper: metric.slope.upper }, 3) : 'N/A'}
+                    </p>
+                    {metric.slope && <p className="text-xs text-gray-500">p = {formatP(metric.slope.p)}</p>}
+                  </div>
+                  <div>
+                    <p className="text-xs text-gray-500 uppercase tracking-wider">Spearman's ρ</p>
+                    <p className="font-bold text-blue-900">{metric.spearman ? formatWithCI(metric.spearman.estimate) : 'N/A'}</p>
+                    {metric.spearman && <p className="text-xs text-gray-500">p = {formatP(metric.spearman.p)} · n = {metric.spearman.n[0]}</p>}
+                  </div>
+                  <div>
+                    <p className="text-xs text-gray-500 uppercase tracking-wider mb-1">Mean change by adherence</p>
+                    <table className="w-full">
+                      <tbody>
+                        {result.tiers.map(({ tier, change }) => (
+                          <tr key={tier.id}>
+                            <td className="py-1 pr-2 text-gray-700">{tier.label}</td>
+                            <td className="py-1 px-2 text-right text-gray-500">n = {change.n}</td>
+                            <td className="py-1 pl-2 text-right text-gray-900 whitespace-nowrap">
+                              {formatWithCI({ value: change.mean, lower: change.lower, upper: change.upper })}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Adherent vs the rest: {result.adherentVsNot
+                        ? `${formatWithCI(result.adherentVsNot.estimate)}, p = ${formatP(result.adherentVsNot.p)}`
+                        : 'not enough participants in each tier'}
+                    </p>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default EngagementOutcome;
@@ -1,22 +1,94 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useCallback } from 'react';
 import { Search, ChevronLeft, ChevronRight, Download, Filter, Calendar, SortAsc, SortDesc } from 'lucide-react';
 import * as XLSX from 'xlsx';
+import { useSupabaseQuery } from '../hooks/useSupabaseData';
+import { usePermissions } from '../auth/usePermissions';
+import { useBlinding } from '../blinding/BlindingContext';
+import { useAuditLog } from '../audit/useAuditLog';
+import { WHO5_CUTOFFS, WHO5_SCREEN } from '../scoring';
 
-const EnhancedDataTable = ({ data, loading, error, title, type }) => {
+// WHO-5 screen filter: 'flagged' is everyone at or under the poor well-being cut-off
+const SCREEN_FILTERS = {
+  flagged: [WHO5_SCREEN.poorWellbeing, WHO5_SCREEN.likelyDepression],
+  likelyDepression: [WHO5_SCREEN.likelyDepression]
+};
+
+// Spreadsheet cells can't hold objects (e.g. jsonb columns); write them as JSON
+const toSheetRow = (row) => Object.fromEntries(
+  Object.entries(row).map(([key, value]) => [
+    key,
+    value !== null && typeof value === 'object' ? JSON.stringify(value) : value
+  ])
+);
+
+// When `tableName` is given the table pages, sorts and filters in Supabase;
+// otherwise it works on the `data` array it is handed. Columns the user's role
+// may not see are dropped before display, search and export, and group
+// allocation is masked while the dashboard is blinded (callers pass `data` masked).
+// `deriveRow` adds computed columns (e.g. instrument scores) to every row; they
+// can be searched, sorted and exported like stored ones, but only sort
+// client-side, so use it with `data` rather than `tableName`.
+const EnhancedDataTable = ({
+  data,
+  loading,
+  error,
+  title,
+  type,
+  tableName,
+  searchColumns = [],
+  queryFilters = {},
+  groupColumn = 'group_assignment',
+  deriveRow,
+  refreshPolicy
+}) => {
   const [searchTerm, setSearchTerm] = useState('');
   const [currentPage, setCurrentPage] = useState(1);
   const [sortBy, setSortBy] = useState(null);
   const [sortOrder, setSortOrder] = useState('asc');
   const [dateFilter, setDateFilter] = useState('all');
-  const [groupFilter, setGroupFilter] = useState('all'); // New group filter
+  const [selectedGroup, setGroupFilter] = useState('all');
+  const [screenFilter, setScreenFilter] = useState('all');
   const [showFilters, setShowFilters] = useState(false);
+  const [exportError, setExportError] = useState(null);
   const itemsPerPage = 10;
+  const serverSide = Boolean(tableName);
+  const permissions = usePermissions();
+  const blinding = useBlinding();
+  const log = useAuditLog();
+  // A group picked before blinding was switched no longer exists in the rows
+  const groupFilter = blinding.arms.some(arm => arm.value === selectedGroup) ? selectedGroup : 'all';
+  const hasScores = Boolean(deriveRow);
+
+  const remote = useSupabaseQuery(
+    tableName,
+    {
+      page: currentPage,
+      pageSize: itemsPerPage,
+      sortBy,
+      sortOrder,
+      search: searchTerm,
+      searchColumns: searchColumns.filter(permissions.canViewColumn),
+      dateFilter,
+      filters: {
+        ...queryFilters,
+        ...(groupFilter !== 'all' ? { [groupColumn]: blinding.unmaskGroup(groupFilter) } : {})
+      }
+    },
+    { enabled: serverSide, refreshPolicy }
+  );
+
+  // Rows as displayed and exported: computed columns added, then hidden columns dropped
+  const prepareRows = useCallback(
+    (rows) => permissions.omitHidden(deriveRow ? rows.map(deriveRow) : rows),
+    [permissions, deriveRow]
+  );
 
   // Memoized filtered and sorted data
   const processedData = useMemo(() => {
+    if (serverSide) return prepareRows(blinding.maskRows(remote.data));
     if (!data || data.length === 0) return [];
     
-    let filtered = data.filter(item => {
+    let filtered = prepareRows(data).filter(item => {
       // Search filter
       const searchMatch = Object.values(item).some(value => 
         value && value.toString().toLowerCase().includes(searchTerm.toLowerCase())
@@ -55,7 +127,9 @@ const EnhancedDataTable = ({ data, loading, error, title, type }) => {
         }
       }
       
-      return searchMatch && dateMatch && groupMatch;
+      const screenMatch = screenFilter === 'all' || SCREEN_FILTERS[screenFilter].includes(item.who5_screen);
+      
+      return searchMatch && dateMatch && groupMatch && screenMatch;
     });
 
     // Sort
@@ -75,14 +149,20 @@ const EnhancedDataTable = ({ data, loading, error, title, type }) => {
     }
 
     return filtered;
-  }, [data, searchTerm, dateFilter, groupFilter, sortBy, sortOrder]);
+  }, [serverSide, remote.data, data, prepareRows, blinding, searchTerm, dateFilter, groupFilter, screenFilter, sortBy, sortOrder]);
 
   // Pagination
-  const totalPages = Math.ceil(processedData.length / itemsPerPage);
-  const currentData = processedData.slice(
-    (currentPage - 1) * itemsPerPage,
-    currentPage * itemsPerPage
-  );
+  const totalRows = serverSide ? remote.count : processedData.length;
+  const totalPages = Math.ceil(totalRows / itemsPerPage);
+  const currentData = serverSide
+    ? processedData
+    : processedData.slice(
+      (currentPage - 1) * itemsPerPage,
+      currentPage * itemsPerPage
+    );
+
+  const isLoading = serverSide ? remote.loading && remote.data.length === 0 : loading;
+  const loadError = serverSide ? remote.error : error;
 
   const handleSort = (field) => {
     if (sortBy === field) {
@@ -91,25 +171,38 @@ const EnhancedDataTable = ({ data, loading, error, title, type }) => {
       setSortBy(field);
       setSortOrder('asc');
     }
+    setCurrentPage(1);
   };
 
-  const exportToExcel = () => {
-    if (!processedData.length) return;
+  const exportToExcel = async () => {
+    if (!permissions.canExport) return;
+    setExportError(null);
+    let rows = processedData;
+    if (serverSide) {
+      try {
+        rows = prepareRows(blinding.maskRows(await remote.fetchAll()));
+      } catch (err) {
+        console.error(`Error exporting ${tableName}:`, err);
+        setExportError(err.message || String(err));
+        return;
+      }
+    }
+    if (!rows.length) return;
     
     // Create a new workbook
     const workbook = XLSX.utils.book_new();
     
     // Convert data to worksheet format
-    const worksheet = XLSX.utils.json_to_sheet(processedData);
+    const worksheet = XLSX.utils.json_to_sheet(rows.map(toSheetRow));
     
     // Auto-size columns
     const colWidths = [];
-    if (processedData.length > 0) {
-      const headers = Object.keys(processedData[0]);
+    if (rows.length > 0) {
+      const headers = Object.keys(rows[0]);
       headers.forEach((header, index) => {
         const maxLength = Math.max(
           header.length,
-          ...processedData.map(row => {
+          ...rows.map(row => {
             const value = row[header];
             return value ? value.toString().length : 0;
           })
@@ -128,9 +221,23 @@ const EnhancedDataTable = ({ data, loading, error, title, type }) => {
     
     // Save the file
     XLSX.writeFile(workbook, filename);
+
+    log('export.table', {
+      table: tableName || type,
+      title,
+      filters: {
+        search: searchTerm || null,
+        date: dateFilter,
+        group: groupFilter,
+        ...(hasScores ? { who5Screen: screenFilter } : {}),
+        blinded: blinding.blinded,
+        ...queryFilters
+      },
+      rowCount: rows.length
+    });
   };
 
-  if (loading) {
+  if (isLoading) {
     return (
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
         <div className="animate-pulse">
@@ -145,13 +252,23 @@ const EnhancedDataTable = ({ data, loading, error, title, type }) => {
     );
   }
 
-  if (error) {
+  if (loadError || exportError) {
     return (
       <div className="bg-white rounded-xl shadow-sm border border-red-200 p-6">
         <div className="text-center">
           <div className="text-red-500 mb-2">⚠️</div>
-          <h3 className="text-lg font-semibold text-gray-900 mb-2">Error Loading Data</h3>
-          <p className="text-gray-600">{error}</p>
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">
+            {loadError ? 'Error Loading Data' : 'Export Failed'}
+          </h3>
+          <p className="text-gray-600">{loadError || exportError}</p>
+          {!loadError && (
+            <button
+              onClick={() => setExportError(null)}
+              className="mt-4 px-3 py-2 text-sm text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              Back to table
+            </button>
+          )}
         </div>
       </div>
     );
@@ -172,13 +289,15 @@ const EnhancedDataTable = ({ data, loading, error, title, type }) => {
               <Filter className="w-4 h-4 mr-2" />
               Filters
             </button>
-            <button
-              onClick={exportToExcel}
-              className="flex items-center px-3 py-2 text-sm text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors"
-            >
-              <Download className="w-4 h-4 mr-2" />
-              Export Excel
-            </button>
+            {permissions.canExport && (
+              <button
+                onClick={exportToExcel}
+                className="flex items-center px-3 py-2 text-sm text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                <Download className="w-4 h-4 mr-2" />
+                Export Excel
+              </button>
+            )}
           </div>
         </div>
 
@@ -194,7 +313,10 @@ const EnhancedDataTable = ({ data, loading, error, title, type }) => {
                     type="text"
                     placeholder="Search all fields..."
                     value={searchTerm}
-                    onChange={(e) => setSearchTerm(e.target.value)}
+                    onChange={(e) => {
+                      setSearchTerm(e.target.value);
+                      setCurrentPage(1);
+                    }}
                     className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                   />
                 </div>
@@ -206,7 +328,10 @@ const EnhancedDataTable = ({ data, loading, error, title, type }) => {
                   <Calendar className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
                   <select
                     value={dateFilter}
-                    onChange={(e) => setDateFilter(e.target.value)}
+                    onChange={(e) => {
+                      setDateFilter(e.target.value);
+                      setCurrentPage(1);
+                    }}
                     className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                   >
                     <option value="all">All Time</option>
@@ -217,20 +342,45 @@ const EnhancedDataTable = ({ data, loading, error, title, type }) => {
                 </div>
               </div>
               
-              {/* Group Filter - Show for pretest and posttest responses */}
-              {(type === 'pretest' || type === 'posttest') && (
+              {/* Group Filter - Show for pretest and posttest responses and their pairing */}
+              {(type === 'pretest' || type === 'posttest' || type === 'pre-post') && (
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">Group</label>
                   <div className="relative">
                     <Filter className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
                     <select
                       value={groupFilter}
-                      onChange={(e) => setGroupFilter(e.target.value)}
+                      onChange={(e) => {
+                        setGroupFilter(e.target.value);
+                        setCurrentPage(1);
+                      }}
                       className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                     >
                       <option value="all">All Groups</option>
-                      <option value="Intervention">Intervention</option>
-                      <option value="Control">Control</option>
+                      {blinding.arms.map(arm => (
+                        <option key={arm.value} value={arm.value}>{arm.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
+
+              {hasScores && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">WHO-5 Screen</label>
+                  <div className="relative">
+                    <Filter className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+                    <select
+                      value={screenFilter}
+                      onChange={(e) => {
+                        setScreenFilter(e.target.value);
+                        setCurrentPage(1);
+                      }}
+                      className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      <option value="all">All Responses</option>
+                      <option value="flagged">Poor well-being (≤ {WHO5_CUTOFFS.poorWellbeing}%)</option>
+                      <option value="likelyDepression">Likely depression (≤ {WHO5_CUTOFFS.likelyDepression}%)</option>
                     </select>
                   </div>
                 </div>
@@ -240,7 +390,7 @@ const EnhancedDataTable = ({ data, loading, error, title, type }) => {
         )}
         
         {/* Active Filters Display */}
-        {(searchTerm || dateFilter !== 'all' || groupFilter !== 'all') && (
+        {(searchTerm || dateFilter !== 'all' || groupFilter !== 'all' || screenFilter !== 'all') && (
           <div className="px-6 py-3 bg-gray-50 border-t border-b border-gray-200">
             <div className="flex items-center flex-wrap gap-2">
               <span className="text-sm font-medium text-gray-700">Active Filters:</span>
@@ -259,11 +409,17 @@ const EnhancedDataTable = ({ data, loading, error, title, type }) => {
                   Group: {groupFilter}
                 </span>
               )}
+              {screenFilter !== 'all' && (
+                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">
+                  WHO-5: {screenFilter === 'flagged' ? `≤ ${WHO5_CUTOFFS.poorWellbeing}%` : `≤ ${WHO5_CUTOFFS.likelyDepression}%`}
+                </span>
+              )}
               <button
                 onClick={() => {
                   setSearchTerm('');
                   setDateFilter('all');
                   setGroupFilter('all');
+                  setScreenFilter('all');
                   setCurrentPage(1);
                 }}
                 className="text-xs text-gray-500 hover:text-gray-700 underline"
@@ -315,6 +471,8 @@ const EnhancedDataTable = ({ data, loading, error, title, type }) => {
                           </span>
                         ) : key.includes('date') || key.includes('time') ? (
                           new Date(value).toLocaleString()
+                        ) : typeof value === 'object' ? (
+                          <code className="text-xs text-gray-600">{JSON.stringify(value)}</code>
                         ) : (
                           value.toString()
                         )
@@ -345,7 +503,7 @@ const EnhancedDataTable = ({ data, loading, error, title, type }) => {
         <div className="px-6 py-4 border-t border-gray-200">
           <div className="flex items-center justify-between">
             <div className="text-sm text-gray-700">
-              Showing {((currentPage - 1) * itemsPerPage) + 1} to {Math.min(currentPage * itemsPerPage, processedData.length)} of {processedData.length} results
+              Showing {((currentPage - 1) * itemsPerPage) + 1} to {Math.min(currentPage * itemsPerPage, totalRows)} of {totalRows} results
             </div>
             <div className="flex items-center space-x-2">
               <button
@@ -0,0 +1,16 @@
+import React from 'react';
+import { Database } from 'lucide-react';
+import { environment } from '../config/environment';
+
+// Always-visible reminder of which study database the dashboard is reading
+const EnvironmentBadge = () => (
+  <span
+    className={`flex items-center px-3 py-1.5 text-xs font-semibold uppercase tracking-wide rounded-full whitespace-nowrap ${environment.badgeClass}`}
+    title={environment.description}
+  >
+    <Database className="w-3 h-3 mr-1.5" />
+    {environment.label}
+  </span>
+);
+
+export default EnvironmentBadge;
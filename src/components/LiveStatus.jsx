@@ -0,0 +1,68 @@
+import React, { useEffect, useState } from 'react';
+import { Pause, Play, WifiOff } from 'lucide-react';
+import { useLiveUpdates } from '../hooks/useSupabaseData';
+
+const formatAge = (seconds) => {
+  if (seconds < 5) return 'just now';
+  if (seconds < 60) return `${seconds} seconds ago`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.floor(minutes / 60);
+  return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+};
+
+// Live / Paused toggle plus a "last updated" readout for the dashboard header.
+// `offlineAsOf` is set while any dataset is being served from an offline snapshot.
+const LiveStatus = ({ updatedAt, offlineAsOf }) => {
+  const { paused, setPaused } = useLiveUpdates();
+  const [now, setNow] = useState(() => Date.now());
+
+  // Re-render once a second so the age keeps counting up
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const age = updatedAt ? Math.max(0, Math.floor((now - updatedAt) / 1000)) : null;
+
+  return (
+    <div className="flex items-center space-x-3">
+      {offlineAsOf && (
+        <span
+          className="flex items-center px-3 py-1.5 text-xs font-medium rounded-full bg-amber-100 text-amber-800 whitespace-nowrap"
+          title="Supabase is unreachable; showing the last saved snapshot"
+        >
+          <WifiOff className="w-3 h-3 mr-1.5" />
+          Offline · data as of {new Date(offlineAsOf).toLocaleString()}
+        </span>
+      )}
+      <span className="text-xs text-gray-500 whitespace-nowrap">
+        {age === null ? 'Loading...' : `Updated ${formatAge(age)}`}
+      </span>
+      <button
+        onClick={() => setPaused(!paused)}
+        title={paused ? 'Resume live updates' : 'Pause live updates'}
+        className={`flex items-center px-3 py-1.5 text-xs font-medium rounded-full transition-colors ${
+          paused
+            ? 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            : 'bg-green-100 text-green-800 hover:bg-green-200'
+        }`}
+      >
+        {paused ? (
+          <>
+            <Play className="w-3 h-3 mr-1" />
+            Paused
+          </>
+        ) : (
+          <>
+            <span className="w-2 h-2 mr-1.5 bg-green-500 rounded-full animate-pulse"></span>
+            Live
+            <Pause className="w-3 h-3 ml-1.5" />
+          </>
+        )}
+      </button>
+    </div>
+  );
+};
+
+export default LiveStatus;
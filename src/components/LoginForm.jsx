@@ -1,24 +1,37 @@
 import React, { useState } from 'react';
-import { Lock, User, Eye, EyeOff } from 'lucide-react';
+import { Lock, Mail, Eye, EyeOff, CheckCircle } from 'lucide-react';
+import { useAuth } from '../auth/AuthContext';
 
-const LoginForm = ({ onLogin }) => {
-  const [credentials, setCredentials] = useState({ username: '', password: '' });
+const LoginForm = () => {
+  const { signInWithPassword, signInWithMagicLink } = useAuth();
+  const [mode, setMode] = useState('password'); // 'password' | 'magic-link'
+  const [credentials, setCredentials] = useState({ email: '', password: '' });
   const [error, setError] = useState('');
+  const [linkSentTo, setLinkSentTo] = useState(null);
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
 
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setError('');
+    setLinkSentTo(null);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError('');
-    
-    // Simulate loading for better UX
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    if (credentials.username === 'admin' && credentials.password === 'test123') {
-      onLogin();
-    } else {
-      setError('Invalid username or password');
+
+    try {
+      if (mode === 'password') {
+        // On success the auth listener swaps this form for the dashboard
+        await signInWithPassword(credentials.email, credentials.password);
+      } else {
+        await signInWithMagicLink(credentials.email);
+        setLinkSentTo(credentials.email);
+      }
+    } catch (err) {
+      setError(err.message || 'Sign-in failed');
     }
     setLoading(false);
   };
@@ -35,53 +48,64 @@ const LoginForm = ({ onLogin }) => {
             <Lock className="w-10 h-10 text-white" />
           </div>
           <h1 className="text-3xl font-bold text-gray-900 mb-2">Research Dashboard</h1>
-          <p className="text-gray-600">Welcome back to the admin portal</p>
+          <p className="text-gray-600">Sign in with your study staff account</p>
         </div>
 
         <form onSubmit={handleSubmit} className="space-y-6">
           <div className="space-y-2">
             <label className="block text-sm font-semibold text-gray-700">
-              Username
+              Email
             </label>
             <div className="relative">
-              <User className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+              <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
               <input
-                type="text"
-                value={credentials.username}
-                onChange={(e) => setCredentials({ ...credentials, username: e.target.value })}
+                type="email"
+                autoComplete="email"
+                value={credentials.email}
+                onChange={(e) => setCredentials({ ...credentials, email: e.target.value })}
                 className="pl-10 pr-4 py-3 w-full border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all duration-200 bg-gray-50 focus:bg-white"
-                placeholder="Enter your username"
+                placeholder="you@institution.edu"
                 required
                 disabled={loading}
               />
             </div>
           </div>
 
-          <div className="space-y-2">
-            <label className="block text-sm font-semibold text-gray-700">
-              Password
-            </label>
-            <div className="relative">
-              <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
-              <input
-                type={showPassword ? "text" : "password"}
-                value={credentials.password}
-                onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
-                className="pl-10 pr-12 py-3 w-full border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all duration-200 bg-gray-50 focus:bg-white"
-                placeholder="Enter your password"
-                required
-                disabled={loading}
-              />
-              <button
-                type="button"
-                onClick={() => setShowPassword(!showPassword)}
-                className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600 transition-colors"
-                disabled={loading}
-              >
-                {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
-              </button>
+          {mode === 'password' && (
+            <div className="space-y-2">
+              <label className="block text-sm font-semibold text-gray-700">
+                Password
+              </label>
+              <div className="relative">
+                <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                <input
+                  type={showPassword ? "text" : "password"}
+                  autoComplete="current-password"
+                  value={credentials.password}
+                  onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
+                  className="pl-10 pr-12 py-3 w-full border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all duration-200 bg-gray-50 focus:bg-white"
+                  placeholder="Enter your password"
+                  required
+                  disabled={loading}
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600 transition-colors"
+                  disabled={loading}
+                >
+                  {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                </button>
+              </div>
             </div>
-          </div>
+          )}
+
+          {linkSentTo && (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-xl text-sm flex items-center space-x-2">
+              <CheckCircle className="w-4 h-4 flex-shrink-0" />
+              <span>Check {linkSentTo} for a sign-in link.</span>
+            </div>
+          )}
 
           {error && (
             <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-xl text-sm flex items-center space-x-2">
@@ -98,19 +122,23 @@ const LoginForm = ({ onLogin }) => {
             {loading ? (
               <>
                 <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                <span>Signing in...</span>
+                <span>{mode === 'password' ? 'Signing in...' : 'Sending link...'}</span>
               </>
             ) : (
-              <span>Sign In</span>
+              <span>{mode === 'password' ? 'Sign In' : 'Email Me a Sign-In Link'}</span>
             )}
           </button>
         </form>
 
-        <div className="mt-8 text-center">
-          <div className="bg-blue-50 border border-blue-200 text-blue-700 px-4 py-3 rounded-xl text-sm">
-            <p className="font-medium">Demo Credentials</p>
-            <p className="text-xs mt-1">Username: <code className="bg-blue-100 px-1 rounded">admin</code> | Password: <code className="bg-blue-100 px-1 rounded">test123</code></p>
-          </div>
+        <div className="mt-6 text-center">
+          <button
+            type="button"
+            onClick={() => switchMode(mode === 'password' ? 'magic-link' : 'password')}
+            className="text-sm font-medium text-blue-700 hover:text-blue-900 transition-colors"
+            disabled={loading}
+          >
+            {mode === 'password' ? 'Email me a sign-in link instead' : 'Sign in with a password instead'}
+          </button>
         </div>
       </div>
     </div>
@@ -0,0 +1,121 @@
+import React from 'react';
+import { IMPUTATION_METHODS, IMPUTATION_COUNTS, IMPUTATION_ANALYSES, IMPUTATION_SEED } from '../analysis/imputation';
+import { formatP, formatDf, formatStat, formatWithCI } from '../stats';
+import CovariatePicker from './CovariatePicker';
+
+const withCI = (result) =>
+  (result ? formatWithCI({ value: result.estimate, lower: result.lower, upper: result.upper }) : 'N/A');
+
+// Complete-case vs multiply imputed posttest comparisons. `results` come from
+// imputeOutcomes; the settings are owned by the parent so exports match the screen.
+const MissingDataImputation = ({
+  results,
+  arms,
+  method,
+  onMethodChange,
+  imputations,
+  onImputationsChange,
+  covariateOptions,
+  covariates,
+  onCovariatesChange
+}) => (
+  <div className="space-y-6">
+    <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Missing Posttest Data</h3>
+      <p className="text-xs text-gray-500 mb-4">
+        Missing posttest scores are imputed from group, pretest score and the selected demographics, once per
+        imputed dataset, and the group differences are pooled with Rubin's rules. Participants need a pretest score
+        (and every selected covariate) to be included. Imputations use a fixed seed ({IMPUTATION_SEED}) so results
+        are reproducible.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Method</label>
+          <select
+            value={method}
+            onChange={(e) => onMethodChange(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {IMPUTATION_METHODS.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Imputed datasets</label>
+          <select
+            value={imputations}
+            onChange={(e) => onImputationsChange(Number(e.target.value))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {IMPUTATION_COUNTS.map(count => (
+              <option key={count} value={count}>{count}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <p className="text-sm font-medium text-gray-700 mb-2">Demographics in the imputation model</p>
+      <CovariatePicker options={covariateOptions} selected={covariates} onChange={onCovariatesChange} />
+    </div>
+
+    {results.map(result => (
+      <div key={result.outcome.id} className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+        <div className="flex flex-col sm:flex-row sm:items-baseline sm:justify-between mb-4">
+          <h4 className="text-md font-bold text-gray-900">{result.outcome.label}</h4>
+          <p className="text-xs text-gray-500">
+            {result.n} participants · {result.observed} with a posttest · {result.missing} imputed
+            {result.excluded > 0 && ` · ${result.excluded} left out (no pretest score or covariate)`}
+          </p>
+        </div>
+
+        {!result.pooled && result.missing > 0 ? (
+          <p className="text-sm text-gray-500">Not enough observed posttests to fit the imputation model.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 text-xs text-gray-500 uppercase tracking-wider">
+                  <th className="py-2 pr-3 text-left font-medium">{arms[1].label} − {arms[0].label}</th>
+                  <th className="py-2 px-3 text-right font-medium">Complete case [95% CI]</th>
+                  <th className="py-2 px-3 text-right font-medium">p</th>
+                  <th className="py-2 px-3 text-right font-medium">Imputed [95% CI]</th>
+                  <th className="py-2 px-3 text-right font-medium">df</th>
+                  <th className="py-2 px-3 text-right font-medium">p</th>
+                  <th className="py-2 pl-3 text-right font-medium" title="Fraction of missing information">FMI</th>
+                </tr>
+              </thead>
+              <tbody>
+                {IMPUTATION_ANALYSES.map(analysis => {
+                  const completeCase = result.completeCase[analysis.id];
+                  const pooled = result.pooled[analysis.id];
+                  return (
+                    <tr key={analysis.id} className="border-t border-gray-100">
+                      <td className="py-2 pr-3 text-gray-900">{analysis.label}</td>
+                      <td className="py-2 px-3 text-right text-gray-700 whitespace-nowrap">{withCI(completeCase)}</td>
+                      <td className="py-2 px-3 text-right text-gray-700">{formatP(completeCase?.p)}</td>
+                      <td className="py-2 px-3 text-right font-bold text-blue-900 whitespace-nowrap">{withCI(pooled)}</td>
+                      <td className="py-2 px-3 text-right text-gray-700">{pooled ? formatDf(pooled.df) : 'N/A'}</td>
+                      <td className="py-2 px-3 text-right text-gray-700">{formatP(pooled?.p)}</td>
+                      <td className="py-2 pl-3 text-right text-gray-700">{result.imputed ? formatStat(pooled?.fmi) : '—'}</td>
+                    </tr>
+                  );
+                })}
+                {arms.map((arm, index) => (
+                  <tr key={arm.value} className="border-t border-gray-100 text-gray-600">
+                    <td className="py-2 pr-3">Posttest mean: {arm.label}</td>
+                    <td className="py-2 px-3 text-right whitespace-nowrap">{withCI(result.completeCase.means?.[index])}</td>
+                    <td />
+                    <td className="py-2 px-3 text-right whitespace-nowrap">{withCI(result.pooled.means?.[index])}</td>
+                    <td colSpan={3} />
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    ))}
+  </div>
+);
+
+export default MissingDataImputation;
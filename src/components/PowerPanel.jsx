@@ -0,0 +1,173 @@
+import React, { useMemo, useState } from 'react';
+import { Target } from 'lucide-react';
+import { OUTCOMES } from '../scoring';
+import { MAX_SAMPLE_SIZE, sampleSizeTwoSampleT, powerTwoSampleT } from '../stats';
+import { projectEnrollment } from '../analysis/enrollment';
+
+// Sample-size targets are planned on the primary outcome
+const PRIMARY_OUTCOME = OUTCOMES.find(outcome => outcome.id === 'who5');
+
+// Smaller effects need tens of thousands per arm, far beyond any enrollment plan
+const MIN_EFFECT_SIZE = 0.05;
+
+const ALPHAS = [0.01, 0.05, 0.1];
+const POWERS = [0.8, 0.85, 0.9, 0.95];
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+const ProgressRow = ({ label, value, target }) => (
+  <div>
+    <div className="flex items-center justify-between text-sm mb-1">
+      <span className="text-gray-600">{label}</span>
+      <span className="font-semibold text-gray-900">{value} / {target ?? '—'}</span>
+    </div>
+    <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+      <div
+        className={`h-full rounded-full ${target && value >= target ? 'bg-blue-900' : 'bg-blue-500'}`}
+        style={{ width: target ? `${Math.min(100, (value / target) * 100)}%` : '0%' }}
+      />
+    </div>
+  </div>
+);
+
+// Required n per arm for the primary outcome and how far live enrollment is from
+// it. `participants` and `posttest` are the full active roster and posttest rows
+// as displayed (arm codes while blinded).
+const PowerPanel = ({ participants = [], posttest = [], arms }) => {
+  const [effectSize, setEffectSize] = useState(0.5);
+  const [alpha, setAlpha] = useState(0.05);
+  const [power, setPower] = useState(0.8);
+
+  const validEffect = effectSize >= MIN_EFFECT_SIZE;
+
+  const required = useMemo(
+    () => (validEffect ? sampleSizeTwoSampleT({ effectSize, alpha, power }) : null),
+    [validEffect, effectSize, alpha, power]
+  );
+  const projection = useMemo(
+    () => projectEnrollment({ participants, posttest, arms, required }),
+    [participants, posttest, arms, required]
+  );
+  const fewestCompleted = Math.min(...projection.arms.map(arm => arm.completed));
+  const currentPower = useMemo(
+    () => (validEffect && fewestCompleted >= 2 ? powerTwoSampleT(effectSize, fewestCompleted, alpha) : null),
+    [validEffect, effectSize, fewestCompleted, alpha]
+  );
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1 flex items-center">
+        <Target className="w-5 h-5 text-blue-900 mr-2" />
+        Sample Size &amp; Power
+      </h3>
+      <p className="text-xs text-gray-500 mb-4">
+        Primary outcome: {PRIMARY_OUTCOME.label} at posttest, compared between arms with a two-sided two-sample
+        t-test. Effect size is Cohen's d (0.2 small, 0.5 medium, 0.8 large).
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Target effect size (d)</label>
+          <input
+            type="number"
+            min={MIN_EFFECT_SIZE}
+            max="3"
+            step="0.05"
+            value={effectSize}
+            onChange={(e) => setEffectSize(Math.max(0, Number(e.target.value) || 0))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Alpha (two-sided)</label>
+          <select
+            value={alpha}
+            onChange={(e) => setAlpha(Number(e.target.value))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {ALPHAS.map(value => <option key={value} value={value}>{value.toFixed(2)}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Power</label>
+          <select
+            value={power}
+            onChange={(e) => setPower(Number(e.target.value))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {POWERS.map(value => <option key={value} value={value}>{percent(value)}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {!validEffect ? (
+        <p className="text-sm text-gray-500">Enter an effect size of at least {MIN_EFFECT_SIZE} to calculate the required sample.</p>
+      ) : required === null ? (
+        <p className="text-sm text-gray-500">
+          This effect is too small to plan for: it needs more than {MAX_SAMPLE_SIZE.toLocaleString()} completers per arm.
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="space-y-2">
+            <p className="text-sm text-gray-600">Required per arm</p>
+            <p className="text-3xl font-bold text-blue-900">{required}</p>
+            <p className="text-xs text-gray-500">
+              {required * arms.length} completers in total
+              {currentPower !== null && ` · power with current completers: ${percent(currentPower)}`}
+            </p>
+          </div>
+
+          <div className="space-y-3">
+            {projection.arms.map(arm => (
+              <div key={arm.arm.value} className="space-y-2">
+                <p className="text-sm font-medium text-gray-900">{arm.arm.label} Group</p>
+                <ProgressRow label="Active" value={arm.active} target={required} />
+                <ProgressRow label="Posttest completed" value={arm.completed} target={required} />
+              </div>
+            ))}
+          </div>
+
+          <div className="space-y-2 text-sm">
+            <div className="flex items-center justify-between">
+              <span className="text-gray-600" title={`Participants enrolled at least ${projection.followUpDays} days ago`}>
+                Posttest completion (of {projection.due} due)
+              </span>
+              <span className="font-semibold text-gray-900">
+                {projection.completionRate === null ? 'N/A' : percent(projection.completionRate)}
+              </span>
+            </div>
+            <div className="flex items-center justify-between">
+              <span className="text-gray-600">Enrollment needed</span>
+              <span className="font-semibold text-gray-900">{projection.targetEnrollment ?? 'N/A'}</span>
+            </div>
+            <div className="flex items-center justify-between">
+              <span className="text-gray-600">Still to enroll</span>
+              <span className="font-semibold text-gray-900">{projection.remaining ?? 'N/A'}</span>
+            </div>
+            <div className="flex items-center justify-between">
+              <span className="text-gray-600">Enrollment pace</span>
+              <span className="font-semibold text-gray-900">
+                {projection.rate ? `${(projection.rate.perDay * 7).toFixed(1)} / week` : 'N/A'}
+              </span>
+            </div>
+            <div className="flex items-center justify-between pt-2 border-t">
+              <span className="font-medium text-gray-700">Projected target date</span>
+              <span className="font-bold text-blue-900">
+                {projection.remaining === 0
+                  ? 'Reached'
+                  : projection.projectedDate ? projection.projectedDate.toLocaleDateString() : 'N/A'}
+              </span>
+            </div>
+            <p className="text-xs text-gray-500">
+              Assumes enrollment continues at the pace since the first participant and posttest completion stays at
+              the rate among participants past the {projection.followUpDays}-day follow-up (until anyone is due,
+              everyone is assumed to complete).
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PowerPanel;
@@ -0,0 +1,137 @@
+import React from 'react';
+import { Users, UserX, GitCompare } from 'lucide-react';
+import EnhancedDataTable from './EnhancedDataTable';
+import { useBlinding } from '../blinding/BlindingContext';
+import { summarizeChange, toChangeRows } from '../analysis/prePost';
+import { formatScore } from '../scoring';
+
+// Green when the change is an improvement for this outcome, red when it is a worsening
+const changeClass = (outcome, value) => {
+  if (value === null || value === 0) return 'text-gray-900';
+  const improved = outcome.direction === 'higher-is-better' ? value > 0 : value < 0;
+  return improved ? 'text-green-700' : 'text-red-700';
+};
+
+const formatChange = (value) => (value === null ? 'N/A' : `${value > 0 ? '+' : ''}${value.toFixed(2)}`);
+
+// Paired pretest/posttest comparison: mean change per group with 95% CIs, each
+// participant's change scores, and who is still missing a timepoint.
+// `prePost` is the result of pairPrePost for the rows on screen.
+const PrePostComparison = ({ prePost, loading }) => {
+  const { arms } = useBlinding();
+  const { pairs, missing } = prePost;
+  const armLabel = (group) => arms.find(arm => arm.value === group)?.label || group;
+  const summary = summarizeChange(pairs, arms.map(arm => arm.value));
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-600">Paired Participants</p>
+            <GitCompare className="w-5 h-5 text-blue-900" />
+          </div>
+          <p className="text-3xl font-bold text-blue-900 mt-2">{loading ? '...' : pairs.length}</p>
+          <p className="text-xs text-gray-500 mt-1">Pretest and posttest both submitted</p>
+        </div>
+        <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-600">Missing Posttest</p>
+            <UserX className="w-5 h-5 text-amber-600" />
+          </div>
+          <p className="text-3xl font-bold text-amber-700 mt-2">
+            {loading ? '...' : missing.filter(row => !row.hasPosttest).length}
+          </p>
+        </div>
+        <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-600">Missing Pretest</p>
+            <Users className="w-5 h-5 text-amber-600" />
+          </div>
+          <p className="text-3xl font-bold text-amber-700 mt-2">
+            {loading ? '...' : missing.filter(row => !row.hasPretest).length}
+          </p>
+        </div>
+      </div>
+
+      {/* Paired mean change */}
+      <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Mean Change (Post − Pre)</h3>
+        <p className="text-xs text-gray-500 mb-4">
+          Paired participants only, with 95% confidence intervals. Green is an improvement, red a worsening.
+        </p>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 text-xs text-gray-500 uppercase tracking-wider">
+                <th className="py-2 pr-4 text-left font-medium">Outcome</th>
+                <th className="py-2 px-3 text-left font-medium">Group</th>
+                <th className="py-2 px-3 text-right font-medium">n</th>
+                <th className="py-2 px-3 text-right font-medium">Pre</th>
+                <th className="py-2 px-3 text-right font-medium">Post</th>
+                <th className="py-2 px-3 text-right font-medium">Change</th>
+                <th className="py-2 pl-3 text-right font-medium">95% CI</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.map(({ outcome, groups }) => groups.map((row, index) => (
+                <tr
+                  key={`${outcome.id}-${row.group ?? 'all'}`}
+                  className={`${index === 0 ? 'border-t border-gray-200' : ''} ${row.group === null ? 'bg-gray-50 font-medium' : ''}`}
+                >
+                  <td className="py-2 pr-4 text-gray-900">{index === 0 ? outcome.label : ''}</td>
+                  <td className="py-2 px-3 text-gray-700">{row.group === null ? 'All participants' : armLabel(row.group)}</td>
+                  <td className="py-2 px-3 text-right text-gray-700">{row.change.n}</td>
+                  <td className="py-2 px-3 text-right text-gray-700">{formatScore(row.preMean, 2)}</td>
+                  <td className="py-2 px-3 text-right text-gray-700">{formatScore(row.postMean, 2)}</td>
+                  <td className={`py-2 px-3 text-right font-bold ${changeClass(outcome, row.change.mean)}`}>
+                    {formatChange(row.change.mean)}
+                  </td>
+                  <td className="py-2 pl-3 text-right text-gray-600 whitespace-nowrap">
+                    {row.change.lower === null
+                      ? 'N/A'
+                      : `${formatChange(row.change.lower)} to ${formatChange(row.change.upper)}`}
+                  </td>
+                </tr>
+              )))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Per-participant change scores */}
+      <EnhancedDataTable
+        data={toChangeRows(pairs)}
+        loading={loading}
+        title="Participant Change Scores"
+        type="pre-post"
+      />
+
+      {/* Missing timepoints */}
+      <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Participants Missing a Timepoint</h3>
+        {missing.length === 0 ? (
+          <p className="text-sm text-gray-500">Every participant has both a pretest and a posttest.</p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
+            {missing.map(row => (
+              <div key={row.participant_number} className="flex items-center justify-between p-3 border border-gray-100 rounded-lg">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{row.participant_number}</p>
+                  <p className="text-xs text-gray-500">{armLabel(row.group)}</p>
+                </div>
+                <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-amber-100 text-amber-800">
+                  {!row.hasPretest && !row.hasPosttest
+                    ? 'No responses'
+                    : !row.hasPretest ? 'No pretest' : 'No posttest'}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PrePostComparison;
@@ -0,0 +1,174 @@
+import React, { useMemo, useState } from 'react';
+import { AlertTriangle, ChevronDown, ChevronRight } from 'lucide-react';
+import { useBlinding } from '../blinding/BlindingContext';
+import { analyzeReliability, isBelowThreshold } from '../analysis/reliability';
+import { formatStat } from '../stats';
+
+const TIMEPOINTS = [
+  { id: 'pretest', label: 'Pretest' },
+  { id: 'posttest', label: 'Posttest' }
+];
+
+const THRESHOLDS = [0.6, 0.7, 0.8];
+
+// Cronbach's alpha, McDonald's omega and item statistics for each scale at one
+// timepoint, optionally within one arm. Rows need a `group` column (as shown).
+const ReliabilityPanel = ({ pretestData = [], posttestData = [], threshold, onThresholdChange }) => {
+  const { arms } = useBlinding();
+  const [timepoint, setTimepoint] = useState('pretest');
+  const [group, setGroup] = useState('all');
+  const [expanded, setExpanded] = useState(null);
+
+  const results = useMemo(() => {
+    const rows = timepoint === 'pretest' ? pretestData : posttestData;
+    return analyzeReliability(group === 'all' ? rows : rows.filter(row => row.group === group));
+  }, [timepoint, group, pretestData, posttestData]);
+
+  const flagged = results.filter(result => isBelowThreshold(result, threshold));
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Internal Consistency</h3>
+        <p className="text-xs text-gray-500 mb-4">
+          Computed on responses with every item of the scale answered; reverse-keyed items are flipped first.
+          Omega needs at least three items, so it is not shown for the two-item COPE subscales.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Timepoint</label>
+            <select
+              value={timepoint}
+              onChange={(e) => setTimepoint(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {TIMEPOINTS.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Group</label>
+            <select
+              value={group}
+              onChange={(e) => setGroup(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="all">All Groups</option>
+              {arms.map(arm => (
+                <option key={arm.value} value={arm.value}>{arm.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Warn when alpha is below</label>
+            <select
+              value={threshold}
+              onChange={(e) => onThresholdChange(Number(e.target.value))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {THRESHOLDS.map(value => (
+                <option key={value} value={value}>{value.toFixed(2)}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {flagged.length > 0 && (
+        <div className="flex items-start p-4 bg-amber-50 border border-amber-200 rounded-xl text-sm text-amber-800">
+          <AlertTriangle className="w-5 h-5 mr-3 flex-shrink-0" />
+          <span>
+            Alpha is below {threshold.toFixed(2)} for {flagged.map(result => result.scale.label).join(', ')}.
+            Check the item statistics before reporting these scales.
+          </span>
+        </div>
+      )}
+
+      <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200 text-xs text-gray-500 uppercase tracking-wider">
+              <th className="py-2 pr-3 text-left font-medium">Scale</th>
+              <th className="py-2 px-3 text-right font-medium">Items</th>
+              <th className="py-2 px-3 text-right font-medium">n</th>
+              <th className="py-2 px-3 text-right font-medium">Cronbach's α</th>
+              <th className="py-2 pl-3 text-right font-medium">McDonald's ω</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map(result => {
+              const isOpen = expanded === result.scale.id;
+              const isLow = isBelowThreshold(result, threshold);
+              return (
+                <React.Fragment key={result.scale.id}>
+                  <tr
+                    className="border-t border-gray-100 cursor-pointer hover:bg-gray-50"
+                    onClick={() => setExpanded(isOpen ? null : result.scale.id)}
+                  >
+                    <td className="py-2 pr-3 text-gray-900 font-medium">
+                      <span className="inline-flex items-center">
+                        {isOpen ? <ChevronDown className="w-4 h-4 mr-1 text-gray-400" /> : <ChevronRight className="w-4 h-4 mr-1 text-gray-400" />}
+                        {result.scale.label}
+                      </span>
+                    </td>
+                    <td className="py-2 px-3 text-right text-gray-700">{result.scale.items.length}</td>
+                    <td className="py-2 px-3 text-right text-gray-700" title={`${result.incomplete} with missing items left out`}>
+                      {result.n}
+                    </td>
+                    <td className={`py-2 px-3 text-right font-bold ${isLow ? 'text-amber-700' : 'text-blue-900'}`}>
+                      <span className="inline-flex items-center justify-end">
+                        {isLow && <AlertTriangle className="w-4 h-4 mr-1" />}
+                        {formatStat(result.alpha, 3)}
+                      </span>
+                    </td>
+                    <td className="py-2 pl-3 text-right text-gray-700">{formatStat(result.omega, 3)}</td>
+                  </tr>
+                  {isOpen && (
+                    <tr>
+                      <td colSpan={5} className="pb-4 pt-1 pl-6">
+                        <table className="w-full text-xs">
+                          <thead>
+                            <tr className="text-gray-500">
+                              <th className="py-1 pr-3 text-left font-medium">Item</th>
+                              <th className="py-1 px-3 text-right font-medium">Mean</th>
+                              <th className="py-1 px-3 text-right font-medium">SD</th>
+                              <th className="py-1 px-3 text-right font-medium">Corrected item-total r</th>
+                              <th className="py-1 px-3 text-right font-medium">α if deleted</th>
+                              <th className="py-1 pl-3 text-right font-medium">Loading</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {result.items.map(item => (
+                              <tr key={item.item.key}>
+                                <td className="py-1 pr-3 text-gray-700">{item.item.label}</td>
+                                <td className="py-1 px-3 text-right text-gray-700">{formatStat(item.mean)}</td>
+                                <td className="py-1 px-3 text-right text-gray-700">{formatStat(item.sd)}</td>
+                                <td className={`py-1 px-3 text-right ${item.correctedItemTotal !== null && item.correctedItemTotal < 0.3 ? 'text-amber-700 font-semibold' : 'text-gray-700'}`}>
+                                  {formatStat(item.correctedItemTotal, 3)}
+                                </td>
+                                <td className={`py-1 px-3 text-right ${item.alphaIfDeleted !== null && result.alpha !== null && item.alphaIfDeleted > result.alpha ? 'text-amber-700 font-semibold' : 'text-gray-700'}`}>
+                                  {formatStat(item.alphaIfDeleted, 3)}
+                                </td>
+                                <td className="py-1 pl-3 text-right text-gray-700">{formatStat(item.loading)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                        <p className="text-xs text-gray-400 mt-2">
+                          Amber: item-total r below .30, or alpha would rise without the item.
+                        </p>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ReliabilityPanel;
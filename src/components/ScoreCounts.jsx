@@ -0,0 +1,15 @@
+import React from 'react';
+import { formatCounts } from '../scoring';
+
+// Responses behind a score, how many the missing-item rule prorated or excluded
+// and how many had out-of-range responses
+const ScoreCounts = ({ summary, className = '' }) => {
+  const affected = summary.prorated > 0 || summary.excluded > 0 || summary.outOfRange > 0;
+  return (
+    <p className={`text-xs ${affected ? 'text-amber-700' : 'text-gray-400'} ${className}`}>
+      {formatCounts(summary)}
+    </p>
+  );
+};
+
+export default ScoreCounts;
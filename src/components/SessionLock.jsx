@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { Lock, LogOut, CheckCircle } from 'lucide-react';
+import { useAuth } from '../auth/AuthContext';
+import { useIdleTimer } from '../hooks/useIdleTimer';
+import { sessionPolicy } from '../config/sessionPolicy';
+
+// Blurs the dashboard behind a password prompt after the idle limit and signs
+// out after the longer one (see config/sessionPolicy.js). Users without a
+// password (magic-link sign-in) can unlock with a code emailed to them instead.
+const SessionLock = ({ children, policy = sessionPolicy }) => {
+  const { user, reauthenticate, sendReauthenticationCode, verifyReauthenticationCode, signOut } = useAuth();
+  const { locked, unlock } = useIdleTimer({ ...policy, onTimeout: signOut });
+  const [mode, setMode] = useState('password'); // 'password' | 'code'
+  const [secret, setSecret] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setSecret('');
+    setCodeSent(false);
+    setError('');
+  };
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      if (mode === 'code' && !codeSent) {
+        await sendReauthenticationCode();
+        setCodeSent(true);
+      } else {
+        if (mode === 'password') await reauthenticate(secret);
+        else await verifyReauthenticationCode(secret.trim());
+        switchMode('password');
+        unlock();
+      }
+    } catch (err) {
+      setError(err.message || (mode === 'password' ? 'Incorrect password' : 'Incorrect code'));
+    }
+    setLoading(false);
+  };
+
+  const submitLabel = () => {
+    if (mode === 'code' && !codeSent) return loading ? 'Sending code...' : 'Email Me a Code';
+    return loading ? 'Unlocking...' : 'Unlock';
+  };
+
+  return (
+    <>
+      <div
+        className={locked ? 'blur-lg pointer-events-none select-none' : undefined}
+        aria-hidden={locked || undefined}
+        inert={locked || undefined}
+      >
+        {children}
+      </div>
+
+      {locked && (
+        <div className="fixed inset-0 z-[100] flex items-center justify-center bg-gray-900/60 p-4">
+          <div className="bg-white rounded-2xl shadow-2xl p-8 w-full max-w-sm">
+            <div className="text-center mb-6">
+              <div className="mx-auto w-14 h-14 bg-blue-900 rounded-full flex items-center justify-center mb-4">
+                <Lock className="w-7 h-7 text-white" />
+              </div>
+              <h2 className="text-xl font-bold text-gray-900">Session locked</h2>
+              <p className="text-sm text-gray-600 mt-1">
+                {mode === 'password'
+                  ? `Locked after inactivity. Enter the password for ${user?.email} to continue.`
+                  : `Locked after inactivity. We'll email a one-time code to ${user?.email}.`}
+              </p>
+            </div>
+
+            <form onSubmit={handleUnlock} className="space-y-4">
+              {mode === 'password' && (
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  value={secret}
+                  onChange={(e) => setSecret(e.target.value)}
+                  className="px-4 py-3 w-full border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                  placeholder="Password"
+                  autoFocus
+                  disabled={loading}
+                />
+              )}
+
+              {mode === 'code' && codeSent && (
+                <>
+                  <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-xl text-sm flex items-center space-x-2">
+                    <CheckCircle className="w-4 h-4 flex-shrink-0" />
+                    <span>Check {user?.email} for your code.</span>
+                  </div>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    value={secret}
+                    onChange={(e) => setSecret(e.target.value)}
+                    className="px-4 py-3 w-full border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none tracking-widest"
+                    placeholder="One-time code"
+                    autoFocus
+                    disabled={loading}
+                  />
+                </>
+              )}
+
+              {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-xl text-sm">
+                  {error}
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-blue-900 text-white py-3 px-4 rounded-xl hover:bg-blue-800 transition-colors font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {submitLabel()}
+              </button>
+            </form>
+
+            <button
+              type="button"
+              onClick={() => switchMode(mode === 'password' ? 'code' : 'password')}
+              className="w-full mt-4 text-sm font-medium text-blue-700 hover:text-blue-900 transition-colors"
+              disabled={loading}
+            >
+              {mode === 'password' ? 'No password? Email me a code instead' : 'Unlock with my password instead'}
+            </button>
+
+            <button
+              onClick={signOut}
+              className="w-full mt-3 flex items-center justify-center px-4 py-2 text-sm font-medium text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+            >
+              <LogOut className="w-4 h-4 mr-2" />
+              Sign out instead
+            </button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default SessionLock;
@@ -11,6 +11,7 @@ import {
   Tooltip,
   Legend,
 } from 'chart.js';
+import { formatP, formatStat, formatWithCI } from '../stats';
 
 ChartJS.register(
   CategoryScale,
@@ -23,7 +24,9 @@ ChartJS.register(
   Legend
 );
 
-const StatisticalCharts = ({ analytics, appUsageData, pretestData, demographicsData }) => {
+const ARM_COLORS = ['59, 130, 246', '245, 158, 11'];
+
+const StatisticalCharts = ({ analytics, appUsageData, pretestData, demographicsData, longitudinalFits = [] }) => {
   // Correlation Matrix Data
   const correlationData = () => {
     if (!appUsageData || appUsageData.length < 10) return null;
@@ -267,6 +270,28 @@ const StatisticalCharts = ({ analytics, appUsageData, pretestData, demographicsD
     };
   };
 
+  // Model-estimated mean per arm at each wave, from the group x time mixed model
+  const groupByTimeData = (fit) => {
+    const arms = [...new Map(fit.means.map(cell => [cell.arm.value, cell.arm])).values()];
+    return {
+      labels: [...new Map(fit.means.map(cell => [cell.wave.id, cell.wave.label])).values()],
+      datasets: arms.map((arm, index) => {
+        const cells = fit.means.filter(cell => cell.arm.value === arm.value);
+        return {
+          label: arm.label,
+          data: cells.map(cell => cell.value),
+          cells,
+          borderColor: `rgba(${ARM_COLORS[index % ARM_COLORS.length]}, 1)`,
+          backgroundColor: `rgba(${ARM_COLORS[index % ARM_COLORS.length]}, 0.6)`,
+          borderWidth: 2,
+          pointRadius: 5,
+          fill: false,
+          tension: 0
+        };
+      })
+    };
+  };
+
   const chartOptions = {
     responsive: true,
     maintainAspectRatio: false,
@@ -320,8 +345,61 @@ const StatisticalCharts = ({ analytics, appUsageData, pretestData, demographicsD
     }
   };
 
+  const groupByTimeOptions = (fit) => ({
+    ...chartOptions,
+    plugins: {
+      ...chartOptions.plugins,
+      tooltip: {
+        ...chartOptions.plugins.tooltip,
+        callbacks: {
+          label: (context) => {
+            const cell = context.dataset.cells[context.dataIndex];
+            return `${cell.arm.label}: ${formatWithCI(cell)} (n = ${cell.n})`;
+          }
+        }
+      }
+    },
+    scales: {
+      ...chartOptions.scales,
+      y: {
+        ...chartOptions.scales.y,
+        beginAtZero: false,
+        title: { display: true, text: fit.outcome.label }
+      }
+    }
+  });
+
   return (
     <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      {/* Group x Time (mixed model) */}
+      {longitudinalFits.map(fit => (
+        <div key={fit.outcome.id} className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900 mb-1">{fit.outcome.shortLabel}: Group × Time</h3>
+          <p className="text-xs text-gray-500 mb-4">
+            Estimated means from a mixed model with a random intercept per participant; hover a point for its 95% CI.
+          </p>
+          {!fit.model ? (
+            <p className="text-sm text-gray-500">Not enough data to fit the model ({fit.n} observations).</p>
+          ) : (
+            <>
+              <div className="h-64">
+                <Line data={groupByTimeData(fit)} options={groupByTimeOptions(fit)} />
+              </div>
+              <div className="mt-4 space-y-1 text-sm">
+                {fit.interactions.map(term => (
+                  <p key={term.name} className="text-gray-700">
+                    {term.name}: <span className="font-semibold text-gray-900">{formatWithCI({ value: term.estimate, lower: term.lower, upper: term.upper })}</span>, p = {formatP(term.p)}
+                  </p>
+                ))}
+                <p className="text-xs text-gray-500">
+                  {fit.n} observations from {fit.participants} participants · ICC = {formatStat(fit.model.icc)}
+                </p>
+              </div>
+            </>
+          )}
+        </div>
+      ))}
+
       {/* Session Duration Histogram */}
       {histogramData() && (
         <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
@@ -0,0 +1,68 @@
+import React from 'react';
+import { formatP, formatStat, formatDf, formatWithCI } from '../stats';
+
+// Results table for runTrialTests. Significant results (p < .05) are bolded;
+// nothing here adjusts for multiple comparisons.
+const TrialStatistics = ({ results }) => (
+  <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+    <h3 className="text-lg font-semibold text-gray-900 mb-1">Trial Outcome Tests</h3>
+    <p className="text-xs text-gray-500 mb-4">
+      Two-sided tests with 95% confidence intervals in brackets. Differences are first arm minus second;
+      changes are post minus pre. p-values are not adjusted for multiple comparisons.
+    </p>
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-gray-200 text-xs text-gray-500 uppercase tracking-wider">
+            <th className="py-2 pr-4 text-left font-medium">Outcome</th>
+            <th className="py-2 px-3 text-left font-medium">Comparison</th>
+            <th className="py-2 px-3 text-left font-medium">Test</th>
+            <th className="py-2 px-3 text-right font-medium">n</th>
+            <th className="py-2 px-3 text-right font-medium">Statistic</th>
+            <th className="py-2 px-3 text-right font-medium">p</th>
+            <th className="py-2 px-3 text-left font-medium">Estimate</th>
+            <th className="py-2 pl-3 text-left font-medium">Effect Size</th>
+          </tr>
+        </thead>
+        <tbody>
+          {results.map(({ id, outcome, comparison, test, result }, index) => {
+            const firstOfOutcome = index === 0 || results[index - 1].outcome.id !== outcome.id;
+            return (
+              <tr key={id} className={firstOfOutcome ? 'border-t border-gray-200' : ''}>
+                <td className="py-2 pr-4 font-medium text-gray-900 whitespace-nowrap">{firstOfOutcome ? outcome.label : ''}</td>
+                <td className="py-2 px-3 text-gray-700 whitespace-nowrap">{comparison}</td>
+                <td className="py-2 px-3 text-gray-700 whitespace-nowrap">{test}</td>
+                {result ? (
+                  <>
+                    <td className="py-2 px-3 text-right text-gray-700">{result.n.join(' / ')}</td>
+                    <td className="py-2 px-3 text-right text-gray-700 whitespace-nowrap">
+                      {result.statistic ? `${result.statistic.label} = ${formatStat(result.statistic.value)}` : '—'}
+                      {result.df !== null && <span className="text-xs text-gray-400"> (df {formatDf(result.df)})</span>}
+                    </td>
+                    <td className={`py-2 px-3 text-right ${result.p < 0.05 ? 'font-bold text-blue-900' : 'text-gray-700'}`}>
+                      {formatP(result.p)}
+                    </td>
+                    <td className="py-2 px-3 text-gray-700 whitespace-nowrap">
+                      {result.estimate ? `${formatWithCI(result.estimate)}` : '—'}
+                    </td>
+                    <td className="py-2 pl-3 text-gray-700 whitespace-nowrap">
+                      {result.effects.map(effect => (
+                        <div key={effect.label}>
+                          <span className="text-gray-500">{effect.label}</span> {formatWithCI(effect)}
+                        </div>
+                      ))}
+                    </td>
+                  </>
+                ) : (
+                  <td colSpan={5} className="py-2 px-3 text-gray-400 italic">Not enough data</td>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+export default TrialStatistics;
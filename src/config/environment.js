@@ -0,0 +1,38 @@
+// Which study database this build talks to. Each Vite mode has its own env file
+// (.env.staging, .env.production, ...) setting VITE_APP_ENV plus the Supabase
+// project URL and publishable key; see .env.example.
+const PROFILES = {
+  development: {
+    label: 'Development',
+    description: 'Local development build',
+    badgeClass: 'bg-blue-100 text-blue-800'
+  },
+  staging: {
+    label: 'Staging',
+    description: 'Pilot / staging database – not live trial data',
+    badgeClass: 'bg-amber-100 text-amber-800'
+  },
+  production: {
+    label: 'Production',
+    description: 'Live trial database',
+    badgeClass: 'bg-red-100 text-red-800'
+  }
+};
+
+const env = import.meta.env;
+const name = env.VITE_APP_ENV || env.MODE;
+
+if (!PROFILES[name]) {
+  throw new Error(
+    `Unknown environment "${name}" (expected ${Object.keys(PROFILES).join(', ')}); check VITE_APP_ENV`
+  );
+}
+
+export const environment = {
+  name,
+  ...PROFILES[name],
+  supabaseUrl: env.VITE_SUPABASE_URL || '',
+  supabaseKey: env.VITE_SUPABASE_PUBLISHABLE_KEY || ''
+};
+
+export const isSupabaseConfigured = Boolean(environment.supabaseUrl && environment.supabaseKey);
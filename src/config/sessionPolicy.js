@@ -0,0 +1,21 @@
+// How long an unattended dashboard stays open. Set per deployment in minutes;
+// 0 turns a limit off. Ward computers are shared, so the defaults are short.
+const DEFAULT_LOCK_MINUTES = 10;
+const DEFAULT_SIGN_OUT_MINUTES = 60;
+
+const minutesFromEnv = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes < 0) {
+    throw new Error(`Invalid idle timeout "${value}"; expected a number of minutes`);
+  }
+  return minutes;
+};
+
+const lockMinutes = minutesFromEnv(import.meta.env.VITE_IDLE_LOCK_MINUTES, DEFAULT_LOCK_MINUTES);
+const signOutMinutes = minutesFromEnv(import.meta.env.VITE_IDLE_SIGN_OUT_MINUTES, DEFAULT_SIGN_OUT_MINUTES);
+
+export const sessionPolicy = {
+  lockAfterMs: lockMinutes * 60 * 1000,
+  signOutAfterMs: signOutMinutes * 60 * 1000
+};
@@ -0,0 +1,44 @@
+import { GROUPS } from '../blinding/blinding';
+
+// The app-use schedule participants are asked to follow, for adherence. Set per
+// deployment; the defaults are the protocol's three sessions a week for four weeks.
+const DEFAULT_SESSIONS_PER_WEEK = 3;
+const DEFAULT_WEEKS = 4;
+
+const positiveFromEnv = (name, value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`Invalid ${name} "${value}"; expected a positive number`);
+  }
+  return number;
+};
+
+const sessionsPerWeek = positiveFromEnv(
+  'VITE_PROTOCOL_SESSIONS_PER_WEEK',
+  import.meta.env.VITE_PROTOCOL_SESSIONS_PER_WEEK,
+  DEFAULT_SESSIONS_PER_WEEK
+);
+const weeks = positiveFromEnv('VITE_PROTOCOL_WEEKS', import.meta.env.VITE_PROTOCOL_WEEKS, DEFAULT_WEEKS);
+
+// Per-protocol analyses need at least this many sessions (default: 80% of the schedule)
+const perProtocolMinSessions = positiveFromEnv(
+  'VITE_PROTOCOL_MIN_SESSIONS',
+  import.meta.env.VITE_PROTOCOL_MIN_SESSIONS,
+  Math.ceil(sessionsPerWeek * weeks * 0.8)
+);
+
+// The arm given the app (a stored group name, never an arm code); usage-based
+// rules and dose-response analyses apply to it
+const appArm = import.meta.env.VITE_PROTOCOL_APP_ARM || GROUPS[0];
+if (!GROUPS.includes(appArm)) {
+  throw new Error(`Invalid VITE_PROTOCOL_APP_ARM "${appArm}"; expected one of ${GROUPS.join(', ')}`);
+}
+
+export const studyProtocol = {
+  appArm,
+  sessionsPerWeek,
+  weeks,
+  expectedSessions: sessionsPerWeek * weeks,
+  perProtocolMinSessions
+};
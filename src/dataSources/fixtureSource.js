@@ -0,0 +1,82 @@
+import { createMemorySource } from './memorySource';
+
+// Every JSON or CSV file in src/fixtures becomes a table named after the file,
+// e.g. fixtures/app_usage_sessions.csv -> app_usage_sessions. Files are loaded
+// lazily so they stay out of the bundle when another source is selected.
+const jsonFixtures = import.meta.glob('../fixtures/*.json', { import: 'default' });
+const csvFixtures = import.meta.glob('../fixtures/*.csv', { query: '?raw', import: 'default' });
+
+const tableNameOf = (path) => path.split('/').pop().replace(/\.(json|csv)$/, '');
+
+// CSV cells arrive as text; turn them back into the types Supabase would return
+const coerceCell = (value) => {
+  if (value === '') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+};
+
+// RFC 4180-style parser: quoted fields, doubled quotes and embedded newlines
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter(r => r.some(cell => cell !== ''));
+  return rows.map(cells => Object.fromEntries(header.map((column, i) => [column, coerceCell(cells[i] ?? '')])));
+};
+
+const loadFixtures = async () => {
+  const tables = {};
+  await Promise.all([
+    ...Object.entries(jsonFixtures).map(async ([path, load]) => {
+      tables[tableNameOf(path)] = await load();
+    }),
+    ...Object.entries(csvFixtures).map(async ([path, load]) => {
+      tables[tableNameOf(path)] = parseCsv(await load());
+    })
+  ]);
+  return tables;
+};
+
+export const createFixtureSource = () => {
+  let source = null;
+  const ready = loadFixtures().then(tables => {
+    Object.entries(tables).forEach(([table, rows]) => source.load(table, rows));
+  });
+  source = createMemorySource({}, { name: 'fixtures', ready });
+  return source;
+};
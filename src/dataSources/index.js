@@ -0,0 +1,25 @@
+import { createSupabaseSource } from './supabaseSource';
+import { createFixtureSource } from './fixtureSource';
+import { createMemorySource } from './memorySource';
+
+// A data source exposes:
+//   fetchTable(table, query, { paginate }) -> Promise<{ data, count }>
+//   subscribe(table, onChange, onStatus)   -> unsubscribe
+//   insert(table, row)                     -> Promise<row>
+// where onChange receives postgres_changes-style { eventType, new, old } payloads.
+// Unpaged reads (no `page`, or `paginate: false`) must return every matching row.
+// Select one with VITE_DATA_SOURCE=supabase|fixtures|memory (default: supabase).
+export const createDataSource = (kind = import.meta.env.VITE_DATA_SOURCE || 'supabase') => {
+  switch (kind) {
+    case 'supabase':
+      return createSupabaseSource();
+    case 'fixtures':
+      return createFixtureSource();
+    case 'memory':
+      return createMemorySource();
+    default:
+      throw new Error(`Unknown data source "${kind}" (expected supabase, fixtures or memory)`);
+  }
+};
+
+export { createSupabaseSource, createFixtureSource, createMemorySource };
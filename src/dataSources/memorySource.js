@@ -0,0 +1,123 @@
+import { activeFilters, getDateCutoff, isPaged } from './query';
+
+// Nulls sort last in either direction, as they do in Postgres by default for ascending order
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'string' && typeof b === 'string') return a.localeCompare(b);
+  return a < b ? -1 : 1;
+};
+
+// In-memory data source with the same query semantics and change payloads as
+// Supabase. Backs the fixture source, offline demos and deterministic tests.
+export const createMemorySource = (initialTables = {}, { name = 'memory', ready = Promise.resolve() } = {}) => {
+  const tables = new Map(
+    Object.entries(initialTables).map(([table, rows]) => [table, rows.map(row => ({ ...row }))])
+  );
+  const subscribers = new Map();
+
+  const rowsOf = (table) => {
+    if (!tables.has(table)) tables.set(table, []);
+    return tables.get(table);
+  };
+
+  const emit = (table, payload) => {
+    (subscribers.get(table) || new Set()).forEach(onChange => onChange({ table, schema: 'public', ...payload }));
+  };
+
+  const fetchTable = async (table, query = {}, { paginate = true } = {}) => {
+    await ready;
+    const {
+      page = 1,
+      pageSize = 10,
+      sortBy = null,
+      sortOrder = 'asc',
+      search = '',
+      searchColumns = [],
+      dateFilter = 'all',
+      dateColumn = 'created_at'
+    } = query;
+
+    let rows = [...rowsOf(table)];
+
+    const term = search.trim().toLowerCase();
+    if (term && searchColumns.length > 0) {
+      rows = rows.filter(row => searchColumns.some(column =>
+        row[column] !== null && row[column] !== undefined &&
+        String(row[column]).toLowerCase().includes(term)
+      ));
+    }
+
+    const cutoff = getDateCutoff(dateFilter);
+    if (cutoff) {
+      rows = rows.filter(row => row[dateColumn] && new Date(row[dateColumn]) >= cutoff);
+    }
+
+    activeFilters(query).forEach(([column, value]) => {
+      rows = rows.filter(row => (Array.isArray(value) ? value.includes(row[column]) : row[column] === value));
+    });
+
+    rows.sort(sortBy
+      ? (a, b) => (sortOrder === 'asc' ? 1 : -1) * compareValues(a[sortBy], b[sortBy])
+      : (a, b) => compareValues(b.created_at, a.created_at)
+    );
+
+    const count = rows.length;
+    if (paginate && isPaged(query)) {
+      const from = (page - 1) * pageSize;
+      rows = rows.slice(from, from + pageSize);
+    }
+
+    return { data: rows.map(row => ({ ...row })), count };
+  };
+
+  const subscribe = (table, onChange, onStatus) => {
+    if (!subscribers.has(table)) subscribers.set(table, new Set());
+    subscribers.get(table).add(onChange);
+    if (onStatus) ready.then(() => onStatus('SUBSCRIBED'));
+
+    return () => {
+      subscribers.get(table).delete(onChange);
+    };
+  };
+
+  const nextId = (table) => rowsOf(table).reduce((max, row) => Math.max(max, Number(row.id) || 0), 0) + 1;
+
+  // Mutations emit INSERT/UPDATE/DELETE payloads to subscribers, like postgres_changes
+  const insert = async (table, row) => {
+    await ready;
+    const record = { id: nextId(table), created_at: new Date().toISOString(), ...row };
+    rowsOf(table).push(record);
+    emit(table, { eventType: 'INSERT', new: { ...record }, old: {} });
+    return record;
+  };
+
+  const update = async (table, id, changes) => {
+    await ready;
+    const rows = rowsOf(table);
+    const index = rows.findIndex(row => row.id === id);
+    if (index === -1) return null;
+    const old = rows[index];
+    rows[index] = { ...old, ...changes };
+    emit(table, { eventType: 'UPDATE', new: { ...rows[index] }, old: { id: old.id } });
+    return rows[index];
+  };
+
+  const remove = async (table, id) => {
+    await ready;
+    const rows = rowsOf(table);
+    const index = rows.findIndex(row => row.id === id);
+    if (index === -1) return null;
+    const [old] = rows.splice(index, 1);
+    emit(table, { eventType: 'DELETE', new: {}, old: { id: old.id } });
+    return old;
+  };
+
+  // Replace a table wholesale (used when fixtures finish loading)
+  const load = (table, rows) => {
+    tables.set(table, rows.map(row => ({ ...row })));
+  };
+
+  return { name, fetchTable, subscribe, insert, update, remove, load };
+};
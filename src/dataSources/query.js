@@ -0,0 +1,28 @@
+// Query options shared by every data source:
+//   page / pageSize          window onto the table (omit `page` for every row)
+//   sortBy / sortOrder       defaults to newest `created_at` first
+//   search / searchColumns   case-insensitive substring match on the listed columns
+//   dateFilter / dateColumn  'today' | 'week' | 'month' | 'all'
+//   filters / match          equality (or `in` for arrays) filters on columns
+
+export const getDateCutoff = (dateFilter) => {
+  const now = new Date();
+  switch (dateFilter) {
+    case 'today':
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    case 'week':
+      return new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    case 'month':
+      return new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+    default:
+      return null;
+  }
+};
+
+// A query with a `page` is a window onto the table; anything else is the whole (matching) table
+export const isPaged = (query) => query.page !== undefined;
+
+// Column filters with the "no filter" values dropped
+export const activeFilters = ({ filters = {}, match = {} }) =>
+  Object.entries({ ...filters, ...match })
+    .filter(([, value]) => value !== undefined && value !== null && value !== 'all');
@@ -0,0 +1,116 @@
+import { supabase } from '../supabaseClient';
+import { environment } from '../config/environment';
+import { activeFilters, getDateCutoff, isPaged } from './query';
+
+// Characters that would break a PostgREST `or=(...)` filter string
+const RESERVED_FILTER_CHARS = /[,()*%\\]/g;
+
+// PostgREST answers at most `max-rows` rows per request (1000 by default), so
+// whole-table reads are fetched in batches of this size
+const BATCH_SIZE = 1000;
+
+// Translate query options into a Supabase request builder; `range` is an
+// inclusive [from, to] row window
+const buildQuery = (client, tableName, query, range) => {
+  const {
+    sortBy = null,
+    sortOrder = 'asc',
+    search = '',
+    searchColumns = [],
+    dateFilter = 'all',
+    dateColumn = 'created_at'
+  } = query;
+
+  let request = client
+    .from(tableName)
+    .select('*', { count: 'exact' });
+
+  const term = search.replace(RESERVED_FILTER_CHARS, ' ').trim();
+  if (term && searchColumns.length > 0) {
+    request = request.or(searchColumns.map(column => `${column}.ilike.%${term}%`).join(','));
+  }
+
+  const cutoff = getDateCutoff(dateFilter);
+  if (cutoff) {
+    request = request.gte(dateColumn, cutoff.toISOString());
+  }
+
+  // Array values become `in` filters, anything else an equality match
+  activeFilters(query).forEach(([column, value]) => {
+    request = Array.isArray(value) ? request.in(column, value) : request.eq(column, value);
+  });
+
+  request = sortBy
+    ? request.order(sortBy, { ascending: sortOrder === 'asc' })
+    : request.order('created_at', { ascending: false });
+
+  // Tie-break on the primary key so consecutive windows never overlap or skip rows
+  request = request.order('id', { ascending: true });
+
+  if (range) {
+    request = request.range(range[0], range[1]);
+  }
+
+  return request;
+};
+
+export const createSupabaseSource = (client = supabase) => {
+  if (!client) {
+    throw new Error(
+      `Supabase is not configured for the ${environment.name} environment; set VITE_SUPABASE_URL and VITE_SUPABASE_PUBLISHABLE_KEY`
+    );
+  }
+
+  const fetchRange = async (tableName, query, range) => {
+    const { data, count, error } = await buildQuery(client, tableName, query, range);
+    if (error) throw error;
+    return { data: data || [], count };
+  };
+
+  const fetchTable = async (tableName, query = {}, { paginate = true } = {}) => {
+    if (paginate && isPaged(query)) {
+      const { page = 1, pageSize = 10 } = query;
+      const from = (page - 1) * pageSize;
+      const { data, count } = await fetchRange(tableName, query, [from, from + pageSize - 1]);
+      return { data, count: count ?? data.length };
+    }
+
+    // Whole table: keep reading batches until every counted row has arrived. The
+    // next batch starts after the rows actually returned, in case the server's
+    // row cap is lower than BATCH_SIZE.
+    let rows = [];
+    let total = null;
+    while (total === null || rows.length < total) {
+      const { data, count } = await fetchRange(tableName, query, [rows.length, rows.length + BATCH_SIZE - 1]);
+      rows = rows.concat(data);
+      total = count ?? rows.length;
+      if (data.length === 0) break;
+    }
+    return { data: rows, count: total };
+  };
+
+  // `onStatus` receives Supabase channel states: SUBSCRIBED, CHANNEL_ERROR, TIMED_OUT, CLOSED
+  const subscribe = (tableName, onChange, onStatus) => {
+    const channel = client
+      .channel(`${tableName}_changes`)
+      .on('postgres_changes',
+        { event: '*', schema: 'public', table: tableName },
+        onChange
+      )
+      .subscribe(onStatus);
+
+    return () => {
+      channel.unsubscribe();
+    };
+  };
+
+  // Write-only: no `.select()` afterwards, so tables like the audit log only need an insert policy
+  const insert = async (tableName, row) => {
+    const { error } = await client.from(tableName).insert(row);
+    if (error) throw error;
+    return row;
+  };
+
+  // Include the environment so staging and production snapshots never mix
+  return { name: `supabase-${environment.name}`, fetchTable, subscribe, insert };
+};
@@ -1,6 +1,8 @@
 import { useMemo } from 'react';
 
-export const useAdvancedAnalytics = (appUsageData, pretestData, demographicsData, dateRange = 'all') => {
+// `population` is the analysis population the rows were already restricted to
+// ({ label, n }); it is carried into the summary so every export names it
+export const useAdvancedAnalytics = (appUsageData, pretestData, demographicsData, dateRange = 'all', population = null) => {
   const analytics = useMemo(() => {
     // Helper functions for statistical calculations
     const mean = (arr) => arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
@@ -498,6 +500,7 @@ export const useAdvancedAnalytics = (appUsageData, pretestData, demographicsData
         averageSessionDuration: sessionAnalytics.mean,
         engagementTrend: sessionTrend.direction,
         periodRange: dateRange,
+        population,
         dataQuality: {
           sessionCompleteness: sessionDurations.length / Math.max(currentAppUsage.length, 1),
           responseRate: currentPretest.length / Math.max(new Set(currentAppUsage.map(s => s.participant_number).filter(Boolean)).size, 1)
@@ -513,7 +516,7 @@ export const useAdvancedAnalytics = (appUsageData, pretestData, demographicsData
         }
       }
     };
-  }, [appUsageData, pretestData, demographicsData, dateRange]);
+  }, [appUsageData, pretestData, demographicsData, dateRange, population]);
 
   return analytics;
 };
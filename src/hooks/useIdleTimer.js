@@ -0,0 +1,74 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { readLastActivity, recordActivity } from '../auth/activity';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart', 'scroll'];
+
+// Don't hit localStorage on every mouse move
+const WRITE_THROTTLE_MS = 5000;
+const CHECK_INTERVAL_MS = 10000;
+
+// Locks after `lockAfterMs` without input and calls `onTimeout` after
+// `signOutAfterMs`. Elapsed time is measured from timestamps rather than timers,
+// so a laptop that slept through the limit is locked as soon as it wakes.
+export const useIdleTimer = ({ lockAfterMs, signOutAfterMs, onTimeout }) => {
+  const lastActivity = useRef(null);
+  if (lastActivity.current === null) {
+    lastActivity.current = readLastActivity() ?? recordActivity();
+  }
+
+  const [locked, setLocked] = useState(
+    () => lockAfterMs > 0 && Date.now() - lastActivity.current >= lockAfterMs
+  );
+  const lockedRef = useRef(locked);
+  const onTimeoutRef = useRef(onTimeout);
+
+  useEffect(() => {
+    lockedRef.current = locked;
+  }, [locked]);
+
+  useEffect(() => {
+    onTimeoutRef.current = onTimeout;
+  }, [onTimeout]);
+
+  useEffect(() => {
+    if (!lockAfterMs && !signOutAfterMs) return undefined;
+
+    const handleActivity = () => {
+      // Input behind the lock screen doesn't count as activity
+      if (lockedRef.current) return;
+      const now = Date.now();
+      if (now - lastActivity.current >= WRITE_THROTTLE_MS) {
+        lastActivity.current = recordActivity(now);
+      }
+    };
+
+    const check = () => {
+      // Another tab may have seen more recent activity
+      const last = Math.max(lastActivity.current, readLastActivity() ?? 0);
+      const idle = Date.now() - last;
+      if (signOutAfterMs > 0 && idle >= signOutAfterMs) {
+        onTimeoutRef.current();
+      } else if (lockAfterMs > 0 && idle >= lockAfterMs) {
+        setLocked(true);
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { passive: true }));
+    document.addEventListener('visibilitychange', check);
+    const timer = setInterval(check, CHECK_INTERVAL_MS);
+    check();
+
+    return () => {
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity));
+      document.removeEventListener('visibilitychange', check);
+      clearInterval(timer);
+    };
+  }, [lockAfterMs, signOutAfterMs]);
+
+  const unlock = useCallback(() => {
+    lastActivity.current = recordActivity();
+    setLocked(false);
+  }, []);
+
+  return { locked, unlock };
+};
@@ -1,57 +1,66 @@
-import { useState, useEffect, useCallback } from 'react';
-import { supabase } from '../supabaseClient';
-
-// Auto-refresh every 30 seconds
-const AUTO_REFRESH_INTERVAL = 30000;
-
-export const useSupabaseData = (tableName) => {
-  const [data, setData] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  const fetchData = useCallback(async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      const { data: result, error } = await supabase
-        .from(tableName)
-        .select('*')
-        .order('created_at', { ascending: false });
-
-      if (error) throw error;
-      setData(result || []);
-    } catch (err) {
-      setError(err.message);
-      console.error(`Error fetching ${tableName}:`, err);
-    } finally {
-      setLoading(false);
-    }
-  }, [tableName]);
+import { useCallback, useSyncExternalStore } from 'react';
+import { useDataStore } from '../store/DataStoreContext';
+import { EMPTY_STATE } from '../store/dataStore';
+
+// Read one table/query entry from the shared data store
+const useStoreEntry = (tableName, query, { enabled = true, refreshPolicy = {} } = {}) => {
+  const store = useDataStore();
+
+  // Compare query options and policies by value so callers can pass inline objects
+  const queryKey = JSON.stringify(query);
+  const policyKey = JSON.stringify(refreshPolicy);
+
+  const subscribe = useCallback(
+    (listener) => (enabled
+      ? store.subscribe(tableName, JSON.parse(queryKey), listener, JSON.parse(policyKey))
+      : () => {}),
+    [store, tableName, queryKey, policyKey, enabled]
+  );
+  const getSnapshot = useCallback(
+    () => (enabled ? store.getSnapshot(tableName, JSON.parse(queryKey)) : EMPTY_STATE),
+    [store, tableName, queryKey, enabled]
+  );
+  const state = useSyncExternalStore(subscribe, getSnapshot);
+
+  const refetch = useCallback(
+    () => store.refetch(tableName, JSON.parse(queryKey)),
+    [store, tableName, queryKey]
+  );
+  const fetchAll = useCallback(
+    () => store.fetchAll(tableName, JSON.parse(queryKey)),
+    [store, tableName, queryKey]
+  );
+
+  return { ...state, refetch, fetchAll };
+};
 
-  useEffect(() => {
-    fetchData();
-    
-    // Set up auto-refresh
-    const interval = setInterval(fetchData, AUTO_REFRESH_INTERVAL);
-    
-    // Set up real-time subscription
-    const subscription = supabase
-      .channel(`${tableName}_changes`)
-      .on('postgres_changes', 
-        { event: '*', schema: 'public', table: tableName },
-        () => {
-          fetchData();
-        }
-      )
-      .subscribe();
+// Loads a whole table once, then keeps it current from realtime events.
+// `match` narrows the rows with equality filters, e.g. { id_used: true };
+// `refreshPolicy` overrides DEFAULT_REFRESH_POLICY for this view.
+export const useSupabaseData = (tableName, { match = {}, refreshPolicy } = {}) => {
+  const { data, loading, error, updatedAt, offline, refetch } = useStoreEntry(
+    tableName,
+    { match },
+    { refreshPolicy }
+  );
+  return { data, loading, error, updatedAt, offline, refetch };
+};
 
-    return () => {
-      clearInterval(interval);
-      subscription.unsubscribe();
-    };
-  }, [fetchData, tableName]);
+// Query-aware variant of useSupabaseData: paging, sorting and filtering run in the database
+export const useSupabaseQuery = (tableName, query = {}, { enabled = true, refreshPolicy } = {}) => {
+  const { data, count, loading, error, updatedAt, offline, refetch, fetchAll } = useStoreEntry(
+    tableName,
+    { page: 1, pageSize: 10, ...query },
+    { enabled, refreshPolicy }
+  );
+  return { data, count, loading, error, updatedAt, offline, refetch, fetchAll };
+};
 
-  return { data, loading, error, refetch: fetchData };
+// Global live/paused switch for every hook reading from the data store
+export const useLiveUpdates = () => {
+  const store = useDataStore();
+  const { paused } = useSyncExternalStore(store.subscribeStatus, store.getStatus);
+  return { paused, setPaused: store.setPaused };
 };
 
 export const useAppUsageSessions = () => {
@@ -70,56 +79,11 @@ export const useParticipants = () => {
   return useSupabaseData('participants');
 };
 
-// Hook to get only active participants (id_used = true)
 export const usePosttestResponses = () => {
   return useSupabaseData('posttest_responses');
 };
 
+// Hook to get only active participants (id_used = true)
 export const useActiveParticipants = () => {
-  const [data, setData] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  const fetchData = useCallback(async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      const { data: result, error } = await supabase
-        .from('participants')
-        .select('*')
-        .eq('id_used', true)
-        .order('created_at', { ascending: false });
-
-      if (error) throw error;
-      setData(result || []);
-    } catch (err) {
-      setError(err.message);
-      console.error('Error fetching active participants:', err);
-    } finally {
-      setLoading(false);
-    }
-  }, []);
-
-  useEffect(() => {
-    fetchData();
-    
-    const interval = setInterval(fetchData, AUTO_REFRESH_INTERVAL);
-    
-    const subscription = supabase
-      .channel('participants_changes')
-      .on('postgres_changes', 
-        { event: '*', schema: 'public', table: 'participants' },
-        () => {
-          fetchData();
-        }
-      )
-      .subscribe();
-
-    return () => {
-      clearInterval(interval);
-      subscription.unsubscribe();
-    };
-  }, [fetchData]);
-
-  return { data, loading, error, refetch: fetchData };
-};
\ No newline at end of file
+  return useSupabaseData('participants', { match: { id_used: true } });
+};
@@ -0,0 +1,60 @@
+import { WHO5, PSS4, BRIEF_COPE } from './instruments';
+import { scoreInstrument, SCORE_STATUS } from './score';
+
+// WHO-5 percentage cut-offs: <= 50 screens for poor well-being, <= 28 for likely depression
+export const WHO5_CUTOFFS = {
+  poorWellbeing: 50,
+  likelyDepression: 28
+};
+
+export const WHO5_SCREEN = {
+  likelyDepression: 'likely depression',
+  poorWellbeing: 'poor well-being',
+  clear: 'not flagged'
+};
+
+export const who5Screen = (percent) => {
+  if (percent === null) return null;
+  if (percent <= WHO5_CUTOFFS.likelyDepression) return WHO5_SCREEN.likelyDepression;
+  if (percent <= WHO5_CUTOFFS.poorWellbeing) return WHO5_SCREEN.poorWellbeing;
+  return WHO5_SCREEN.clear;
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+// 'complete', or which instruments were prorated/excluded and which responses were
+// out of range, e.g. "WHO-5 prorated; PSS-4 out of range (pss4_going_your_way = 5)"
+const dataQuality = (scored) => {
+  const notes = scored.flatMap(({ instrument, result }) => [
+    ...(result.status !== SCORE_STATUS.complete ? [`${instrument.shortLabel} ${result.status}`] : []),
+    ...(result.outOfRange.length
+      ? [`${instrument.shortLabel} out of range (${result.outOfRange.map(({ item, value }) => `${item} = ${value}`).join(', ')})`]
+      : [])
+  ]);
+  return notes.length ? notes.join('; ') : SCORE_STATUS.complete;
+};
+
+// Per-response score columns appended after the raw items in tables and exports.
+// Scores follow each instrument's missing-item rule; `data_quality` flags rows
+// where any of them was prorated or excluded, or had an out-of-range response.
+export const withDerivedScores = (row) => {
+  const who5 = scoreInstrument(WHO5, row);
+  const pss4 = scoreInstrument(PSS4, row);
+  const cope = scoreInstrument(BRIEF_COPE, row);
+
+  return {
+    ...row,
+    who5_raw: round(who5.raw),
+    who5_percent: round(who5.percent),
+    who5_screen: who5Screen(who5.percent),
+    pss4_total: round(pss4.raw),
+    ...Object.fromEntries(
+      Object.entries(cope.subscales).map(([id, mean]) => [`cope_${id}_score`, round(mean)])
+    ),
+    data_quality: dataQuality([
+      { instrument: WHO5, result: who5 },
+      { instrument: PSS4, result: pss4 },
+      { instrument: BRIEF_COPE, result: cope }
+    ])
+  };
+};
@@ -0,0 +1,18 @@
+export { WHO5, PSS4, BRIEF_COPE, BURNOUT, INSTRUMENTS } from './instruments';
+export {
+  itemResponse,
+  keyedItemValue,
+  isOutOfRange,
+  outOfRangeItems,
+  scoreInstrument,
+  summarize,
+  summarizeInstrument,
+  summarizeGroups,
+  summarizeItem,
+  formatCounts,
+  formatScore,
+  SCORE_STATUS
+} from './score';
+export { summarizeScores } from './summary';
+export { OUTCOMES, burnoutScore } from './outcomes';
+export { WHO5_CUTOFFS, WHO5_SCREEN, who5Screen, withDerivedScores } from './derived';
@@ -0,0 +1,113 @@
+// Declarative definitions of the study instruments. Every score the dashboard
+// shows or exports is computed from these by ./score.js, so a change here
+// (an item, the response range, a reverse-keyed item) applies everywhere.
+//
+//   items        response columns; `aliases` are older column names for the same item
+//   range        lowest and highest allowed response
+//   reverseKeyed items scored as (min + max - response)
+//   scoring      'sum' or 'mean' of the keyed items -> the instrument's `score`
+//   subscales    named groups of items, each scored as the mean of its items
+//   categories   higher-order groups of subscales, scored as the mean of all their items
+//   missing      missing-item rule: 'exclude' scores only complete responses;
+//                'prorate' scores anything with at least `minAnswered` items from the
+//                answered items' mean, and subscales/categories with at least
+//                `groupMinProportion` of their items
+//   direction    whether a higher score is the better outcome
+
+export const WHO5 = {
+  id: 'who5',
+  label: 'WHO-5 Well-Being Index',
+  shortLabel: 'WHO-5',
+  items: [
+    { key: 'who5_cheerful', label: 'Cheerful & Good Spirits' },
+    { key: 'who5_calm', label: 'Calm & Relaxed' },
+    { key: 'who5_active', label: 'Active & Vigorous' },
+    { key: 'who5_rested', label: 'Fresh & Rested' },
+    { key: 'who5_interested', label: 'Interested in Things' }
+  ],
+  // Items coded 0 (at no time) to 5 (all of the time), as in the WHO (1998)
+  // scoring manual and the survey's stored responses
+  range: { min: 0, max: 5 },
+  reverseKeyed: [],
+  // Raw score 0-25; the percentage score (raw x 4) is the usual reporting metric
+  scoring: 'sum',
+  missing: { method: 'prorate', minAnswered: 4 },
+  direction: 'higher-is-better'
+};
+
+export const PSS4 = {
+  id: 'pss4',
+  label: 'Perceived Stress Scale (PSS-4)',
+  shortLabel: 'PSS-4',
+  items: [
+    { key: 'pss4_unable_control', label: 'Unable to Control' },
+    { key: 'pss4_confident_handle', label: 'Confident Handling' },
+    { key: 'pss4_going_your_way', label: 'Things Going Your Way' },
+    { key: 'pss4_difficulties_piling', label: 'Difficulties Piling Up' }
+  ],
+  // Items coded 0 (never) to 4 (very often) per Cohen et al. (1983); the two
+  // positively worded items are reversed as 4 - response
+  range: { min: 0, max: 4 },
+  reverseKeyed: ['pss4_confident_handle', 'pss4_going_your_way'],
+  // Total 0-16; too short a scale to prorate
+  scoring: 'sum',
+  missing: { method: 'exclude' },
+  direction: 'lower-is-better'
+};
+
+// The 14-item form used in this study: seven two-item Brief COPE scales
+export const BRIEF_COPE = {
+  id: 'cope',
+  label: 'Brief COPE',
+  shortLabel: 'COPE',
+  items: [
+    { key: 'cope_concentrating', aliases: ['cope_concentrating_efforts'], label: 'Concentrating Efforts' },
+    { key: 'cope_taking_action', label: 'Taking Action' },
+    { key: 'cope_strategy', label: 'Strategy Planning' },
+    { key: 'cope_thinking_steps', label: 'Thinking About Steps' },
+    { key: 'cope_different_light', label: 'Different Perspective' },
+    { key: 'cope_looking_good', label: 'Looking for Positives' },
+    { key: 'cope_accepting_reality', label: 'Accepting Reality' },
+    { key: 'cope_learning_live', label: 'Learning to Live With It' },
+    { key: 'cope_emotional_support', label: 'Seeking Emotional Support' },
+    { key: 'cope_comfort_understanding', label: 'Comfort & Understanding' },
+    { key: 'cope_work_activities', label: 'Work/Activities' },
+    { key: 'cope_movies_tv_reading', label: 'Entertainment/Reading' },
+    { key: 'cope_criticizing_myself', label: 'Self-Criticism' },
+    { key: 'cope_blaming_myself', label: 'Self-Blame' }
+  ],
+  range: { min: 1, max: 4 },
+  reverseKeyed: [],
+  scoring: 'mean',
+  missing: { method: 'prorate', minAnswered: 12, groupMinProportion: 0.5 },
+  subscales: [
+    { id: 'active_coping', label: 'Active Coping', items: ['cope_concentrating', 'cope_taking_action'] },
+    { id: 'planning', label: 'Planning', items: ['cope_strategy', 'cope_thinking_steps'] },
+    { id: 'positive_reframing', label: 'Positive Reframing', items: ['cope_different_light', 'cope_looking_good'] },
+    { id: 'acceptance', label: 'Acceptance', items: ['cope_accepting_reality', 'cope_learning_live'] },
+    { id: 'emotional_support', label: 'Emotional Support', items: ['cope_emotional_support', 'cope_comfort_understanding'] },
+    { id: 'self_distraction', label: 'Self-Distraction', items: ['cope_work_activities', 'cope_movies_tv_reading'] },
+    { id: 'self_blame', label: 'Self-Blame', items: ['cope_criticizing_myself', 'cope_blaming_myself'] }
+  ],
+  // The 14 items measure different things, so there is no meaningful total; these
+  // groupings follow the usual problem-focused / emotion-focused / avoidant split
+  categories: [
+    { id: 'problem_focused', label: 'Problem-Focused', subscales: ['active_coping', 'planning'] },
+    { id: 'emotion_focused', label: 'Emotion-Focused', subscales: ['positive_reframing', 'acceptance', 'emotional_support'] },
+    { id: 'avoidant', label: 'Avoidant', subscales: ['self_distraction', 'self_blame'] }
+  ],
+  direction: null
+};
+
+// Single-item self-rated burnout, stored as a level name; scored as the level's
+// position (0 = none) so it can be compared and averaged like the scales above
+export const BURNOUT = {
+  id: 'burnout',
+  label: 'Burnout Level',
+  shortLabel: 'Burnout',
+  column: 'burnout_level',
+  levels: ['no_burnout', 'mild_burnout', 'moderate_burnout', 'severe_burnout'],
+  direction: 'lower-is-better'
+};
+
+export const INSTRUMENTS = [WHO5, PSS4, BRIEF_COPE];
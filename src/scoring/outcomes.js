@@ -0,0 +1,41 @@
+import { WHO5, PSS4, BURNOUT } from './instruments';
+import { scoreInstrument } from './score';
+
+// Burnout level as 0 (none) to 3 (severe), or null when missing or unrecognised
+export const burnoutScore = (row) => {
+  const index = BURNOUT.levels.indexOf(row[BURNOUT.column]);
+  return index === -1 ? null : index;
+};
+
+// The study's outcome measures, each as one number per response row. Analyses
+// (change scores, group comparisons, models) iterate this list rather than
+// naming instruments, so they stay in step with the scoring rules.
+//   scale     'interval' scores can be averaged; 'ordinal' ones are ranked, and
+//             `category(row)` gives the level for contingency-table tests
+export const OUTCOMES = [
+  {
+    id: 'who5',
+    label: 'WHO-5 Well-Being (%)',
+    shortLabel: 'WHO-5',
+    direction: WHO5.direction,
+    scale: 'interval',
+    score: (row) => scoreInstrument(WHO5, row).percent
+  },
+  {
+    id: 'pss4',
+    label: 'PSS-4 Perceived Stress',
+    shortLabel: 'PSS-4',
+    direction: PSS4.direction,
+    scale: 'interval',
+    score: (row) => scoreInstrument(PSS4, row).score
+  },
+  {
+    id: 'burnout',
+    label: `Burnout Level (0-${BURNOUT.levels.length - 1})`,
+    shortLabel: 'Burnout',
+    direction: BURNOUT.direction,
+    scale: 'ordinal',
+    score: burnoutScore,
+    category: (row) => (burnoutScore(row) === null ? null : row[BURNOUT.column])
+  }
+];
@@ -0,0 +1,183 @@
+// Scoring engine for the definitions in ./instruments.js
+
+const isAnswered = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Raw response for an item, falling back to any older column name
+export const itemResponse = (item, row) => {
+  const keys = [item.key, ...(item.aliases || [])];
+  const key = keys.find(k => isAnswered(row[k]));
+  return key === undefined ? null : row[key];
+};
+
+// An answered response outside the instrument's range is a data-entry or coding
+// error: it is left out of every score like a missing item, but reported (see
+// `outOfRange` below) rather than dropped silently
+export const isOutOfRange = (instrument, value) =>
+  value !== null && (value < instrument.range.min || value > instrument.range.max);
+
+// Response after reverse keying, or null when unanswered or out of range
+export const keyedItemValue = (instrument, item, row) => {
+  const value = itemResponse(item, row);
+  const { min, max } = instrument.range;
+  if (value === null || isOutOfRange(instrument, value)) return null;
+  return instrument.reverseKeyed.includes(item.key) ? min + max - value : value;
+};
+
+// [{ item, value }] for each of `items` answered outside the instrument's range
+export const outOfRangeItems = (instrument, items, row) => items
+  .map(item => ({ item: item.key, value: itemResponse(item, row) }))
+  .filter(({ value }) => isOutOfRange(instrument, value));
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// How a scored set of items dealt with missing responses
+export const SCORE_STATUS = {
+  complete: 'complete',
+  prorated: 'prorated',
+  excluded: 'excluded'
+};
+
+// Fewest answered items a whole instrument (or one of its subscales/categories) needs
+const minAnsweredFor = (instrument, itemCount, isGroup) => {
+  const { method = 'exclude', minAnswered = itemCount, groupMinProportion = 1 } = instrument.missing || {};
+  if (method === 'exclude') return itemCount;
+  return isGroup ? Math.ceil(itemCount * groupMinProportion) : Math.min(minAnswered, itemCount);
+};
+
+const scoreItems = (instrument, items, row, { isGroup = false } = {}) => {
+  const values = items.map(item => keyedItemValue(instrument, item, row));
+  const answered = values.filter(value => value !== null);
+  const outOfRange = outOfRangeItems(instrument, items, row);
+  if (answered.length === 0 || answered.length < minAnsweredFor(instrument, items.length, isGroup)) {
+    return { raw: null, mean: null, answered: answered.length, status: SCORE_STATUS.excluded, outOfRange };
+  }
+  const mean = sum(answered) / answered.length;
+  // Prorating fills each missing item with the respondent's own item mean
+  return {
+    raw: mean * items.length,
+    mean,
+    answered: answered.length,
+    status: answered.length < items.length ? SCORE_STATUS.prorated : SCORE_STATUS.complete,
+    outOfRange
+  };
+};
+
+// Scores for one response row:
+//   raw      sum of keyed items
+//   mean     item mean
+//   score    raw or mean, per the instrument's `scoring`
+//   percent  score rescaled to 0-100 over the possible range (WHO-5 raw x 4)
+//   answered / missing  item counts (out-of-range responses count as missing)
+//   status     SCORE_STATUS after applying the instrument's missing-item rule
+//   outOfRange [{ item, value }] responses outside the instrument's range
+//   subscales  { [id]: mean of the subscale's items }
+//   categories { [id]: mean of the items in the category's subscales }
+//   groupStatus { [subscale or category id]: SCORE_STATUS }
+//   groupOutOfRange { [subscale or category id]: out-of-range item count }
+export const scoreInstrument = (instrument, row) => {
+  const { items, range } = instrument;
+  const { raw, mean, answered, status, outOfRange } = scoreItems(instrument, items, row);
+  const groupStatus = {};
+  const groupOutOfRange = {};
+  const score = instrument.scoring === 'mean' ? mean : raw;
+
+  const [low, high] = instrument.scoring === 'mean'
+    ? [range.min, range.max]
+    : [range.min * items.length, range.max * items.length];
+
+  const subscales = Object.fromEntries((instrument.subscales || []).map(subscale => {
+    const subscaleItems = items.filter(item => subscale.items.includes(item.key));
+    const result = scoreItems(instrument, subscaleItems, row, { isGroup: true });
+    groupStatus[subscale.id] = result.status;
+    groupOutOfRange[subscale.id] = result.outOfRange.length;
+    return [subscale.id, result.mean];
+  }));
+
+  const categories = Object.fromEntries((instrument.categories || []).map(category => {
+    const keys = (instrument.subscales || [])
+      .filter(subscale => category.subscales.includes(subscale.id))
+      .flatMap(subscale => subscale.items);
+    const categoryItems = items.filter(item => keys.includes(item.key));
+    const result = scoreItems(instrument, categoryItems, row, { isGroup: true });
+    groupStatus[category.id] = result.status;
+    groupOutOfRange[category.id] = result.outOfRange.length;
+    return [category.id, result.mean];
+  }));
+
+  return {
+    raw,
+    mean,
+    score,
+    percent: score === null ? null : ((score - low) / (high - low)) * 100,
+    answered,
+    missing: items.length - answered,
+    status,
+    outOfRange,
+    subscales,
+    categories,
+    groupStatus,
+    groupOutOfRange
+  };
+};
+
+// n, mean, min and max of the non-null values
+export const summarize = (values) => {
+  const present = values.filter(value => value !== null && value !== undefined && Number.isFinite(value));
+  if (present.length === 0) return { n: 0, mean: null, min: null, max: null };
+  return {
+    n: present.length,
+    mean: sum(present) / present.length,
+    min: Math.min(...present),
+    max: Math.max(...present)
+  };
+};
+
+// `outOfRangeCounts` holds each response's out-of-range item count
+const countStatuses = (statuses, outOfRangeCounts) => ({
+  prorated: statuses.filter(status => status === SCORE_STATUS.prorated).length,
+  excluded: statuses.filter(status => status === SCORE_STATUS.excluded).length,
+  outOfRange: outOfRangeCounts.filter(count => count > 0).length
+});
+
+// Summary of one measure ('score', 'percent', 'raw', ...) across response rows,
+// with how many responses were prorated or excluded by the missing-item rule and
+// how many had responses outside the instrument's range
+export const summarizeInstrument = (instrument, rows, measure = 'score') => {
+  const scores = rows.map(row => scoreInstrument(instrument, row));
+  return {
+    ...summarize(scores.map(score => score[measure])),
+    ...countStatuses(scores.map(score => score.status), scores.map(score => score.outOfRange.length))
+  };
+};
+
+// { [id]: summary } for each subscale or category ('subscales' | 'categories')
+export const summarizeGroups = (instrument, rows, kind = 'subscales') => {
+  const scores = rows.map(row => scoreInstrument(instrument, row));
+  return Object.fromEntries((instrument[kind] || []).map(({ id }) => [
+    id,
+    {
+      ...summarize(scores.map(score => score[kind][id])),
+      ...countStatuses(scores.map(score => score.groupStatus[id]), scores.map(score => score.groupOutOfRange[id]))
+    }
+  ]));
+};
+
+// Summary of one item's keyed value across response rows, with how many
+// responses were out of range
+export const summarizeItem = (instrument, item, rows) => ({
+  ...summarize(rows.map(row => keyedItemValue(instrument, item, row))),
+  outOfRange: rows.filter(row => isOutOfRange(instrument, itemResponse(item, row))).length
+});
+
+// "n = 14 · 1 prorated · 2 excluded · 1 out of range" for a summary; zero counts
+// are left out
+export const formatCounts = ({ n, prorated = 0, excluded = 0, outOfRange = 0 }) => [
+  `n = ${n}`,
+  ...(prorated ? [`${prorated} prorated`] : []),
+  ...(excluded ? [`${excluded} excluded`] : []),
+  ...(outOfRange ? [`${outOfRange} out of range`] : [])
+].join(' · ');
+
+// Format a summary value for display, e.g. formatScore(summary.mean, 1)
+export const formatScore = (value, digits = 1) =>
+  value === null || value === undefined ? 'N/A' : value.toFixed(digits);
@@ -0,0 +1,97 @@
+import { describe, expect, it } from 'vitest';
+import {
+  WHO5,
+  PSS4,
+  BRIEF_COPE,
+  SCORE_STATUS,
+  scoreInstrument,
+  summarizeInstrument,
+  summarizeItem,
+  formatCounts,
+  withDerivedScores
+} from '.';
+
+const who5Row = (values) => Object.fromEntries(WHO5.items.map((item, i) => [item.key, values[i]]));
+
+// unable_control, confident_handle, going_your_way, difficulties_piling
+const pss4Row = (values) => Object.fromEntries(PSS4.items.map((item, i) => [item.key, values[i]]));
+
+describe('WHO-5', () => {
+  it('reports the raw 0-25 sum and the percentage as raw x 4', () => {
+    const result = scoreInstrument(WHO5, who5Row([3, 3, 3, 3, 3]));
+    expect(result.raw).toBe(15);
+    expect(result.percent).toBe(60);
+    expect(result.status).toBe(SCORE_STATUS.complete);
+  });
+
+  it('spans 0-100%', () => {
+    expect(scoreInstrument(WHO5, who5Row([0, 0, 0, 0, 0])).percent).toBe(0);
+    expect(scoreInstrument(WHO5, who5Row([5, 5, 5, 5, 5])).percent).toBe(100);
+  });
+
+  it('prorates one missing item and excludes two', () => {
+    const prorated = scoreInstrument(WHO5, who5Row([4, 4, 2, 2, null]));
+    expect(prorated.status).toBe(SCORE_STATUS.prorated);
+    expect(prorated.raw).toBe(15);
+
+    const excluded = scoreInstrument(WHO5, who5Row([4, 4, 2, null, null]));
+    expect(excluded.status).toBe(SCORE_STATUS.excluded);
+    expect(excluded.percent).toBeNull();
+  });
+});
+
+describe('PSS-4', () => {
+  it('reverses the positively worded items as 4 - response', () => {
+    expect(scoreInstrument(PSS4, pss4Row([2, 1, 0, 3])).score).toBe(2 + 3 + 4 + 3);
+    expect(scoreInstrument(PSS4, pss4Row([0, 4, 4, 0])).score).toBe(0);
+    expect(scoreInstrument(PSS4, pss4Row([4, 0, 0, 4])).score).toBe(16);
+  });
+
+  it('excludes any response with a missing item', () => {
+    const result = scoreInstrument(PSS4, pss4Row([2, 1, null, 3]));
+    expect(result.status).toBe(SCORE_STATUS.excluded);
+    expect(result.score).toBeNull();
+  });
+});
+
+describe('Brief COPE', () => {
+  it('scores subscales as item means and reads older column names', () => {
+    const row = Object.fromEntries(BRIEF_COPE.items.map(item => [item.key, 2]));
+    delete row.cope_concentrating;
+    row.cope_concentrating_efforts = 4;
+    row.cope_taking_action = 3;
+
+    const result = scoreInstrument(BRIEF_COPE, row);
+    expect(result.subscales.active_coping).toBe(3.5);
+    expect(result.subscales.planning).toBe(2);
+    expect(result.categories.problem_focused).toBe((4 + 3 + 2 + 2) / 4);
+  });
+});
+
+describe('out-of-range responses', () => {
+  const row = who5Row([3, 7, 3, 3, 3]);
+
+  it('leaves them out of the score like a missing item', () => {
+    const result = scoreInstrument(WHO5, row);
+    expect(result.answered).toBe(4);
+    expect(result.status).toBe(SCORE_STATUS.prorated);
+    expect(result.raw).toBe(15);
+  });
+
+  it('reports which item held which value', () => {
+    expect(scoreInstrument(WHO5, row).outOfRange).toEqual([{ item: 'who5_calm', value: 7 }]);
+    expect(scoreInstrument(WHO5, who5Row([3, 3, 3, 3, 3])).outOfRange).toEqual([]);
+  });
+
+  it('counts them in summaries and their display', () => {
+    const summary = summarizeInstrument(WHO5, [row, who5Row([3, 3, 3, 3, 3])], 'percent');
+    expect(summary.outOfRange).toBe(1);
+    expect(formatCounts(summary)).toBe('n = 2 · 1 prorated · 1 out of range');
+    expect(summarizeItem(WHO5, WHO5.items[1], [row]).outOfRange).toBe(1);
+  });
+
+  it('flags them in the data_quality column', () => {
+    expect(withDerivedScores({ ...row, ...pss4Row([2, 1, 0, 3]) }).data_quality)
+      .toContain('WHO-5 out of range (who5_calm = 7)');
+  });
+});
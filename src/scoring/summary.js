@@ -0,0 +1,10 @@
+import { WHO5, PSS4, BRIEF_COPE } from './instruments';
+import { summarizeInstrument, summarizeGroups } from './score';
+
+// The headline numbers reported for each instrument: WHO-5 as a 0-100 percentage,
+// PSS-4 as its 0-16 total and Brief COPE per coping category (no single total)
+export const summarizeScores = (rows) => ({
+  who5: summarizeInstrument(WHO5, rows, 'percent'),
+  pss4: summarizeInstrument(PSS4, rows),
+  cope: summarizeGroups(BRIEF_COPE, rows, 'categories')
+});
@@ -0,0 +1,47 @@
+import { tQuantile } from './distributions';
+
+// Present, finite numbers only; everything else (null, NaN, strings) is dropped
+export const numeric = (values) => values.filter(value => typeof value === 'number' && Number.isFinite(value));
+
+export const mean = (values) =>
+  values.length ? values.reduce((total, value) => total + value, 0) / values.length : null;
+
+// Sample variance (n - 1 denominator)
+export const variance = (values) => {
+  if (values.length < 2) return null;
+  const m = mean(values);
+  return values.reduce((total, value) => total + (value - m) ** 2, 0) / (values.length - 1);
+};
+
+export const standardDeviation = (values) => {
+  const v = variance(values);
+  return v === null ? null : Math.sqrt(v);
+};
+
+// Mean with a t-based confidence interval; `lower`/`upper` are null below n = 2
+export const meanWithCI = (values, level = 0.95) => {
+  const present = numeric(values);
+  const n = present.length;
+  const m = mean(present);
+  const sd = standardDeviation(present);
+  if (sd === null) return { n, mean: m, sd: null, se: null, lower: null, upper: null };
+  const se = sd / Math.sqrt(n);
+  const margin = tQuantile(1 - (1 - level) / 2, n - 1) * se;
+  return { n, mean: m, sd, se, lower: m - margin, upper: m + margin };
+};
+
+// Pearson correlation of paired values; null when either side has no variance
+export const correlation = (xs, ys) => {
+  if (xs.length < 2 || xs.length !== ys.length) return null;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  xs.forEach((x, i) => {
+    sxy += (x - mx) * (ys[i] - my);
+    sxx += (x - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  });
+  return sxx === 0 || syy === 0 ? null : sxy / Math.sqrt(sxx * syy);
+};
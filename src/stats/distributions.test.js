@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import {
+  chiSquareCdf,
+  logFactorial,
+  noncentralTCdf,
+  normalCdf,
+  normalQuantile,
+  tCdf,
+  tQuantile
+} from './distributions';
+
+// Reference values from R's pnorm, qnorm, pt, qt and pchisq
+describe('normal distribution', () => {
+  it('matches pnorm and qnorm', () => {
+    expect(normalCdf(1.96)).toBeCloseTo(0.9750021, 6);
+    expect(normalCdf(-1)).toBeCloseTo(0.1586553, 6);
+    expect(normalCdf(0)).toBeCloseTo(0.5, 7);
+    expect(normalQuantile(0.975)).toBeCloseTo(1.959964, 6);
+    expect(normalQuantile(0.01)).toBeCloseTo(-2.326348, 6);
+  });
+});
+
+describe("Student's t distribution", () => {
+  it('matches pt', () => {
+    expect(tCdf(2, 5)).toBeCloseTo(0.9490303, 6);
+    expect(tCdf(-2, 5)).toBeCloseTo(0.0509697, 6);
+    expect(tCdf(1, 1)).toBeCloseTo(0.75, 7);
+  });
+
+  it('matches qt', () => {
+    expect(tQuantile(0.975, 10)).toBeCloseTo(2.228139, 5);
+    expect(tQuantile(0.975, 1)).toBeCloseTo(12.706205, 4);
+    expect(tQuantile(0.995, 30)).toBeCloseTo(2.749996, 5);
+    expect(tQuantile(0.025, 10)).toBeCloseTo(-2.228139, 5);
+  });
+
+  it('reduces to the central t without noncentrality', () => {
+    expect(noncentralTCdf(2, 5, 0)).toBeCloseTo(tCdf(2, 5), 6);
+    expect(noncentralTCdf(-1.5, 12, 0)).toBeCloseTo(tCdf(-1.5, 12), 6);
+  });
+});
+
+describe('chi-square distribution', () => {
+  it('matches pchisq', () => {
+    expect(chiSquareCdf(3.841459, 1)).toBeCloseTo(0.95, 6);
+    expect(chiSquareCdf(5.991465, 2)).toBeCloseTo(0.95, 6);
+    expect(chiSquareCdf(10, 4)).toBeCloseTo(0.9595723, 6);
+  });
+});
+
+describe('logFactorial', () => {
+  it('matches lfactorial', () => {
+    expect(logFactorial(0)).toBeCloseTo(0, 8);
+    expect(logFactorial(5)).toBeCloseTo(Math.log(120), 8);
+    expect(logFactorial(20)).toBeCloseTo(42.33562, 4);
+  });
+});
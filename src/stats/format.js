@@ -0,0 +1,18 @@
+// Display helpers shared by the results tables and their exports
+
+export const formatP = (p) => {
+  if (p === null || p === undefined || Number.isNaN(p)) return 'N/A';
+  return p < 0.001 ? '< .001' : p.toFixed(3).replace(/^0/, '');
+};
+
+export const formatStat = (value, digits = 2) =>
+  value === null || value === undefined || Number.isNaN(value) ? 'N/A' : value.toFixed(digits);
+
+// Welch df are fractional, the rest whole numbers
+export const formatDf = (df) => formatStat(df, Number.isInteger(df) ? 0 : 1);
+
+// "1.23 [0.45, 2.01]", or just the value when there is no interval
+export const formatWithCI = ({ value, lower, upper }, digits = 2) =>
+  lower === null || lower === undefined
+    ? formatStat(value, digits)
+    : `${formatStat(value, digits)} [${formatStat(lower, digits)}, ${formatStat(upper, digits)}]`;
@@ -0,0 +1,113 @@
+import { fitLinearModel } from './regression';
+import { cholesky, multiplyVector } from './matrix';
+import { tQuantile, tCdf } from './distributions';
+import { mean, variance } from './descriptive';
+
+// Multiple imputation of a continuous variable from a linear model, and Rubin's
+// rules for pooling. Draws come from a seeded generator so the same data and
+// seed always give the same imputations.
+
+// mulberry32: small, fast, and good enough for resampling
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal draw (Box-Muller)
+export const randomNormal = (random) => {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+const randomChiSquare = (random, df) => {
+  let total = 0;
+  for (let i = 0; i < df; i += 1) total += randomNormal(random) ** 2;
+  return total;
+};
+
+// One draw of (beta, sigma) from their posterior under a flat prior, so each
+// imputation reflects the uncertainty in the imputation model itself
+const drawParameters = (model, random) => {
+  const sigma2 = model.residualSE ** 2;
+  const drawnSigma2 = (sigma2 * model.df) / randomChiSquare(random, model.df);
+  const root = cholesky(model.covariance.map(row => row.map(value => (value * drawnSigma2) / sigma2)));
+  if (!root) return null;
+  const z = model.coefficients.map(() => randomNormal(random));
+  const shift = multiplyVector(root, z);
+  return {
+    beta: model.coefficients.map((coefficient, j) => coefficient.estimate + shift[j]),
+    sigma: Math.sqrt(drawnSigma2)
+  };
+};
+
+const dot = (row, beta) => row.reduce((total, value, j) => total + value * beta[j], 0);
+
+// Imputed values for `missingRows` (design rows, intercept included) from the
+// observed `rows`/`y`:
+//   'pmm'         predictive mean matching: a random one of the `donors` observed
+//                 cases whose predicted value is closest, so imputations are
+//                 always values that actually occur
+//   'regression'  the drawn model's prediction plus drawn residual noise
+// Returns null when the imputation model can't be fitted.
+export const imputeLinear = ({ rows, y, missingRows, method = 'pmm', random, donors = 5 }) => {
+  const names = rows[0].map((_, j) => `x${j}`);
+  const model = fitLinearModel(rows, y, names);
+  if (!model) return null;
+  const drawn = drawParameters(model, random);
+  if (!drawn) return null;
+
+  if (method === 'regression') {
+    return missingRows.map(row => dot(row, drawn.beta) + drawn.sigma * randomNormal(random));
+  }
+
+  const fitted = rows.map(row => dot(row, model.coefficients.map(coefficient => coefficient.estimate)));
+  const poolSize = Math.min(donors, rows.length);
+  return missingRows.map(row => {
+    const target = dot(row, drawn.beta);
+    const nearest = fitted
+      .map((value, index) => ({ index, distance: Math.abs(value - target) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, poolSize);
+    return y[nearest[Math.floor(random() * nearest.length)].index];
+  });
+};
+
+// Rubin's rules for one scalar estimate over m completed datasets. `results` are
+// [{ estimate, variance }] (variance = SE squared); `dfComplete` is the
+// complete-data df, used for the Barnard-Rubin small-sample df.
+//   fmi  fraction of missing information
+export const poolRubin = (results, dfComplete, level = 0.95) => {
+  const m = results.length;
+  if (m < 2) return null;
+  const estimate = mean(results.map(result => result.estimate));
+  const within = mean(results.map(result => result.variance));
+  const between = variance(results.map(result => result.estimate));
+  const total = within + (1 + 1 / m) * between;
+  const lambda = total === 0 ? 0 : ((1 + 1 / m) * between) / total;
+
+  const dfObserved = ((dfComplete + 1) / (dfComplete + 3)) * dfComplete * (1 - lambda);
+  const df = lambda === 0 ? dfObserved : 1 / ((lambda ** 2) / (m - 1) + 1 / dfObserved);
+  const se = Math.sqrt(total);
+  const t = estimate / se;
+  const critical = tQuantile(1 - (1 - level) / 2, df);
+  const relativeIncrease = within === 0 ? 0 : ((1 + 1 / m) * between) / within;
+
+  return {
+    estimate,
+    se,
+    df,
+    t,
+    p: 2 * (1 - tCdf(Math.abs(t), df)),
+    lower: estimate - critical * se,
+    upper: estimate + critical * se,
+    within,
+    between,
+    fmi: (relativeIncrease + 2 / (df + 3)) / (relativeIncrease + 1)
+  };
+};
@@ -0,0 +1,32 @@
+export {
+  logGamma,
+  incompleteBeta,
+  incompleteGamma,
+  chiSquareCdf,
+  logFactorial,
+  normalCdf,
+  normalQuantile,
+  tCdf,
+  tQuantile,
+  tTestPValue,
+  noncentralTCdf
+} from './distributions';
+export { numeric, mean, variance, standardDeviation, meanWithCI, correlation } from './descriptive';
+export {
+  rank,
+  welchTTest,
+  mannWhitneyU,
+  pairedTTest,
+  wilcoxonSignedRank,
+  spearmanCorrelation,
+  crossTabulate,
+  chiSquareTest,
+  fisherExactTest
+} from './tests';
+export { formatP, formatStat, formatDf, formatWithCI } from './format';
+export { transpose, multiply, multiplyVector, identity, invert, quadraticForm, logDeterminant, cholesky } from './matrix';
+export { fitRandomInterceptModel, predictFixed } from './mixedModel';
+export { createRandom, randomNormal, imputeLinear, poolRubin } from './imputation';
+export { MAX_SAMPLE_SIZE, powerTwoSampleT, sampleSizeTwoSampleT } from './power';
+export { fitLinearModel, predict } from './regression';
+export { cronbachAlpha, correlationMatrix, mcdonaldOmega, reliabilityAnalysis } from './reliability';
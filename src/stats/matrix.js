@@ -0,0 +1,80 @@
+// Small dense-matrix helpers (arrays of row arrays) for the model fits
+
+export const transpose = (m) => m[0].map((_, j) => m.map(row => row[j]));
+
+export const multiply = (a, b) =>
+  a.map(row => b[0].map((_, j) => row.reduce((sum, value, k) => sum + value * b[k][j], 0)));
+
+export const multiplyVector = (m, v) => m.map(row => row.reduce((sum, value, j) => sum + value * v[j], 0));
+
+export const identity = (size) =>
+  Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) => (i === j ? 1 : 0)));
+
+// Inverse by Gauss-Jordan elimination with partial pivoting; null when singular
+export const invert = (m) => {
+  const size = m.length;
+  const work = m.map((row, i) => [...row, ...identity(size)[i]]);
+  const scale = Math.max(...m.map(row => Math.max(...row.map(Math.abs))), 1);
+
+  for (let col = 0; col < size; col += 1) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row += 1) {
+      if (Math.abs(work[row][col]) > Math.abs(work[pivot][col])) pivot = row;
+    }
+    if (Math.abs(work[pivot][col]) < 1e-10 * scale) return null;
+    [work[col], work[pivot]] = [work[pivot], work[col]];
+
+    const divisor = work[col][col];
+    for (let j = 0; j < 2 * size; j += 1) work[col][j] /= divisor;
+    for (let row = 0; row < size; row += 1) {
+      if (row === col) continue;
+      const factor = work[row][col];
+      if (factor === 0) continue;
+      for (let j = 0; j < 2 * size; j += 1) work[row][j] -= factor * work[col][j];
+    }
+  }
+  return work.map(row => row.slice(size));
+};
+
+// c' M c for a vector c
+export const quadraticForm = (m, c) => c.reduce((sum, ci, i) => sum + ci * m[i].reduce((s, mij, j) => s + mij * c[j], 0), 0);
+
+// log |det M| by elimination with partial pivoting; null when singular
+export const logDeterminant = (m) => {
+  const work = m.map(row => [...row]);
+  const size = work.length;
+  let total = 0;
+  for (let col = 0; col < size; col += 1) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row += 1) {
+      if (Math.abs(work[row][col]) > Math.abs(work[pivot][col])) pivot = row;
+    }
+    if (work[pivot][col] === 0) return null;
+    [work[col], work[pivot]] = [work[pivot], work[col]];
+    total += Math.log(Math.abs(work[col][col]));
+    for (let row = col + 1; row < size; row += 1) {
+      const factor = work[row][col] / work[col][col];
+      for (let j = col; j < size; j += 1) work[row][j] -= factor * work[col][j];
+    }
+  }
+  return total;
+};
+
+// Lower-triangular L with L L' = M for a symmetric positive-definite M; null otherwise
+export const cholesky = (m) => {
+  const size = m.length;
+  const lower = Array.from({ length: size }, () => new Array(size).fill(0));
+  for (let i = 0; i < size; i += 1) {
+    for (let j = 0; j <= i; j += 1) {
+      let total = m[i][j];
+      for (let k = 0; k < j; k += 1) total -= lower[i][k] * lower[j][k];
+      if (i === j) {
+        if (total <= 0) return null;
+        lower[i][i] = Math.sqrt(total);
+      } else {
+        lower[i][j] = total / lower[j][j];
+      }
+    }
+  }
+  return lower;
+};
@@ -0,0 +1,144 @@
+import { invert, multiplyVector, quadraticForm, logDeterminant } from './matrix';
+import { tQuantile, tCdf } from './distributions';
+
+// Linear mixed model with a random intercept per cluster (participant), fitted by
+// REML. With V_i = sigma2 (I + lambda J) for a cluster of n_i rows,
+// V_i^-1 = (I - c_i J) / sigma2 where c_i = lambda / (1 + n_i lambda), so
+// everything reduces to per-cluster sums and the likelihood is profiled over
+// lambda = tau2 / sigma2 alone.
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const groupClusters = (rows, y, clusters) => {
+  const byId = new Map();
+  rows.forEach((x, i) => {
+    if (!byId.has(clusters[i])) byId.set(clusters[i], { x: [], y: [] });
+    byId.get(clusters[i]).x.push(x);
+    byId.get(clusters[i]).y.push(y[i]);
+  });
+  return [...byId.values()];
+};
+
+// GLS pieces for a given lambda: X'WX, X'Wy, beta and the weighted residual SS
+const generalizedLeastSquares = (groups, p, lambda) => {
+  const xtwx = Array.from({ length: p }, () => new Array(p).fill(0));
+  const xtwy = new Array(p).fill(0);
+  groups.forEach(group => {
+    const c = lambda / (1 + group.x.length * lambda);
+    const xSums = Array.from({ length: p }, (_, j) => sum(group.x.map(row => row[j])));
+    const ySum = sum(group.y);
+    for (let j = 0; j < p; j += 1) {
+      xtwy[j] += sum(group.x.map((row, i) => row[j] * group.y[i])) - c * xSums[j] * ySum;
+      for (let k = 0; k < p; k += 1) {
+        xtwx[j][k] += sum(group.x.map(row => row[j] * row[k])) - c * xSums[j] * xSums[k];
+      }
+    }
+  });
+  const inverse = invert(xtwx);
+  if (!inverse) return null;
+  const beta = multiplyVector(inverse, xtwy);
+  const weightedSS = sum(groups.map(group => {
+    const c = lambda / (1 + group.x.length * lambda);
+    const residuals = group.x.map((row, i) => group.y[i] - sum(row.map((value, j) => value * beta[j])));
+    return sum(residuals.map(r => r ** 2)) - c * sum(residuals) ** 2;
+  }));
+  return { xtwx, inverse, beta, weightedSS };
+};
+
+// Profiled REML log-likelihood (up to a constant) at lambda
+const restrictedLogLik = (groups, n, p, lambda) => {
+  const fit = generalizedLeastSquares(groups, p, lambda);
+  if (!fit || fit.weightedSS <= 0) return null;
+  const sigma2 = fit.weightedSS / (n - p);
+  const logDet = logDeterminant(fit.xtwx);
+  if (logDet === null) return null;
+  const value = -0.5 * ((n - p) * Math.log(sigma2) + sum(groups.map(group => Math.log(1 + group.x.length * lambda))) + logDet);
+  return { value, sigma2, fit };
+};
+
+// Maximize over log(lambda): a coarse grid, golden-section refinement around the
+// best grid point, and the lambda = 0 boundary (no between-participant variance)
+const maximizeLambda = (groups, n, p) => {
+  const at = (theta) => restrictedLogLik(groups, n, p, Math.exp(theta))?.value ?? -Infinity;
+  const thetas = Array.from({ length: 41 }, (_, i) => -12 + i * 0.5);
+  const values = thetas.map(at);
+  const best = values.indexOf(Math.max(...values));
+  let low = thetas[Math.max(best - 1, 0)];
+  let high = thetas[Math.min(best + 1, thetas.length - 1)];
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  for (let iteration = 0; iteration < 60 && high - low > 1e-8; iteration += 1) {
+    const a = high - ratio * (high - low);
+    const b = low + ratio * (high - low);
+    if (at(a) > at(b)) high = b;
+    else low = a;
+  }
+  const lambda = Math.exp((low + high) / 2);
+  const boundary = restrictedLogLik(groups, n, p, 0)?.value ?? -Infinity;
+  return boundary >= at(Math.log(lambda)) ? 0 : lambda;
+};
+
+// `rows` are fixed-effect design rows (intercept included), `clusters` the
+// participant id of each row. Returns null when the design is singular or a term
+// has no degrees of freedom.
+//   coefficients  [{ name, estimate, se, df, t, p, lower, upper }]; df follow the
+//                 between-within rule: terms constant within every participant
+//                 get (participants - between terms), the rest
+//                 (rows - participants - within terms)
+//   sigma2 / tau2 residual and random-intercept variances; icc = tau2 / (tau2 + sigma2)
+export const fitRandomInterceptModel = (rows, y, clusters, names, level = 0.95) => {
+  const n = rows.length;
+  const p = names.length;
+  const groups = groupClusters(rows, y, clusters);
+  const m = groups.length;
+  if (n - p < 1 || m < 2) return null;
+
+  const lambda = maximizeLambda(groups, n, p);
+  const result = restrictedLogLik(groups, n, p, lambda);
+  if (!result) return null;
+  const { sigma2, fit } = result;
+  const covariance = fit.inverse.map(row => row.map(value => value * sigma2));
+
+  const isBetween = names.map((_, j) => groups.every(group => group.x.every(row => row[j] === group.x[0][j])));
+  const betweenCount = isBetween.filter(Boolean).length;
+  const dfBetween = m - betweenCount;
+  const dfWithin = n - m - (p - betweenCount);
+
+  const coefficients = names.map((name, j) => {
+    const df = isBetween[j] ? dfBetween : dfWithin;
+    const se = Math.sqrt(covariance[j][j]);
+    const estimate = fit.beta[j];
+    if (df < 1) return { name, estimate, se, df, t: null, p: null, lower: null, upper: null };
+    const t = estimate / se;
+    const critical = tQuantile(1 - (1 - level) / 2, df);
+    return {
+      name,
+      estimate,
+      se,
+      df,
+      t,
+      p: 2 * (1 - tCdf(Math.abs(t), df)),
+      lower: estimate - critical * se,
+      upper: estimate + critical * se
+    };
+  });
+
+  const tau2 = lambda * sigma2;
+  return {
+    n,
+    clusters: m,
+    coefficients,
+    covariance,
+    sigma2,
+    tau2,
+    icc: tau2 / (tau2 + sigma2),
+    logLik: result.value,
+    dfBetween,
+    dfWithin
+  };
+};
+
+// c'beta with its SE, for estimated cell means
+export const predictFixed = (model, c) => ({
+  value: sum(c.map((ci, j) => ci * model.coefficients[j].estimate)),
+  se: Math.sqrt(quadraticForm(model.covariance, c))
+});
@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { fitRandomInterceptModel, predictFixed } from './mixedModel';
+import { fitLinearModel } from './regression';
+
+// lme4's `Dyestuff` data: yield of dyestuff from five preparations of each of six
+// batches. Reference values are lmer(Yield ~ 1 + (1 | Batch), Dyestuff), fitted by REML.
+const dyestuff = {
+  A: [1545, 1440, 1440, 1520, 1580],
+  B: [1540, 1555, 1490, 1560, 1495],
+  C: [1595, 1550, 1605, 1510, 1560],
+  D: [1445, 1440, 1595, 1465, 1545],
+  E: [1595, 1630, 1515, 1635, 1625],
+  F: [1520, 1455, 1450, 1480, 1445]
+};
+const batches = Object.entries(dyestuff).flatMap(([batch, values]) => values.map(() => batch));
+const yields = Object.values(dyestuff).flat();
+
+describe('fitRandomInterceptModel', () => {
+  it('matches lmer on Dyestuff', () => {
+    const model = fitRandomInterceptModel(yields.map(() => [1]), yields, batches, ['Intercept']);
+    expect(model.n).toBe(30);
+    expect(model.clusters).toBe(6);
+    expect(model.tau2).toBeCloseTo(1764.05, 1);
+    expect(model.sigma2).toBeCloseTo(2451.25, 1);
+    expect(model.coefficients[0].estimate).toBeCloseTo(1527.5, 6);
+    expect(model.coefficients[0].se).toBeCloseTo(19.38347, 3);
+  });
+
+  it('uses between-participant df for terms constant within each cluster', () => {
+    const model = fitRandomInterceptModel(yields.map(() => [1]), yields, batches, ['Intercept']);
+    expect(model.coefficients[0].df).toBe(5);
+    expect(model.icc).toBeCloseTo(1764.05 / (1764.05 + 2451.25), 4);
+  });
+
+  it('estimates a balanced within-cluster term from within-cluster deviations', () => {
+    // Within-batch order as a within-cluster covariate
+    const rows = yields.map((_, i) => [1, i % 5]);
+    const model = fitRandomInterceptModel(rows, yields, batches, ['Intercept', 'order']);
+    expect(model.dfWithin).toBe(30 - 6 - 1);
+    expect(model.coefficients[1].df).toBe(23);
+    const batchMeans = Object.values(dyestuff).map(values => values.reduce((a, b) => a + b, 0) / 5);
+    const centred = yields.map((value, i) => value - batchMeans[Math.floor(i / 5)]);
+    const withinSlope = fitLinearModel(rows.map(([, order]) => [1, order]), centred, ['Intercept', 'order'])
+      .coefficients[1].estimate;
+    expect(model.coefficients[1].estimate).toBeCloseTo(withinSlope, 6);
+  });
+
+  it('falls back to no random-intercept variance when batches differ less than chance', () => {
+    // Identical batch means: the REML estimate of tau2 is on the boundary
+    const values = [1, 2, 3, 3, 2, 1, 2, 3, 1];
+    const clusters = ['a', 'a', 'a', 'b', 'b', 'b', 'c', 'c', 'c'];
+    const model = fitRandomInterceptModel(values.map(() => [1]), values, clusters, ['Intercept']);
+    expect(model.tau2).toBe(0);
+    expect(model.sigma2).toBeCloseTo(0.75, 6);
+    expect(model.icc).toBe(0);
+  });
+
+  it('needs at least two clusters and residual df', () => {
+    expect(fitRandomInterceptModel([[1], [1]], [1, 2], ['a', 'a'], ['Intercept'])).toBeNull();
+  });
+});
+
+describe('predictFixed', () => {
+  it('combines coefficients with their covariance', () => {
+    const model = fitRandomInterceptModel(yields.map(() => [1]), yields, batches, ['Intercept']);
+    const cell = predictFixed(model, [1]);
+    expect(cell.value).toBeCloseTo(1527.5, 6);
+    expect(cell.se).toBeCloseTo(model.coefficients[0].se, 10);
+  });
+});
@@ -0,0 +1,40 @@
+import { noncentralTCdf, normalQuantile, tQuantile } from './distributions';
+
+// Power of a two-sided, two-sample t-test with `n` per arm to detect a
+// standardized difference `effectSize` (Cohen's d), from the noncentral t
+export const powerTwoSampleT = (effectSize, n, alpha = 0.05) => {
+  if (n < 2) return 0;
+  const df = 2 * n - 2;
+  const critical = tQuantile(1 - alpha / 2, df);
+  const delta = Math.abs(effectSize) * Math.sqrt(n / 2);
+  return 1 - noncentralTCdf(critical, df, delta) + noncentralTCdf(-critical, df, delta);
+};
+
+// Largest n per arm sampleSizeTwoSampleT will plan for
+export const MAX_SAMPLE_SIZE = 100000;
+
+// Smallest n per arm reaching `power`; null for a zero effect size or one that
+// needs more than MAX_SAMPLE_SIZE. Power rises with n, so this starts from the
+// normal approximation (which slightly understates n), widens upwards until the
+// power is reached and then bisects.
+export const sampleSizeTwoSampleT = ({ effectSize, alpha = 0.05, power = 0.8 }) => {
+  if (!effectSize) return null;
+  const reaches = (n) => powerTwoSampleT(effectSize, n, alpha) >= power;
+  if (reaches(2)) return 2;
+
+  const z = normalQuantile(1 - alpha / 2) + normalQuantile(power);
+  const approximate = Math.ceil(2 * (z / effectSize) ** 2);
+  let low = 2;
+  let high = Math.min(MAX_SAMPLE_SIZE, Math.max(3, approximate));
+  while (!reaches(high)) {
+    if (high === MAX_SAMPLE_SIZE) return null;
+    low = high;
+    high = Math.min(MAX_SAMPLE_SIZE, high * 2);
+  }
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (reaches(mid)) high = mid;
+    else low = mid;
+  }
+  return high;
+};
@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_SAMPLE_SIZE, powerTwoSampleT, sampleSizeTwoSampleT } from './power';
+
+// Reference values from R: power.t.test(n, delta, sd = 1, sig.level) and
+// pwr::pwr.t.test(d, power, sig.level), rounded up to whole participants
+describe('powerTwoSampleT', () => {
+  it('matches power.t.test', () => {
+    expect(powerTwoSampleT(0.5, 64)).toBeCloseTo(0.8014596, 5);
+    expect(powerTwoSampleT(0.5, 20, 0.01)).toBeCloseTo(0.1439551, 4);
+  });
+
+  it('is zero below two per arm', () => {
+    expect(powerTwoSampleT(0.5, 1)).toBe(0);
+  });
+});
+
+describe('sampleSizeTwoSampleT', () => {
+  it('matches pwr.t.test', () => {
+    expect(sampleSizeTwoSampleT({ effectSize: 0.2 })).toBe(394);
+    expect(sampleSizeTwoSampleT({ effectSize: 0.5 })).toBe(64);
+    expect(sampleSizeTwoSampleT({ effectSize: 0.8 })).toBe(26);
+    expect(sampleSizeTwoSampleT({ effectSize: 0.5, alpha: 0.01, power: 0.9 })).toBe(121);
+  });
+
+  it('returns the smallest n reaching the power', () => {
+    const n = sampleSizeTwoSampleT({ effectSize: 0.35, power: 0.9 });
+    expect(powerTwoSampleT(0.35, n)).toBeGreaterThanOrEqual(0.9);
+    expect(powerTwoSampleT(0.35, n - 1)).toBeLessThan(0.9);
+  });
+
+  it('treats the direction of the effect alike', () => {
+    expect(sampleSizeTwoSampleT({ effectSize: -0.5 })).toBe(64);
+  });
+
+  it(`is null for a zero effect or one needing more than ${MAX_SAMPLE_SIZE} per arm`, () => {
+    expect(sampleSizeTwoSampleT({ effectSize: 0 })).toBeNull();
+    expect(sampleSizeTwoSampleT({ effectSize: 0.01 })).toBeNull();
+  });
+});
@@ -0,0 +1,62 @@
+import { invert, multiply, multiplyVector, transpose, quadraticForm } from './matrix';
+import { tQuantile, tCdf } from './distributions';
+
+// Ordinary least squares. `rows` are design-matrix rows (include the intercept
+// column yourself) and `names` label their columns. Returns null when there are
+// no residual degrees of freedom or the design is singular (e.g. a covariate
+// that doesn't vary in the data).
+//   coefficients  [{ name, estimate, se, t, p, lower, upper }]
+//   covariance    coefficient covariance matrix, for contrasts via `predict`
+export const fitLinearModel = (rows, y, names, level = 0.95) => {
+  const n = rows.length;
+  const k = names.length;
+  const df = n - k;
+  if (df < 1) return null;
+
+  const xt = transpose(rows);
+  const xtxInverse = invert(multiply(xt, rows));
+  if (!xtxInverse) return null;
+  const beta = multiplyVector(xtxInverse, multiplyVector(xt, y));
+
+  const fitted = multiplyVector(rows, beta);
+  const residualSS = y.reduce((sum, value, i) => sum + (value - fitted[i]) ** 2, 0);
+  const yMean = y.reduce((sum, value) => sum + value, 0) / n;
+  const totalSS = y.reduce((sum, value) => sum + (value - yMean) ** 2, 0);
+  const sigma2 = residualSS / df;
+  const covariance = xtxInverse.map(row => row.map(value => value * sigma2));
+  const critical = tQuantile(1 - (1 - level) / 2, df);
+
+  const coefficients = names.map((name, i) => {
+    const se = Math.sqrt(covariance[i][i]);
+    const t = beta[i] / se;
+    return {
+      name,
+      estimate: beta[i],
+      se,
+      t,
+      p: 2 * (1 - tCdf(Math.abs(t), df)),
+      lower: beta[i] - critical * se,
+      upper: beta[i] + critical * se
+    };
+  });
+
+  const rSquared = totalSS === 0 ? null : 1 - residualSS / totalSS;
+  return {
+    n,
+    df,
+    coefficients,
+    covariance,
+    rSquared,
+    adjustedRSquared: rSquared === null ? null : 1 - ((1 - rSquared) * (n - 1)) / df,
+    residualSE: Math.sqrt(sigma2),
+    critical
+  };
+};
+
+// Linear combination c'beta of a fitted model's coefficients with its SE and CI
+// (e.g. an adjusted mean at chosen covariate values)
+export const predict = (model, c) => {
+  const value = c.reduce((sum, ci, i) => sum + ci * model.coefficients[i].estimate, 0);
+  const se = Math.sqrt(quadraticForm(model.covariance, c));
+  return { value, se, lower: value - model.critical * se, upper: value + model.critical * se };
+};
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { fitLinearModel, predict } from './regression';
+
+// R's `cars` data; reference values are summary(lm(dist ~ speed, data = cars))
+const speed = [4, 4, 7, 7, 8, 9, 10, 10, 10, 11, 11, 12, 12, 12, 12, 13, 13, 13, 13, 14, 14, 14, 14, 15, 15, 15,
+  16, 16, 17, 17, 17, 18, 18, 18, 18, 19, 19, 19, 20, 20, 20, 20, 20, 22, 23, 24, 24, 24, 24, 25];
+const dist = [2, 10, 4, 22, 16, 10, 18, 26, 34, 17, 28, 14, 20, 24, 28, 26, 34, 34, 46, 26, 36, 60, 80, 20, 26, 54,
+  32, 40, 32, 40, 50, 42, 56, 76, 84, 36, 46, 68, 32, 48, 52, 56, 64, 66, 54, 70, 92, 93, 120, 85];
+
+const fit = () => fitLinearModel(speed.map(x => [1, x]), dist, ['Intercept', 'speed']);
+
+describe('fitLinearModel', () => {
+  it('matches lm coefficients and standard errors', () => {
+    const [intercept, slope] = fit().coefficients;
+    expect(intercept.estimate).toBeCloseTo(-17.579095, 5);
+    expect(intercept.se).toBeCloseTo(6.758440, 5);
+    expect(intercept.t).toBeCloseTo(-2.601058, 5);
+    expect(intercept.p).toBeCloseTo(0.01231882, 6);
+    expect(slope.estimate).toBeCloseTo(3.932409, 5);
+    expect(slope.se).toBeCloseTo(0.415513, 5);
+    expect(slope.t).toBeCloseTo(9.463990, 5);
+  });
+
+  it('matches confint and the model summary', () => {
+    const model = fit();
+    expect(model.df).toBe(48);
+    expect(model.coefficients[1].lower).toBeCloseTo(3.096964, 5);
+    expect(model.coefficients[1].upper).toBeCloseTo(4.767853, 5);
+    expect(model.rSquared).toBeCloseTo(0.6510794, 6);
+    expect(model.adjustedRSquared).toBeCloseTo(0.6438102, 6);
+    expect(model.residualSE).toBeCloseTo(15.37959, 4);
+  });
+
+  it('is null for a singular design or no residual df', () => {
+    expect(fitLinearModel([[1, 2], [1, 2], [1, 2]], [1, 2, 3], ['Intercept', 'x'])).toBeNull();
+    expect(fitLinearModel([[1, 1], [1, 2]], [1, 2], ['Intercept', 'x'])).toBeNull();
+  });
+});
+
+describe('predict', () => {
+  it('matches predict(interval = "confidence") at speed = 20', () => {
+    const value = predict(fit(), [1, 20]);
+    expect(value.value).toBeCloseTo(61.06908, 4);
+    expect(value.lower).toBeCloseTo(55.24729, 4);
+    expect(value.upper).toBeCloseTo(66.89088, 4);
+  });
+});
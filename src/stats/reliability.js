@@ -0,0 +1,87 @@
+import { mean, variance, standardDeviation, correlation } from './descriptive';
+
+// Internal consistency for a scale. Every function takes complete cases as rows of
+// keyed item values (one column per item, reverse-keyed items already flipped).
+
+const column = (rows, j) => rows.map(row => row[j]);
+const rowSums = (rows) => rows.map(row => row.reduce((total, value) => total + value, 0));
+
+// Cronbach's alpha; null with fewer than two items or no variance in the total
+export const cronbachAlpha = (rows) => {
+  const k = rows[0]?.length ?? 0;
+  if (k < 2 || rows.length < 2) return null;
+  const totalVariance = variance(rowSums(rows));
+  if (!totalVariance) return null;
+  const itemVariance = rows[0].reduce((total, _, j) => total + variance(column(rows, j)), 0);
+  return (k / (k - 1)) * (1 - itemVariance / totalVariance);
+};
+
+export const correlationMatrix = (rows) => {
+  const columns = rows[0].map((_, j) => column(rows, j));
+  return columns.map((x, i) => columns.map((y, j) => (i === j ? 1 : correlation(x, y))));
+};
+
+// Largest eigenvalue and its vector of a symmetric matrix, by power iteration
+const leadingEigen = (m) => {
+  let vector = m.map(() => 1 / Math.sqrt(m.length));
+  let value = 0;
+  for (let iteration = 0; iteration < 500; iteration += 1) {
+    const next = m.map(row => row.reduce((total, entry, j) => total + entry * vector[j], 0));
+    const norm = Math.sqrt(next.reduce((total, entry) => total + entry ** 2, 0));
+    if (norm === 0) return { value: 0, vector };
+    const converged = next.every((entry, j) => Math.abs(entry / norm - vector[j]) < 1e-10);
+    vector = next.map(entry => entry / norm);
+    value = norm;
+    if (converged) break;
+  }
+  return { value, vector };
+};
+
+// McDonald's omega (total) from a one-factor model fitted by iterated principal
+// axis factoring on the item correlations. Needs three or more items (a single
+// factor is not identified from two); null when any pair of items has no variance.
+export const mcdonaldOmega = (rows) => {
+  const k = rows[0]?.length ?? 0;
+  if (k < 3 || rows.length < 3) return null;
+  const r = correlationMatrix(rows);
+  if (r.some(row => row.some(value => value === null))) return null;
+
+  // Start each communality at the item's largest correlation with another item
+  let communalities = r.map((row, i) => Math.max(...row.filter((_, j) => j !== i).map(Math.abs)));
+  let loadings = [];
+  for (let iteration = 0; iteration < 200; iteration += 1) {
+    const reduced = r.map((row, i) => row.map((value, j) => (i === j ? communalities[i] : value)));
+    const { value, vector } = leadingEigen(reduced);
+    const sign = vector.reduce((total, entry) => total + entry, 0) < 0 ? -1 : 1;
+    loadings = vector.map(entry => sign * entry * Math.sqrt(Math.max(value, 0)));
+    // Heywood cases are held just below 1 so the uniquenesses stay positive
+    const next = loadings.map(loading => Math.min(loading ** 2, 0.995));
+    const converged = next.every((h, i) => Math.abs(h - communalities[i]) < 1e-6);
+    communalities = next;
+    if (converged) break;
+  }
+
+  const common = loadings.reduce((total, loading) => total + loading, 0) ** 2;
+  const unique = loadings.reduce((total, loading) => total + (1 - Math.min(loading ** 2, 0.995)), 0);
+  return { omega: common / (common + unique), loadings };
+};
+
+// Alpha, omega and per-item statistics:
+//   correctedItemTotal  correlation of the item with the sum of the other items
+//   alphaIfDeleted      alpha of the remaining items (null when only one would be left)
+export const reliabilityAnalysis = (rows) => {
+  const k = rows[0]?.length ?? 0;
+  const omega = mcdonaldOmega(rows);
+  const items = Array.from({ length: k }, (_, j) => {
+    const values = column(rows, j);
+    const others = rows.map(row => row.filter((_, i) => i !== j));
+    return {
+      mean: mean(values),
+      sd: standardDeviation(values),
+      correctedItemTotal: correlation(values, rowSums(others)),
+      alphaIfDeleted: k > 2 ? cronbachAlpha(others) : null,
+      loading: omega ? omega.loadings[j] : null
+    };
+  });
+  return { n: rows.length, k, alpha: cronbachAlpha(rows), omega: omega?.omega ?? null, items };
+};
@@ -0,0 +1,258 @@
+import { chiSquareCdf, logFactorial, normalCdf, normalQuantile, tCdf, tQuantile } from './distributions';
+import { mean, numeric, variance, standardDeviation, correlation } from './descriptive';
+
+// Hypothesis tests used by the trial analyses. Every test returns
+//   statistic  { label, value } and `df` where it has one
+//   p          two-sided p-value
+//   estimate   { label, value, lower, upper } for the quantity tested (when there is one)
+//   effects    [{ label, value, lower, upper }] standardized effect sizes
+// or null when there is too little data to run it. CIs are 95% unless `level` says otherwise.
+
+const twoSidedT = (t, df) => 2 * (1 - tCdf(Math.abs(t), df));
+const twoSidedZ = (z) => 2 * (1 - normalCdf(Math.abs(z)));
+const zCritical = (level) => normalQuantile(1 - (1 - level) / 2);
+
+// CI for a correlation-type effect size via Fisher's z
+const correlationCI = (r, n, level) => {
+  if (n <= 3 || Math.abs(r) >= 1) return { lower: null, upper: null };
+  const margin = zCritical(level) / Math.sqrt(n - 3);
+  const z = Math.atanh(r);
+  return { lower: Math.tanh(z - margin), upper: Math.tanh(z + margin) };
+};
+
+// Average ranks (ties share the mean of their positions), plus the tie correction term sum(t^3 - t)
+export const rank = (values) => {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  let ties = 0;
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end += 1;
+    const averageRank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i += 1) ranks[order[i].index] = averageRank;
+    const size = end - start + 1;
+    ties += size ** 3 - size;
+    start = end + 1;
+  }
+  return { ranks, ties };
+};
+
+// Welch's t-test for a difference in means (a - b), with Cohen's d and Hedges' g
+export const welchTTest = (groupA, groupB, level = 0.95) => {
+  const a = numeric(groupA);
+  const b = numeric(groupB);
+  if (a.length < 2 || b.length < 2) return null;
+  const [n1, n2] = [a.length, b.length];
+  const [v1, v2] = [variance(a), variance(b)];
+  const difference = mean(a) - mean(b);
+  const se = Math.sqrt(v1 / n1 + v2 / n2);
+  if (se === 0) return null;
+  const t = difference / se;
+  const df = (v1 / n1 + v2 / n2) ** 2 / ((v1 / n1) ** 2 / (n1 - 1) + (v2 / n2) ** 2 / (n2 - 1));
+  const margin = tQuantile(1 - (1 - level) / 2, df) * se;
+
+  // Standardized by the pooled SD; SE from Hedges & Olkin's large-sample approximation
+  const pooledSd = Math.sqrt(((n1 - 1) * v1 + (n2 - 1) * v2) / (n1 + n2 - 2));
+  const d = difference / pooledSd;
+  const seD = Math.sqrt((n1 + n2) / (n1 * n2) + d ** 2 / (2 * (n1 + n2)));
+  const zMargin = zCritical(level) * seD;
+  const correction = 1 - 3 / (4 * (n1 + n2) - 9);
+
+  return {
+    test: "Welch's t-test",
+    n: [n1, n2],
+    statistic: { label: 't', value: t },
+    df,
+    p: twoSidedT(t, df),
+    estimate: { label: 'Mean difference', value: difference, lower: difference - margin, upper: difference + margin },
+    effects: [
+      { label: "Cohen's d", value: d, lower: d - zMargin, upper: d + zMargin },
+      { label: "Hedges' g", value: d * correction, lower: (d - zMargin) * correction, upper: (d + zMargin) * correction }
+    ]
+  };
+};
+
+// Mann-Whitney U (normal approximation with tie and continuity corrections), effect size r = z / sqrt(N)
+export const mannWhitneyU = (groupA, groupB, level = 0.95) => {
+  const a = numeric(groupA);
+  const b = numeric(groupB);
+  if (a.length < 2 || b.length < 2) return null;
+  const [n1, n2] = [a.length, b.length];
+  const total = n1 + n2;
+  const { ranks, ties } = rank([...a, ...b]);
+  const rankSumA = ranks.slice(0, n1).reduce((sum, value) => sum + value, 0);
+  const u = rankSumA - (n1 * (n1 + 1)) / 2;
+  const expected = (n1 * n2) / 2;
+  const sd = Math.sqrt(((n1 * n2) / 12) * (total + 1 - ties / (total * (total - 1))));
+  if (sd === 0) return null;
+  const z = (u - expected - Math.sign(u - expected) * 0.5) / sd;
+  const r = z / Math.sqrt(total);
+
+  return {
+    test: 'Mann–Whitney U',
+    n: [n1, n2],
+    statistic: { label: 'U', value: u },
+    df: null,
+    p: twoSidedZ(z),
+    estimate: null,
+    effects: [{ label: 'r', value: r, ...correlationCI(r, total, level) }]
+  };
+};
+
+// Paired t-test on post - pre differences, with Cohen's d_z (mean difference / SD of differences)
+export const pairedTTest = (differences, level = 0.95) => {
+  const diffs = numeric(differences);
+  const n = diffs.length;
+  if (n < 2) return null;
+  const sd = standardDeviation(diffs);
+  if (sd === 0) return null;
+  const m = mean(diffs);
+  const se = sd / Math.sqrt(n);
+  const t = m / se;
+  const margin = tQuantile(1 - (1 - level) / 2, n - 1) * se;
+  const dz = m / sd;
+  const zMargin = zCritical(level) * Math.sqrt(1 / n + dz ** 2 / (2 * n));
+
+  return {
+    test: 'Paired t-test',
+    n: [n],
+    statistic: { label: 't', value: t },
+    df: n - 1,
+    p: twoSidedT(t, n - 1),
+    estimate: { label: 'Mean change', value: m, lower: m - margin, upper: m + margin },
+    effects: [{ label: "Cohen's d_z", value: dz, lower: dz - zMargin, upper: dz + zMargin }]
+  };
+};
+
+// Wilcoxon signed-rank (normal approximation; zero differences dropped), effect size r = z / sqrt(n)
+export const wilcoxonSignedRank = (differences, level = 0.95) => {
+  const diffs = numeric(differences).filter(value => value !== 0);
+  const n = diffs.length;
+  if (n < 2) return null;
+  const { ranks, ties } = rank(diffs.map(Math.abs));
+  const wPlus = ranks.reduce((sum, value, index) => sum + (diffs[index] > 0 ? value : 0), 0);
+  const expected = (n * (n + 1)) / 4;
+  const sd = Math.sqrt((n * (n + 1) * (2 * n + 1)) / 24 - ties / 48);
+  if (sd === 0) return null;
+  const z = (wPlus - expected - Math.sign(wPlus - expected) * 0.5) / sd;
+  const r = z / Math.sqrt(n);
+
+  return {
+    test: 'Wilcoxon signed-rank',
+    n: [n],
+    statistic: { label: 'W+', value: wPlus },
+    df: null,
+    p: twoSidedZ(z),
+    estimate: null,
+    effects: [{ label: 'r', value: r, ...correlationCI(r, n, level) }]
+  };
+};
+
+// Spearman's rank correlation (Pearson on average ranks) with a t-approximation
+// p-value; pairs with a missing value on either side are dropped
+export const spearmanCorrelation = (xs, ys, level = 0.95) => {
+  const isPresent = (value) => typeof value === 'number' && Number.isFinite(value);
+  const pairs = xs.map((x, i) => [x, ys[i]]).filter(([x, y]) => isPresent(x) && isPresent(y));
+  const n = pairs.length;
+  if (n < 3) return null;
+  const rho = correlation(rank(pairs.map(([x]) => x)).ranks, rank(pairs.map(([, y]) => y)).ranks);
+  if (rho === null) return null;
+  const t = Math.abs(rho) === 1 ? Infinity : rho * Math.sqrt((n - 2) / (1 - rho ** 2));
+
+  return {
+    test: "Spearman's rank correlation",
+    n: [n],
+    statistic: { label: 't', value: t },
+    df: n - 2,
+    p: Number.isFinite(t) ? twoSidedT(t, n - 2) : 0,
+    estimate: { label: 'ρ', value: rho, ...correlationCI(rho, n, level) },
+    effects: []
+  };
+};
+
+// Contingency table from two parallel arrays of categories; empty rows/columns are dropped
+export const crossTabulate = (rowValues, columnValues) => {
+  const pairs = rowValues
+    .map((value, index) => [value, columnValues[index]])
+    .filter(([row, column]) => row !== null && row !== undefined && column !== null && column !== undefined);
+  const rows = [...new Set(pairs.map(([row]) => row))];
+  const columns = [...new Set(pairs.map(([, column]) => column))];
+  const counts = rows.map(row => columns.map(column =>
+    pairs.filter(([r, c]) => r === row && c === column).length
+  ));
+  return { rows, columns, counts };
+};
+
+const margins = (counts) => ({
+  rowTotals: counts.map(row => row.reduce((sum, value) => sum + value, 0)),
+  columnTotals: counts[0].map((_, j) => counts.reduce((sum, row) => sum + row[j], 0))
+});
+
+// Pearson's chi-square test of independence, with Cramér's V
+export const chiSquareTest = (counts) => {
+  if (counts.length < 2 || counts[0].length < 2) return null;
+  const { rowTotals, columnTotals } = margins(counts);
+  const total = rowTotals.reduce((sum, value) => sum + value, 0);
+  let chi2 = 0;
+  let smallExpected = 0;
+  counts.forEach((row, i) => row.forEach((observed, j) => {
+    const expected = (rowTotals[i] * columnTotals[j]) / total;
+    if (expected < 5) smallExpected += 1;
+    chi2 += (observed - expected) ** 2 / expected;
+  }));
+  const df = (counts.length - 1) * (counts[0].length - 1);
+  const v = Math.sqrt(chi2 / (total * (Math.min(counts.length, counts[0].length) - 1)));
+
+  return {
+    test: 'Chi-square',
+    n: [total],
+    statistic: { label: 'χ²', value: chi2 },
+    df,
+    p: 1 - chiSquareCdf(chi2, df),
+    estimate: null,
+    effects: [{ label: "Cramér's V", value: v, lower: null, upper: null }],
+    // Share of cells with expected count < 5; above 20% the exact test is the one to read
+    smallExpectedShare: smallExpected / (counts.length * counts[0].length)
+  };
+};
+
+// Fisher's exact test (Freeman-Halton extension) for r x 2 tables: sums the
+// probability of every table with the observed margins that is no more likely
+// than the observed one. Cramér's V is reported from the same table.
+export const fisherExactTest = (counts) => {
+  if (counts.length < 2 || counts[0]?.length !== 2) return null;
+  const { rowTotals, columnTotals } = margins(counts);
+  const total = rowTotals.reduce((sum, value) => sum + value, 0);
+  const constant = rowTotals.reduce((sum, value) => sum + logFactorial(value), 0) +
+    columnTotals.reduce((sum, value) => sum + logFactorial(value), 0) - logFactorial(total);
+  const logProbability = (firstColumn) => constant - firstColumn.reduce(
+    (sum, value, i) => sum + logFactorial(value) + logFactorial(rowTotals[i] - value), 0
+  );
+
+  const observed = logProbability(counts.map(row => row[0]));
+  let p = 0;
+  // Walk every first-column split that keeps the row and column totals
+  const visit = (index, remaining, firstColumn) => {
+    if (index === rowTotals.length - 1) {
+      if (remaining > rowTotals[index]) return;
+      const probability = logProbability([...firstColumn, remaining]);
+      if (probability <= observed + 1e-7) p += Math.exp(probability);
+      return;
+    }
+    for (let value = 0; value <= Math.min(rowTotals[index], remaining); value += 1) {
+      visit(index + 1, remaining - value, [...firstColumn, value]);
+    }
+  };
+  visit(0, columnTotals[0], []);
+
+  const chiSquare = chiSquareTest(counts);
+  return {
+    test: "Fisher's exact",
+    n: [total],
+    statistic: null,
+    df: null,
+    p: Math.min(1, p),
+    estimate: null,
+    effects: chiSquare ? chiSquare.effects : []
+  };
+};
@@ -0,0 +1,121 @@
+import { describe, expect, it } from 'vitest';
+import {
+  rank,
+  welchTTest,
+  mannWhitneyU,
+  pairedTTest,
+  wilcoxonSignedRank,
+  spearmanCorrelation,
+  crossTabulate,
+  chiSquareTest,
+  fisherExactTest
+} from './tests';
+
+// R's `sleep` data: extra hours of sleep for ten patients on each of two drugs.
+// Reference values are R's t.test and wilcox.test output on it.
+const drug1 = [0.7, -1.6, -0.2, -1.2, -0.1, 3.4, 3.7, 0.8, 0.0, 2.0];
+const drug2 = [1.9, 0.8, 1.1, 0.1, -0.1, 4.4, 5.5, 1.6, 4.6, 3.4];
+const differences = drug1.map((value, i) => value - drug2[i]);
+
+describe('rank', () => {
+  it('gives ties the mean of their positions', () => {
+    const { ranks, ties } = rank([10, 20, 20, 5, 20]);
+    expect(ranks).toEqual([2, 4, 4, 1, 4]);
+    expect(ties).toBe(24);
+  });
+});
+
+describe('welchTTest', () => {
+  it("matches t.test(extra ~ group, data = sleep)", () => {
+    const result = welchTTest(drug1, drug2);
+    expect(result.statistic.value).toBeCloseTo(-1.860813, 5);
+    expect(result.df).toBeCloseTo(17.77647, 4);
+    expect(result.p).toBeCloseTo(0.07939414, 6);
+    expect(result.estimate.value).toBeCloseTo(-1.58, 10);
+    expect(result.estimate.lower).toBeCloseTo(-3.3654832, 5);
+    expect(result.estimate.upper).toBeCloseTo(0.2054832, 5);
+  });
+
+  it("standardizes by the pooled SD for Cohen's d", () => {
+    const [d, g] = welchTTest(drug1, drug2).effects;
+    expect(d.value).toBeCloseTo(-1.58 / Math.sqrt((3.200556 + 4.009) / 2), 5);
+    expect(g.value).toBeCloseTo(d.value * (1 - 3 / (4 * 20 - 9)), 10);
+  });
+
+  it('needs two values and some spread in each group', () => {
+    expect(welchTTest([1], [2, 3])).toBeNull();
+    expect(welchTTest([1, 1], [1, 1])).toBeNull();
+  });
+});
+
+describe('pairedTTest', () => {
+  it('matches t.test(drug1, drug2, paired = TRUE)', () => {
+    const result = pairedTTest(differences);
+    expect(result.statistic.value).toBeCloseTo(-4.062128, 5);
+    expect(result.df).toBe(9);
+    expect(result.p).toBeCloseTo(0.002832890, 6);
+    expect(result.estimate.lower).toBeCloseTo(-2.4598858, 5);
+    expect(result.estimate.upper).toBeCloseTo(-0.7001142, 5);
+  });
+});
+
+describe('mannWhitneyU', () => {
+  it('matches wilcox.test(extra ~ group, data = sleep)', () => {
+    const result = mannWhitneyU(drug1, drug2);
+    expect(result.statistic.value).toBe(25.5);
+    expect(result.p).toBeCloseTo(0.06933, 4);
+  });
+});
+
+describe('wilcoxonSignedRank', () => {
+  it('matches wilcox.test(drug1, drug2, paired = TRUE), dropping the zero difference', () => {
+    const result = wilcoxonSignedRank(differences);
+    expect(result.n).toEqual([9]);
+    expect(result.statistic.value).toBe(0);
+    expect(result.p).toBeCloseTo(0.009091, 5);
+  });
+});
+
+describe('spearmanCorrelation', () => {
+  it('is 1 - 6 sum(d^2) / (n (n^2 - 1)) without ties', () => {
+    const result = spearmanCorrelation([1, 2, 3, 4, 5], [2, 1, 4, 3, 5]);
+    expect(result.estimate.value).toBeCloseTo(0.8, 10);
+    expect(result.statistic.value).toBeCloseTo(0.8 * Math.sqrt(3 / 0.36), 10);
+    expect(result.df).toBe(3);
+  });
+
+  it('drops pairs with a missing value', () => {
+    expect(spearmanCorrelation([1, 2, null, 4], [1, 2, 3, 4]).n).toEqual([3]);
+  });
+});
+
+describe('crossTabulate', () => {
+  it('counts each row and column pair, skipping missing categories', () => {
+    const table = crossTabulate(['a', 'a', 'b', 'b', null], ['x', 'y', 'x', 'x', 'y']);
+    expect(table.rows).toEqual(['a', 'b']);
+    expect(table.columns).toEqual(['x', 'y']);
+    expect(table.counts).toEqual([[1, 1], [2, 0]]);
+  });
+});
+
+describe('chiSquareTest', () => {
+  it('matches chisq.test(correct = FALSE)', () => {
+    const result = chiSquareTest([[10, 20], [20, 10]]);
+    expect(result.statistic.value).toBeCloseTo(20 / 3, 10);
+    expect(result.df).toBe(1);
+    expect(result.p).toBeCloseTo(0.009823, 5);
+    expect(result.effects[0].value).toBeCloseTo(1 / 3, 10);
+    expect(result.smallExpectedShare).toBe(0);
+  });
+});
+
+describe('fisherExactTest', () => {
+  it('matches fisher.test on the tea-tasting table', () => {
+    expect(fisherExactTest([[3, 1], [1, 3]]).p).toBeCloseTo(0.4857143, 6);
+  });
+
+  it('sums both tails of the hypergeometric', () => {
+    // Only the two most extreme tables, each 1 / choose(10, 5)
+    expect(fisherExactTest([[5, 0], [0, 5]]).p).toBeCloseTo(2 / 252, 8);
+  });
+});
@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+
+export const DataStoreContext = createContext(null);
+
+export const useDataStore = () => {
+  const store = useContext(DataStoreContext);
+  if (!store) {
+    throw new Error('useDataStore must be used within a DataStoreProvider');
+  }
+  return store;
+};
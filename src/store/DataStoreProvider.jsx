@@ -0,0 +1,18 @@
+import React, { useEffect, useState } from 'react';
+import { createDataStore } from './dataStore';
+import { DataStoreContext } from './DataStoreContext';
+
+const DataStoreProvider = ({ children, store }) => {
+  // One store for the lifetime of the provider, unless a caller supplies its own
+  const [value] = useState(() => store || createDataStore());
+
+  useEffect(() => value.connect(), [value]);
+
+  return (
+    <DataStoreContext.Provider value={value}>
+      {children}
+    </DataStoreContext.Provider>
+  );
+};
+
+export default DataStoreProvider;
@@ -0,0 +1,418 @@
+import { createDataSource } from '../dataSources';
+import { isPaged } from '../dataSources/query';
+import { loadSnapshot, saveSnapshot, snapshotGeneration } from './snapshotStore';
+
+// Cached data older than this is refetched the next time a view asks for it
+const DEFAULT_STALE_TIME = 30000;
+
+// Entries nobody has read for this long are dropped, so every search term, page
+// and filter a table has shown doesn't stay cached for the rest of the session
+const DEFAULT_EVICT_TIME = 60000;
+
+// How a view wants its data kept fresh. `interval` polls (ms, or null for never),
+// `realtime` listens for postgres_changes, and `pauseWhenHidden` stops both while
+// the browser tab is in the background.
+export const DEFAULT_REFRESH_POLICY = {
+  interval: null,
+  realtime: true,
+  pauseWhenHidden: true
+};
+
+// Paged queries can't merge realtime rows into their window, so they also poll
+export const DEFAULT_QUERY_REFRESH_POLICY = {
+  ...DEFAULT_REFRESH_POLICY,
+  interval: 30000
+};
+
+export const EMPTY_STATE = {
+  data: [],
+  count: 0,
+  loading: false,
+  error: null,
+  updatedAt: null,
+  stale: true,
+  // True while the data shown comes from an earlier fetch or an IndexedDB snapshot
+  // because the latest request failed; `updatedAt` then says how old it is
+  offline: false
+};
+
+const byCreatedAtDesc = (a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0);
+
+const matchesFilter = (row, match) =>
+  Object.entries(match).every(([column, value]) => row[column] === value);
+
+// Apply a postgres_changes payload to a cached array, keeping newest rows first.
+// Rows that stop matching the query's filter (e.g. id_used flipped off) drop out.
+export const applyRealtimeChange = (rows, payload, match = {}) => {
+  const { eventType, new: newRow, old: oldRow } = payload;
+  const rowId = newRow?.id ?? oldRow?.id;
+  const remaining = rows.filter(row => row.id !== rowId);
+
+  if (eventType === 'DELETE' || !matchesFilter(newRow, match)) return remaining;
+  return [...remaining, newRow].sort(byCreatedAtDesc);
+};
+
+// One cache for the whole dashboard. Entries are keyed by table and query, fetches
+// for the same entry share one request, and each table gets a single realtime channel
+// no matter how many views are reading from it.
+export const createDataStore = ({
+  source = createDataSource(),
+  staleTime = DEFAULT_STALE_TIME,
+  evictTime = DEFAULT_EVICT_TIME
+} = {}) => {
+  const entries = new Map();
+  const channels = new Map();
+  const statusListeners = new Set();
+
+  // Global live/paused switch; tables that changed while paused are reloaded on resume
+  let status = { paused: false };
+  const missedTables = new Set();
+
+  const isHidden = () => typeof document !== 'undefined' && document.visibilityState === 'hidden';
+
+  const keyFor = (table, query) => `${table}:${JSON.stringify(query)}`;
+
+  // Snapshots from different sources (e.g. fixtures vs. the live project) never mix
+  const snapshotKeyFor = (entry) => `${source.name}/${entry.key}`;
+
+  // Only whole-table entries go to disk; pages and searches would pile up without bound
+  const keepsSnapshot = (entry) => !isPaged(entry.query);
+
+  // Snapshot generation the store was created in (one store per signed-in user; see
+  // snapshotStore). Once clearSnapshots runs at sign-out nothing it fetches is saved again.
+  const generation = snapshotGeneration();
+
+  const persist = (entry, snapshot) => {
+    if (keepsSnapshot(entry)) saveSnapshot(snapshotKeyFor(entry), snapshot, generation);
+  };
+
+  const getEntry = (table, query) => {
+    const key = keyFor(table, query);
+    if (!entries.has(key)) {
+      entries.set(key, {
+        key,
+        table,
+        query,
+        state: { ...EMPTY_STATE, loading: true },
+        // listener -> refresh policy of the view that registered it
+        listeners: new Map(),
+        promise: null,
+        pendingChanges: [],
+        timer: null,
+        evictTimer: null,
+        hydration: null
+      });
+      hydrate(entries.get(key));
+      // Read without a subscriber (a render that never commits, or refetch)
+      scheduleEviction(entries.get(key));
+    }
+    return entries.get(key);
+  };
+
+  // Drop an entry once it has had no readers for `evictTime`; a new subscriber cancels this
+  const scheduleEviction = (entry) => {
+    clearTimeout(entry.evictTimer);
+    entry.evictTimer = setTimeout(() => {
+      entry.evictTimer = null;
+      if (entry.listeners.size > 0) return;
+      if (entry.timer) clearInterval(entry.timer);
+      entries.delete(entry.key);
+    }, evictTime);
+  };
+
+  const cancelEviction = (entry) => {
+    clearTimeout(entry.evictTimer);
+    entry.evictTimer = null;
+  };
+
+  // Show the last saved snapshot until the first live fetch comes back
+  const hydrate = (entry) => {
+    if (!keepsSnapshot(entry)) return;
+    entry.hydration = loadSnapshot(snapshotKeyFor(entry)).then(snapshot => {
+      if (!snapshot) return;
+      if (entry.state.updatedAt && !entry.state.offline) return;
+      setState(entry, {
+        data: snapshot.data,
+        count: snapshot.count,
+        updatedAt: snapshot.savedAt,
+        stale: true
+      });
+    });
+  };
+
+  const setState = (entry, patch) => {
+    entry.state = { ...entry.state, ...patch };
+    entry.listeners.forEach((_, listener) => listener());
+  };
+
+  const isStale = (entry) =>
+    entry.state.stale || !entry.state.updatedAt || Date.now() - entry.state.updatedAt > staleTime;
+
+  // An entry sleeps in a hidden tab only if every view reading it agreed to
+  const isSuspended = (entry) => {
+    if (status.paused) return true;
+    if (!isHidden() || entry.listeners.size === 0) return false;
+    return [...entry.listeners.values()].every(policy => policy.pauseWhenHidden);
+  };
+
+  const fetchEntry = (entry, { force = false } = {}) => {
+    if (entry.promise) return entry.promise;
+    if (!force && !isStale(entry)) return Promise.resolve(entry.state.data);
+
+    entry.pendingChanges = [];
+    setState(entry, { loading: true, error: null });
+
+    entry.promise = (async () => {
+      try {
+        const { data: result, count } = await source.fetchTable(entry.table, entry.query);
+
+        // Replay changes that arrived while the request was in flight
+        const rows = entry.pendingChanges.reduce(
+          (acc, payload) => applyRealtimeChange(acc, payload, entry.query.match),
+          result || []
+        );
+        const updatedAt = Date.now();
+        setState(entry, {
+          data: rows,
+          count: count ?? rows.length,
+          updatedAt,
+          stale: false,
+          offline: false
+        });
+        persist(entry, { data: rows, count: count ?? rows.length, savedAt: updatedAt });
+        return rows;
+      } catch (err) {
+        console.error(`Error fetching ${entry.table}:`, err);
+        // Fall back to whatever we already have (earlier fetch or snapshot) before erroring
+        await entry.hydration;
+        if (entry.state.updatedAt) {
+          setState(entry, { offline: true, error: null });
+        } else {
+          setState(entry, { error: err.message });
+        }
+        return entry.state.data;
+      } finally {
+        entry.promise = null;
+        entry.pendingChanges = [];
+        setState(entry, { loading: false });
+      }
+    })();
+
+    return entry.promise;
+  };
+
+  // Reload an entry that is on screen, or just mark it stale while updates are suspended
+  const refreshEntry = (entry) => {
+    setState(entry, { stale: true });
+    if (entry.listeners.size > 0 && !isSuspended(entry)) fetchEntry(entry, { force: true });
+  };
+
+  // Mark a table (or everything) stale and reload whatever is currently on screen
+  const invalidate = (table) => {
+    entries.forEach(entry => {
+      if (table && entry.table !== table) return;
+      setState(entry, { stale: true });
+      if (entry.listeners.size > 0) fetchEntry(entry, { force: true });
+    });
+  };
+
+  const handleChange = (table, payload) => {
+    if (status.paused) {
+      missedTables.add(table);
+      return;
+    }
+
+    const rowId = payload.new?.id ?? payload.old?.id;
+    entries.forEach(entry => {
+      if (entry.table !== table) return;
+
+      // Windows and changes without a primary key can't be merged, so reload instead
+      if (isPaged(entry.query) || rowId === undefined) {
+        refreshEntry(entry);
+        return;
+      }
+      if (entry.promise) {
+        entry.pendingChanges.push(payload);
+        return;
+      }
+      const rows = applyRealtimeChange(entry.state.data, payload, entry.query.match);
+      const updatedAt = Date.now();
+      setState(entry, { data: rows, count: rows.length, updatedAt });
+      persist(entry, { data: rows, count: rows.length, savedAt: updatedAt });
+    });
+  };
+
+  // `record.unsubscribe` is null while the channel is closed by a disconnect but
+  // still has readers; connect() reopens it
+  const openChannel = (table, record) => {
+    record.unsubscribe = source.subscribe(
+      table,
+      (payload) => handleChange(table, payload),
+      (channelStatus) => {
+        // Events sent while the channel was down are lost; resync once it is back
+        if (channelStatus === 'SUBSCRIBED') {
+          if (record.disconnected) invalidate(table);
+          record.disconnected = false;
+        } else {
+          record.disconnected = true;
+        }
+      }
+    );
+  };
+
+  const retainChannel = (table) => {
+    const existing = channels.get(table);
+    if (existing) {
+      existing.refs += 1;
+      if (!existing.unsubscribe) openChannel(table, existing);
+      return;
+    }
+
+    const record = { refs: 1, disconnected: false, unsubscribe: null };
+    channels.set(table, record);
+    openChannel(table, record);
+  };
+
+  const releaseChannel = (table) => {
+    const record = channels.get(table);
+    if (!record) return;
+    record.refs -= 1;
+    if (record.refs === 0) {
+      if (record.unsubscribe) record.unsubscribe();
+      channels.delete(table);
+    }
+  };
+
+  // Poll at the shortest interval any current reader asked for
+  const schedule = (entry) => {
+    if (entry.timer) {
+      clearInterval(entry.timer);
+      entry.timer = null;
+    }
+    const intervals = [...entry.listeners.values()]
+      .map(policy => policy.interval)
+      .filter(interval => interval > 0);
+    if (intervals.length === 0) return;
+
+    entry.timer = setInterval(() => {
+      if (!isSuspended(entry)) fetchEntry(entry, { force: true });
+    }, Math.min(...intervals));
+  };
+
+  const subscribe = (table, query, listener, refreshPolicy = {}) => {
+    const policy = {
+      ...(isPaged(query) ? DEFAULT_QUERY_REFRESH_POLICY : DEFAULT_REFRESH_POLICY),
+      ...refreshPolicy
+    };
+    const entry = getEntry(table, query);
+    cancelEviction(entry);
+    entry.listeners.set(listener, policy);
+    if (policy.realtime) retainChannel(table);
+    schedule(entry);
+    fetchEntry(entry);
+
+    return () => {
+      entry.listeners.delete(listener);
+      if (policy.realtime) releaseChannel(table);
+      schedule(entry);
+      if (entry.listeners.size === 0) scheduleEviction(entry);
+    };
+  };
+
+  const getSnapshot = (table, query) => getEntry(table, query).state;
+
+  const refetch = (table, query) => fetchEntry(getEntry(table, query), { force: true });
+
+  // Every row matching the query, ignoring pagination (used for exports); never cached
+  const fetchAll = async (table, query) => {
+    const { data: result } = await source.fetchTable(table, query, { paginate: false });
+    return result;
+  };
+
+  const setStatus = (patch) => {
+    status = { ...status, ...patch };
+    statusListeners.forEach(listener => listener());
+  };
+
+  const setPaused = (paused) => {
+    if (paused === status.paused) return;
+    setStatus({ paused });
+    if (!paused) {
+      missedTables.forEach(table => invalidate(table));
+      missedTables.clear();
+      // Anything that went past its stale time while paused catches up too
+      entries.forEach(entry => {
+        if (entry.listeners.size > 0) fetchEntry(entry);
+      });
+    }
+  };
+
+  const subscribeStatus = (listener) => {
+    statusListeners.add(listener);
+    return () => statusListeners.delete(listener);
+  };
+
+  const getStatus = () => status;
+
+  // Coming back to the tab: catch up on whatever went stale in the background
+  const handleVisibilityChange = () => {
+    if (isHidden() || status.paused) return;
+    entries.forEach(entry => {
+      if (entry.listeners.size > 0) fetchEntry(entry);
+    });
+  };
+
+  // Connectivity is back: reconcile every snapshot with the live database
+  const handleOnline = () => invalidate();
+
+  // Attach page-level listeners and reopen whatever an earlier teardown closed
+  // (StrictMode mounts twice; views keep their subscriptions across it). The
+  // returned function tears down timers and channels (e.g. when the user signs
+  // out) but keeps the cached data and who is reading it.
+  const connect = () => {
+    if (typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', handleVisibilityChange);
+    }
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', handleOnline);
+    }
+    channels.forEach((record, table) => {
+      if (record.unsubscribe) return;
+      // Changes made while closed were missed; resync once SUBSCRIBED
+      record.disconnected = true;
+      openChannel(table, record);
+    });
+    entries.forEach(entry => {
+      if (entry.listeners.size > 0) schedule(entry);
+    });
+    return () => {
+      if (typeof document !== 'undefined') {
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
+      }
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('online', handleOnline);
+      }
+      entries.forEach(entry => {
+        if (entry.timer) clearInterval(entry.timer);
+        entry.timer = null;
+      });
+      channels.forEach(record => {
+        if (record.unsubscribe) record.unsubscribe();
+        record.unsubscribe = null;
+      });
+    };
+  };
+
+  return {
+    source,
+    subscribe,
+    getSnapshot,
+    refetch,
+    fetchAll,
+    invalidate,
+    setPaused,
+    subscribeStatus,
+    getStatus,
+    connect
+  };
+};
@@ -0,0 +1,102 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createDataStore } from './dataStore';
+
+// The store is always given a source here; keep the real ones (and the Supabase
+// client) out of the test
+vi.mock('../dataSources', () => ({ createDataSource: () => null }));
+
+// Keys saved to disk; `generation` stands in for snapshotStore's, which
+// clearSnapshots bumps
+const snapshots = vi.hoisted(() => ({ saved: [], generation: 0 }));
+vi.mock('./snapshotStore', () => ({
+  snapshotGeneration: () => snapshots.generation,
+  loadSnapshot: async () => null,
+  saveSnapshot: async (key, snapshot, generation) => {
+    if (generation === snapshots.generation) snapshots.saved.push(key);
+  }
+}));
+
+const createSource = () => ({
+  name: 'test',
+  fetchTable: vi.fn(async () => ({ data: [{ id: 1 }], count: 1 })),
+  subscribe: vi.fn(() => () => {})
+});
+
+describe('createDataStore', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    snapshots.saved = [];
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('evicts an entry once its last reader has been gone for evictTime', async () => {
+    const source = createSource();
+    const store = createDataStore({ source, evictTime: 1000 });
+    const query = { page: 1, pageSize: 10, search: 'a' };
+
+    const unsubscribe = store.subscribe('participants', query, () => {});
+    await vi.runOnlyPendingTimersAsync();
+    expect(store.getSnapshot('participants', query).data).toEqual([{ id: 1 }]);
+
+    unsubscribe();
+    await vi.advanceTimersByTimeAsync(999);
+    expect(store.getSnapshot('participants', query).data).toEqual([{ id: 1 }]);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(store.getSnapshot('participants', query).data).toEqual([]);
+  });
+
+  it('keeps an entry that is read again before it is evicted', async () => {
+    const source = createSource();
+    const store = createDataStore({ source, evictTime: 1000 });
+    const query = { match: {} };
+
+    store.subscribe('participants', query, () => {})();
+    await vi.advanceTimersByTimeAsync(500);
+    store.subscribe('participants', query, () => {});
+    await vi.advanceTimersByTimeAsync(5000);
+
+    expect(store.getSnapshot('participants', query).data).toEqual([{ id: 1 }]);
+    expect(source.fetchTable).toHaveBeenCalledTimes(1);
+  });
+
+  it('evicts entries that were read but never subscribed to', async () => {
+    const source = createSource();
+    const store = createDataStore({ source, evictTime: 1000 });
+    const query = { match: {} };
+
+    await store.refetch('participants', query);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(store.getSnapshot('participants', query).data).toEqual([]);
+  });
+
+  it('saves snapshots of whole tables only', async () => {
+    const store = createDataStore({ source: createSource() });
+    store.subscribe('participants', { match: { id_used: true } }, () => {});
+    store.subscribe('participants', { page: 2, pageSize: 10, search: 'P01' }, () => {});
+    await vi.runOnlyPendingTimersAsync();
+
+    expect(snapshots.saved).toEqual(['test/participants:{"match":{"id_used":true}}']);
+  });
+
+  it('does not save a fetch that lands after snapshots were cleared', async () => {
+    let resolveFetch;
+    const source = createSource();
+    source.fetchTable.mockImplementation(() => new Promise(resolve => {
+      resolveFetch = resolve;
+    }));
+    const store = createDataStore({ source });
+    store.subscribe('participants', { match: {} }, () => {});
+
+    // Sign-out clears snapshots while the request is still in flight
+    snapshots.generation += 1;
+    resolveFetch({ data: [{ id: 1 }], count: 1 });
+    await vi.runOnlyPendingTimersAsync();
+
+    expect(store.getSnapshot('participants', { match: {} }).data).toEqual([{ id: 1 }]);
+    expect(snapshots.saved).toEqual([]);
+  });
+});
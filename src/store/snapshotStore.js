@@ -0,0 +1,76 @@
+// Last-known copy of each whole-table dataset, kept in IndexedDB so the dashboard can boot
+// and keep working when Supabase is unreachable.
+const DB_NAME = 'research-dashboard';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+let dbPromise = null;
+
+// Bumped by clearSnapshots. Saves carry the generation their data was fetched in
+// and are dropped if it has changed, so a fetch that lands after sign-out can't
+// put participant data back on disk.
+let generation = 0;
+
+export const snapshotGeneration = () => generation;
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call retry if opening failed (e.g. blocked by another tab)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (mode, operation, isCurrent = () => true) => {
+  const db = await openDatabase();
+  if (!isCurrent()) return null;
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Snapshots are a convenience: storage failures (private browsing, quota) are
+// logged and otherwise ignored so they never break a live fetch.
+export const saveSnapshot = async (key, { data, count, savedAt }, fromGeneration = generation) => {
+  const isCurrent = () => fromGeneration === generation;
+  if (!isCurrent()) return;
+  try {
+    await runRequest('readwrite', store => store.put({ key, data, count, savedAt }), isCurrent);
+  } catch (err) {
+    console.warn(`Could not save offline snapshot for ${key}:`, err);
+  }
+};
+
+export const loadSnapshot = async (key) => {
+  try {
+    return (await runRequest('readonly', store => store.get(key))) || null;
+  } catch (err) {
+    console.warn(`Could not load offline snapshot for ${key}:`, err);
+    return null;
+  }
+};
+
+export const clearSnapshots = async () => {
+  generation += 1;
+  try {
+    await runRequest('readwrite', store => store.clear());
+  } catch (err) {
+    console.warn('Could not clear offline snapshots:', err);
+  }
+};
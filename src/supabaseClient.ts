@@ -2,8 +2,17 @@
  * Supabase client setup for dashboard
  */
 import { createClient } from '@supabase/supabase-js';
+import { environment, isSupabaseConfigured } from './config/environment';
 
-export const supabase = createClient(
-  'https://spytpzjvechwydrekrgj.supabase.co',
-  'sb_publishable_K0YygHw_wBjeHloHOwzr-A_HcRD733p'
-);
+// Null when the build has no Supabase credentials (e.g. running on fixture data)
+export const supabase = isSupabaseConfigured
+  ? createClient(environment.supabaseUrl, environment.supabaseKey, {
+      auth: {
+        persistSession: true,
+        autoRefreshToken: true,
+        detectSessionInUrl: true,
+        // Keep sessions for different study databases apart
+        storageKey: `research-dashboard-auth-${environment.name}`
+      }
+    })
+  : null;
@@ -0,0 +1,51 @@
+-- Audit trail of dashboard data access and exports (see src/audit/auditLog.js).
+-- Staff can append their own events; only principal investigators can read them,
+-- and nobody can edit or delete them through the API.
+
+create table if not exists public.audit_log (
+  id bigint generated always as identity primary key,
+  user_id uuid references auth.users (id),
+  user_email text,
+  action text not null,
+  filters jsonb,
+  row_count integer,
+  details jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_created_at_idx on public.audit_log (created_at desc);
+create index if not exists audit_log_user_id_idx on public.audit_log (user_id);
+
+-- Who and when come from the session and the clock, never from the client, so an
+-- event can't claim another user's email or a backdated time
+create or replace function public.stamp_audit_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = ''
+as $$
+begin
+  new.user_id := auth.uid();
+  new.user_email := auth.email();
+  new.created_at := now();
+  return new;
+end;
+$$;
+
+create trigger audit_log_stamp
+  before insert on public.audit_log
+  for each row execute function public.stamp_audit_event();
+
+alter table public.audit_log enable row level security;
+
+create policy "Staff record their own audit events"
+  on public.audit_log for insert
+  to authenticated
+  with check (user_id = auth.uid() and user_email is not distinct from auth.email());
+
+create policy "Principal investigators read the audit trail"
+  on public.audit_log for select
+  to authenticated
+  using ((auth.jwt() -> 'app_metadata' ->> 'role') = 'pi');
+
+alter publication supabase_realtime add table public.audit_log;